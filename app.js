@@ -8,14 +8,21 @@ const morgan = require('morgan');
 const mongoose = require('mongoose');
 const { validateEnv, getCorsConfig } = require('./config/env');
 const logger = require('./config/logger');
-const verificationRouter = require('./routes/verification');
-const cashfreeService = require('./services/cashfreeService');
+const createVerificationRouter = require('./routes/verification');
+const createWebhookRouter = require('./routes/webhooks');
+const createAdminRouter = require('./routes/admin');
+const createReviewRouter = require('./routes/reviews');
+const { createProviderChain } = require('./services/providerFactory');
+const { createRateLimitStore } = require('./services/rateLimitStore');
+const { getCircuitBreakerStates } = require('./utils/circuitBreaker');
+const { getOtpExpiryMetrics } = require('./jobs/otpExpirySweeper');
+const { getRetentionPurgeMetrics } = require('./jobs/retentionPurger');
 
 // Validate environment variables
 const env = validateEnv();
 
-// Initialize Cashfree service
-cashfreeService.initialize(env);
+// Provider registry (VERIFICATION_PROVIDER / VERIFICATION_PROVIDER_CHAIN), shared by all routes
+const providerChain = createProviderChain(env);
 
 const app = express();
 
@@ -45,6 +52,7 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  store: createRateLimitStore('api'), // Shared by all replicas (MongoDB)
 });
 app.use('/api/', limiter);
 
@@ -55,7 +63,15 @@ app.options('*', cors(corsOptions));
 
 // Body parsing and compression
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    // Provider webhook signatures are computed over the exact bytes received
+    if (req.originalUrl.startsWith('/api/v1/verification/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Data sanitization
@@ -70,8 +86,12 @@ if (env.NODE_ENV === 'production') {
   app.use(morgan('dev'));
 }
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
+/**
+ * Service health: MongoDB, providers, circuit breakers and background jobs
+ * status is 'degraded' when MongoDB is configured but disconnected, or no provider is healthy
+ * @returns {object}
+ */
+function getHealthCheck() {
   const healthCheck = {
     status: 'ok',
     service: 'extrahand-user-verification',
@@ -83,26 +103,44 @@ app.get('/health', async (req, res) => {
     pid: process.pid
   };
 
-  try {
-    // Check MongoDB connection
-    if (env.MONGODB_URI) {
-      if (mongoose.connection.readyState !== 1) {
-        healthCheck.mongodb = 'disconnected';
-        healthCheck.status = 'degraded';
-      } else {
-        healthCheck.mongodb = 'connected';
-      }
+  // Check MongoDB connection
+  if (env.MONGODB_URI) {
+    if (mongoose.connection.readyState !== 1) {
+      healthCheck.mongodb = 'disconnected';
+      healthCheck.status = 'degraded';
     } else {
-      healthCheck.mongodb = 'not_configured';
+      healthCheck.mongodb = 'connected';
     }
+  } else {
+    healthCheck.mongodb = 'not_configured';
+  }
+
+  // Verification providers (failover order + recent health)
+  healthCheck.providers = {
+    chain: providerChain.getProviderNames(),
+    health: providerChain.getHealth()
+  };
+  if (!Object.values(healthCheck.providers.health).some(provider => provider.healthy)) {
+    healthCheck.status = 'degraded';
+  }
+
+  // Provider circuit breakers (open = calls short-circuited)
+  healthCheck.circuitBreakers = getCircuitBreakerStates();
 
-    // Check Cashfree service
-    healthCheck.cashfree = {
-      environment: env.CASHFREE_ENV,
-      initialized: cashfreeService.initialized
-    };
+  // Background jobs
+  healthCheck.jobs = {
+    otpExpiry: getOtpExpiryMetrics(),
+    retentionPurge: getRetentionPurgeMetrics()
+  };
+
+  return healthCheck;
+}
 
-    res.status(healthCheck.status === 'ok' ? 200 : 503).json(healthCheck);
+// Health check endpoint (liveness: 200 while the process serves requests, even when degraded,
+// so a provider outage does not get the container restarted)
+app.get('/health', (req, res) => {
+  try {
+    res.json(getHealthCheck());
   } catch (error) {
     logger.error('Health check failed:', error);
     res.status(503).json({
@@ -113,8 +151,31 @@ app.get('/health', async (req, res) => {
   }
 });
 
+// Readiness endpoint (503 while degraded, for load balancers that should stop routing traffic here)
+app.get('/ready', (req, res) => {
+  try {
+    const healthCheck = getHealthCheck();
+    res.status(healthCheck.status === 'ok' ? 200 : 503).json({
+      status: healthCheck.status === 'ok' ? 'ready' : 'not_ready',
+      timestamp: healthCheck.timestamp,
+      mongodb: healthCheck.mongodb,
+      providers: healthCheck.providers
+    });
+  } catch (error) {
+    logger.error('Readiness check failed:', error);
+    res.status(503).json({
+      status: 'error',
+      timestamp: new Date().toISOString(),
+      error: 'Readiness check failed'
+    });
+  }
+});
+
 // API routes
-app.use('/api/v1/verification', verificationRouter);
+app.use('/api/v1/verification/webhooks', createWebhookRouter({ providerChain }));
+app.use('/api/v1/verification/admin/reviews', createReviewRouter());
+app.use('/api/v1/verification/admin', createAdminRouter());
+app.use('/api/v1/verification', createVerificationRouter({ providerChain }));
 
 // 404 handler for API routes
 app.use('/api', (req, res) => {
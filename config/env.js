@@ -1,6 +1,7 @@
 const { z } = require('zod');
 const fs = require('fs');
 const path = require('path');
+const { SERVICE_SCOPES } = require('../models/ServiceClient');
 
 // Define environment schema
 const envSchema = z.object({
@@ -12,30 +13,65 @@ const envSchema = z.object({
   MONGODB_DB: z.string().default('extrahand_verifications'),
   
   // Service Authentication (for inter-service communication)
-  SERVICE_AUTH_TOKEN: z.string().min(1, 'SERVICE_AUTH_TOKEN is required'),
+  // Callers are registered service clients (npm run clients); SERVICE_AUTH_TOKEN is the legacy shared token
+  SERVICE_AUTH_TOKEN: z.string().min(1).optional(),
+  SERVICE_AUTH_TOKEN_SCOPES: z.string().optional(), // Comma-separated scopes of the legacy token (default: verification scopes; no consent withdrawal, erasure or admin)
+  SERVICE_AUTH_MODE: z.enum(['secret', 'jwt', 'both']).default('secret'), // jwt: gateway bearer tokens; both: bearer if sent
+  JWT_JWKS_FILE: z.string().optional(), // JWKS with the gateway's HS256/RS256 keys (required for jwt/both)
+  JWT_ISSUER: z.string().optional(), // Expected iss (required in production for jwt/both)
+  JWT_AUDIENCE: z.string().optional(), // Expected aud (required in production for jwt/both)
+  JWT_CLOCK_TOLERANCE_SEC: z.string().transform(Number).default('30'),
+  JWT_MAX_TTL_SEC: z.string().transform(Number).default('900'), // Longer-lived tokens (exp - iat) are rejected
   
   // ===== PROVIDER SELECTION =====
-  VERIFICATION_PROVIDER: z.enum(['cashfree', 'signzy', 'karza']).default('cashfree'),
+  VERIFICATION_PROVIDER: z.enum(['cashfree', 'signzy', 'karza', 'mock']).default('cashfree'),
+  VERIFICATION_PROVIDER_CHAIN: z.string().optional(), // Failover order, e.g. "cashfree,karza,signzy"
+  
+  // Provider health tracking (failover chain)
+  PROVIDER_HEALTH_WINDOW_MS: z.string().transform(Number).default('300000'), // 5 minutes
+  PROVIDER_HEALTH_MIN_SAMPLES: z.string().transform(Number).default('5'),
+  PROVIDER_HEALTH_FAILURE_THRESHOLD: z.string().transform(Number).default('0.5'),
+  
+  // Circuit breakers (per provider endpoint family)
+  CIRCUIT_BREAKER_FAILURE_THRESHOLD: z.string().transform(Number).default('5'), // Consecutive failures before opening
+  CIRCUIT_BREAKER_RESET_TIMEOUT_MS: z.string().transform(Number).default('30000'), // Time open before a trial call
   
   // ===== CASHFREE CONFIGURATION (ACTIVE) =====
   CASHFREE_ENV: z.enum(['sandbox', 'production']).default('sandbox'),
-  CASHFREE_CLIENT_ID: z.string().min(1, 'CASHFREE_CLIENT_ID is required'),
-  CASHFREE_CLIENT_SECRET: z.string().min(1, 'CASHFREE_CLIENT_SECRET is required'),
+  CASHFREE_CLIENT_ID: z.string().optional(), // Required when Cashfree is a verification provider
+  CASHFREE_CLIENT_SECRET: z.string().optional(),
   CASHFREE_TEST_OTP: z.string().default('111000'),
+  CASHFREE_WEBHOOK_SECRET: z.string().optional(), // Webhook signing secret (defaults to CASHFREE_CLIENT_SECRET)
+  CASHFREE_WEBHOOK_TOLERANCE_SEC: z.string().transform(Number).default('300'), // Max age of x-webhook-timestamp (replay window)
   
   // Cashfree URLs (auto-set based on environment)
   CASHFREE_SANDBOX_URL: z.string().url().default('https://sandbox.cashfree.com/verification'),
   CASHFREE_PRODUCTION_URL: z.string().url().default('https://api.cashfree.com/verification'),
   
-  // ===== SIGNZY CONFIGURATION (FUTURE - OPTIONAL) =====
-  SIGNZY_API_KEY: z.string().optional(),
-  SIGNZY_API_SECRET: z.string().optional(),
-  SIGNZY_BASE_URL: z.string().url().optional(),
+  // ===== SIGNZY CONFIGURATION (OPTIONAL) =====
+  SIGNZY_ENV: z.enum(['sandbox', 'production']).default('sandbox'),
+  SIGNZY_API_KEY: z.string().optional(), // Patron login username
+  SIGNZY_API_SECRET: z.string().optional(), // Patron login password
+  SIGNZY_BASE_URL: z.string().url().optional(), // Overrides the URL for SIGNZY_ENV; use http://localhost:4011 with the local stub (npm run stub:signzy)
+  SIGNZY_SANDBOX_URL: z.string().url().default('https://preproduction.signzy.tech'),
+  SIGNZY_PRODUCTION_URL: z.string().url().default('https://signzy.tech'),
+  SIGNZY_TEST_OTP: z.string().optional(), // Returned to clients in sandbox mode (stub server uses 111000)
+  SIGNZY_WEBHOOK_SECRET: z.string().optional(), // Callback signing secret (x-signzy-signature)
   
-  // ===== KARZA CONFIGURATION (FUTURE - OPTIONAL) =====
+  // ===== KARZA CONFIGURATION (OPTIONAL) =====
+  KARZA_ENV: z.enum(['sandbox', 'production']).default('sandbox'),
   KARZA_API_KEY: z.string().optional(),
   KARZA_API_SECRET: z.string().optional(),
-  KARZA_BASE_URL: z.string().url().optional(),
+  KARZA_BASE_URL: z.string().url().optional(), // Overrides the URL for KARZA_ENV; use http://localhost:4010 with the local stub (npm run stub:karza)
+  KARZA_SANDBOX_URL: z.string().url().default('https://testapi.karza.in'),
+  KARZA_PRODUCTION_URL: z.string().url().default('https://api.karza.in'),
+  KARZA_TEST_OTP: z.string().optional(), // Returned to clients in sandbox mode (stub server uses 111000)
+  KARZA_WEBHOOK_SECRET: z.string().optional(), // Webhook signing secret (x-karza-signature)
+  
+  // ===== MOCK PROVIDER (OFFLINE DEVELOPMENT) =====
+  MOCK_SCENARIOS_FILE: z.string().optional(), // Scenario fixtures, defaults to stubs/mockScenarios.json
+  MOCK_LATENCY_MS: z.string().transform(Number).default('500'), // Simulated latency when no scenario sets delayMs
+  MOCK_WEBHOOK_SECRET: z.string().optional(), // Defaults to mock-webhook-secret
   
   // ===== FEATURE FLAGS =====
   FEATURE_AADHAAR: z.string().default('true'),
@@ -44,8 +80,42 @@ const envSchema = z.object({
   FEATURE_FACE: z.string().default('false'),
   FEATURE_LIVENESS: z.string().default('false'),
   
-  // Main Backend URL (for callbacks if needed)
+  // Main Backend URL (verification events are delivered here via the outbox)
   MAIN_BACKEND_URL: z.string().url().optional(),
+  VERIFICATION_WEBHOOK_PATH: z.string().default('/api/v1/webhooks/verification'),
+  VERIFICATION_WEBHOOK_SECRET: z.string().optional(), // HMAC secret for X-Verification-Signature
+  OUTBOX_POLL_INTERVAL_MS: z.string().transform(Number).default('5000'),
+  OUTBOX_MAX_ATTEMPTS: z.string().transform(Number).default('8'), // Then dead-lettered
+  OUTBOX_RETRY_BASE_DELAY_MS: z.string().transform(Number).default('30000'), // Doubles per attempt
+  OUTBOX_RETRY_MAX_DELAY_MS: z.string().transform(Number).default('3600000'), // 1 hour
+  
+  // Background jobs
+  OTP_EXPIRY_SWEEP_INTERVAL_MS: z.string().transform(Number).default('60000'), // 0 disables the sweeper
+  RETENTION_PURGE_INTERVAL_MS: z.string().transform(Number).default('3600000'), // 0 disables the purger
+  
+  // Duplicate identity detection (services/identityIndex.js)
+  IDENTIFIER_HASH_SECRET: z.string().optional(), // HMAC key for identifierHash; never change once set
+  DUPLICATE_IDENTITY_POLICY: z.enum(['block', 'flag']).default('block'),
+  
+  // Name matching across Aadhaar, PAN and bank verifications (services/nameMatch.js)
+  NAME_MATCH_THRESHOLD: z.string().transform(Number).default('0.8'), // Scores below this are mismatches (0-1)
+  NAME_MISMATCH_POLICY: z.enum(['flag', 'review']).default('flag'), // review: PAN/bank mismatches go to manual review
+  
+  // Identifier velocity limits, across all users (services/identifierVelocity.js); 0 disables a rule
+  VELOCITY_AADHAAR_OTP_HOURLY: z.string().transform(Number).default('3'), // OTPs per Aadhaar number per hour
+  VELOCITY_AADHAAR_OTP_DAILY: z.string().transform(Number).default('5'), // OTPs per Aadhaar number per day
+  VELOCITY_PAN_VERIFY_DAILY: z.string().transform(Number).default('5'),
+  VELOCITY_BANK_VERIFY_DAILY: z.string().transform(Number).default('5'),
+  
+  // Field encryption (envelope encryption of verification PII)
+  KMS_PROVIDER: z.enum(['local']).default('local'),
+  LOCAL_KMS_KEYS_FILE: z.string().default('keys/local-kms.json'), // Created automatically outside production
+  
+  // Manual review: face match scores within this margin of the threshold are queued for a reviewer (0 disables)
+  REVIEW_FACE_MATCH_MARGIN: z.string().transform(Number).default('0.05'),
+  
+  // Idempotency-Key responses are replayed for this long
+  IDEMPOTENCY_TTL_HOURS: z.string().transform(Number).default('24'),
   
   // Logging
   LOG_LEVEL: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
@@ -110,11 +180,12 @@ function getCorsConfig(env) {
       'X-Service-Auth',
       'X-User-Id',
       'X-Service-Name',
+      'Idempotency-Key',
       'Cache-Control',
       'Pragma'
     ],
     preflightContinue: false,
-    exposedHeaders: ['Content-Length'],
+    exposedHeaders: ['Content-Length', 'Idempotent-Replayed', 'Retry-After'],
     maxAge: 86400 // 24 hours
   };
 }
@@ -126,6 +197,34 @@ function getCashfreeBaseUrl(env) {
     : env.CASHFREE_SANDBOX_URL;
 }
 
+// Get Karza base URL: KARZA_BASE_URL if set (e.g. the local stub), else by environment
+function getKarzaBaseUrl(env) {
+  if (env.KARZA_BASE_URL) {
+    return env.KARZA_BASE_URL;
+  }
+  return env.KARZA_ENV === 'production'
+    ? env.KARZA_PRODUCTION_URL
+    : env.KARZA_SANDBOX_URL;
+}
+
+// Get Signzy base URL: SIGNZY_BASE_URL if set (e.g. the local stub), else by environment
+function getSignzyBaseUrl(env) {
+  if (env.SIGNZY_BASE_URL) {
+    return env.SIGNZY_BASE_URL;
+  }
+  return env.SIGNZY_ENV === 'production'
+    ? env.SIGNZY_PRODUCTION_URL
+    : env.SIGNZY_SANDBOX_URL;
+}
+
+// Get providers referenced by VERIFICATION_PROVIDER and VERIFICATION_PROVIDER_CHAIN
+function getProvidersInUse(env) {
+  const chain = (env.VERIFICATION_PROVIDER_CHAIN || '').split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  return [env.VERIFICATION_PROVIDER, ...chain];
+}
+
 function validateEnv() {
   try {
     const env = envSchema.parse(process.env);
@@ -135,14 +234,77 @@ function validateEnv() {
       throw new Error('MONGODB_URI is required in production');
     }
     
+    // Validate service authentication
+    if (env.SERVICE_AUTH_MODE !== 'jwt' && !env.SERVICE_AUTH_TOKEN && !env.MONGODB_URI) {
+      throw new Error('SERVICE_AUTH_TOKEN is required when MongoDB (and the service client registry) is not configured');
+    }
+    if (env.SERVICE_AUTH_TOKEN_SCOPES) {
+      const unknownScopes = env.SERVICE_AUTH_TOKEN_SCOPES.split(',')
+        .map(scope => scope.trim())
+        .filter(scope => scope && !SERVICE_SCOPES.includes(scope));
+      if (unknownScopes.length > 0) {
+        throw new Error(`SERVICE_AUTH_TOKEN_SCOPES has unknown scope(s): ${unknownScopes.join(', ')}`);
+      }
+    }
+    
+    if (env.SERVICE_AUTH_MODE !== 'secret') {
+      if (!env.JWT_JWKS_FILE || !fs.existsSync(path.resolve(env.JWT_JWKS_FILE))) {
+        throw new Error(`JWT_JWKS_FILE must point to a JWKS file when SERVICE_AUTH_MODE is ${env.SERVICE_AUTH_MODE}`);
+      }
+      if (env.NODE_ENV === 'production' && (!env.JWT_ISSUER || !env.JWT_AUDIENCE)) {
+        throw new Error('JWT_ISSUER and JWT_AUDIENCE are required in production when JWT authentication is enabled');
+      }
+    }
+    
+    // Validate credentials of providers in use
+    const providersInUse = getProvidersInUse(env);
+    if (providersInUse.includes('cashfree') && (!env.CASHFREE_CLIENT_ID || !env.CASHFREE_CLIENT_SECRET)) {
+      throw new Error('CASHFREE_CLIENT_ID and CASHFREE_CLIENT_SECRET are required when Cashfree is a verification provider');
+    }
+    if (providersInUse.includes('karza') && !env.KARZA_API_KEY) {
+      throw new Error('KARZA_API_KEY is required when Karza is a verification provider');
+    }
+    if (providersInUse.includes('signzy') && (!env.SIGNZY_API_KEY || !env.SIGNZY_API_SECRET)) {
+      throw new Error('SIGNZY_API_KEY and SIGNZY_API_SECRET are required when Signzy is a verification provider');
+    }
+    if (env.MAIN_BACKEND_URL && !env.VERIFICATION_WEBHOOK_SECRET) {
+      throw new Error('VERIFICATION_WEBHOOK_SECRET is required when MAIN_BACKEND_URL is set');
+    }
+    if (providersInUse.includes('mock') && env.NODE_ENV === 'production') {
+      throw new Error('The mock verification provider cannot be used in production');
+    }
+    if (!env.IDENTIFIER_HASH_SECRET && env.NODE_ENV === 'production') {
+      throw new Error('IDENTIFIER_HASH_SECRET is required in production');
+    }
+    if (env.KMS_PROVIDER === 'local' && env.NODE_ENV === 'production' && !fs.existsSync(path.resolve(env.LOCAL_KMS_KEYS_FILE))) {
+      throw new Error(`LOCAL_KMS_KEYS_FILE not found: ${env.LOCAL_KMS_KEYS_FILE} (it is only created automatically outside production)`);
+    }
+    
     // Log configuration
     console.log('✅ Environment validation successful');
     console.log(`   Environment: ${env.NODE_ENV}`);
     console.log(`   Port: ${env.PORT}`);
     console.log(`   Verification Provider: ${env.VERIFICATION_PROVIDER}`);
+    if (env.VERIFICATION_PROVIDER_CHAIN) {
+      console.log(`   Provider Failover Chain: ${env.VERIFICATION_PROVIDER_CHAIN}`);
+    }
     console.log(`   Cashfree Environment: ${env.CASHFREE_ENV}`);
     console.log(`   Cashfree Base URL: ${getCashfreeBaseUrl(env)}`);
+    if (getProvidersInUse(env).includes('karza')) {
+      console.log(`   Karza Base URL: ${getKarzaBaseUrl(env)} (${env.KARZA_ENV})`);
+    }
+    if (getProvidersInUse(env).includes('signzy')) {
+      console.log(`   Signzy Base URL: ${getSignzyBaseUrl(env)} (${env.SIGNZY_ENV})`);
+    }
     console.log(`   MongoDB: ${env.MONGODB_URI ? 'Configured' : 'Not configured (in-memory fallback)'}`);
+    if (env.SERVICE_AUTH_MODE !== 'jwt') {
+      console.log(`   Service Auth: client registry${env.MONGODB_URI ? '' : ' (unavailable without MongoDB)'}${env.SERVICE_AUTH_TOKEN ? ' + legacy SERVICE_AUTH_TOKEN' : ''}`);
+    }
+    if (env.SERVICE_AUTH_MODE !== 'secret') {
+      console.log(`   Service Auth: gateway JWTs (${env.JWT_JWKS_FILE})${env.SERVICE_AUTH_MODE === 'both' ? ' when a bearer token is sent' : ''}`);
+    }
+    console.log(`   Field Encryption: ${env.KMS_PROVIDER} KMS (${env.LOCAL_KMS_KEYS_FILE})`);
+    console.log(`   Event Outbox: ${env.MAIN_BACKEND_URL ? env.MAIN_BACKEND_URL + env.VERIFICATION_WEBHOOK_PATH : 'Disabled (MAIN_BACKEND_URL not set)'}`);
     console.log('   Feature Flags:');
     console.log(`     - Aadhaar: ${env.FEATURE_AADHAAR === 'true' ? '✅ ENABLED' : '🔒 DISABLED'}`);
     console.log(`     - PAN: ${env.FEATURE_PAN === 'true' ? '✅ ENABLED' : '🔒 DISABLED (ready)'}`);
@@ -171,6 +333,8 @@ module.exports = {
   validateEnv, 
   envSchema, 
   getCorsConfig,
-  getCashfreeBaseUrl
+  getCashfreeBaseUrl,
+  getKarzaBaseUrl,
+  getSignzyBaseUrl
 };
 
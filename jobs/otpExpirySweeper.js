@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const Verification = require('../models/Verification');
+const { withJobLock } = require('../services/jobLock');
+const logger = require('../config/logger');
+
+/**
+ * OTP Expiry Sweeper
+ * Moves OTP sessions still in 'otp_sent' after otpExpiresAt to 'expired'
+ * (abandoned by the user). Runs on every replica; a job lock makes sure
+ * only one of them sweeps at a time.
+ */
+
+const LOCK_NAME = 'otp-expiry-sweeper';
+const LOCK_TTL_MS = 5 * 60 * 1000; // Longer than a sweep can take
+const BATCH_SIZE = 100;
+const MAX_BATCHES = 10; // Per run; the rest is picked up by the next run
+
+// Sweeper metrics since process start (exposed on /health)
+const metrics = {
+  runs: 0,
+  skippedRuns: 0, // Lock held by another replica
+  lastRunAt: null,
+  lastRunExpired: 0,
+  totalExpired: 0,
+  expiredByProvider: {},
+  errors: 0,
+  lastError: null
+};
+
+/**
+ * Expire stale OTP sessions
+ * A session verified (or resent) while the sweep runs is left alone.
+ *
+ * @param {object} options - { batchSize, maxBatches }
+ * @returns {Promise<{expired: number, skipped: number, byProvider: object}>}
+ */
+async function sweepExpiredOtpSessions({ batchSize = BATCH_SIZE, maxBatches = MAX_BATCHES } = {}) {
+  const stats = { expired: 0, skipped: 0, byProvider: {} };
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const sessions = await Verification.find({
+      status: 'otp_sent',
+      otpExpiresAt: { $lte: new Date() }
+    })
+      .sort({ otpExpiresAt: 1 })
+      .limit(batchSize);
+
+    for (const verification of sessions) {
+      verification.transition('expired', {
+        performedBy: 'system',
+        reason: 'OTP expired before verification',
+        metadata: {
+          source: 'otp_expiry_sweeper',
+          otpExpiresAt: verification.otpExpiresAt
+        }
+      });
+      // Only save over a session that is still waiting for its OTP
+      verification.$where = { status: 'otp_sent', otpExpiresAt: verification.otpExpiresAt };
+
+      try {
+        await verification.save();
+        stats.expired += 1;
+        stats.byProvider[verification.provider] = (stats.byProvider[verification.provider] || 0) + 1;
+      } catch (error) {
+        if (!(error instanceof mongoose.Error.DocumentNotFoundError)) {
+          throw error;
+        }
+        stats.skipped += 1;
+      }
+    }
+
+    if (sessions.length < batchSize) {
+      break;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Get sweeper metrics
+ * @returns {object}
+ */
+function getOtpExpiryMetrics() {
+  return { ...metrics, expiredByProvider: { ...metrics.expiredByProvider } };
+}
+
+/**
+ * Start the OTP expiry sweeper
+ * @param {object} env - Validated environment
+ * @returns {{stop: Function}|null} Handle to stop the sweeper, or null if disabled
+ */
+function startOtpExpirySweeper(env) {
+  const intervalMs = Number(env.OTP_EXPIRY_SWEEP_INTERVAL_MS);
+  if (!intervalMs) {
+    logger.info('⏸️ OTP_EXPIRY_SWEEP_INTERVAL_MS is 0; OTP expiry sweeper disabled');
+    return null;
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    // Skip while a previous run is still sweeping, or without MongoDB
+    if (running || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    running = true;
+    try {
+      const { acquired, result } = await withJobLock(LOCK_NAME, LOCK_TTL_MS, () => sweepExpiredOtpSessions());
+      if (!acquired) {
+        metrics.skippedRuns += 1;
+        return;
+      }
+
+      metrics.runs += 1;
+      metrics.lastRunAt = new Date().toISOString();
+      metrics.lastRunExpired = result.expired;
+      metrics.totalExpired += result.expired;
+      for (const [provider, count] of Object.entries(result.byProvider)) {
+        metrics.expiredByProvider[provider] = (metrics.expiredByProvider[provider] || 0) + count;
+      }
+
+      if (result.expired) {
+        logger.info('⌛ Expired abandoned OTP sessions', {
+          expired: result.expired,
+          skipped: result.skipped,
+          totalExpired: metrics.totalExpired
+        });
+      }
+    } catch (error) {
+      metrics.errors += 1;
+      metrics.lastError = error.message;
+      logger.error('❌ OTP expiry sweep failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('⌛ OTP expiry sweeper started', { intervalMs });
+
+  return {
+    stop() {
+      clearInterval(timer);
+      logger.info('✅ OTP expiry sweeper stopped');
+    }
+  };
+}
+
+module.exports = {
+  sweepExpiredOtpSessions,
+  getOtpExpiryMetrics,
+  startOtpExpirySweeper,
+};
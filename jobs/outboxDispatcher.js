@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { processDueEvents, drainPendingEvents, isOutboxEnabled } = require('../services/outbox');
+const logger = require('../config/logger');
+
+/**
+ * Outbox Dispatcher
+ * Moves events left on verifications (Verification.pendingEvents) to the outbox
+ * collection, then delivers due events to the main backend.
+ * Safe to run on several instances: moves are idempotent and events are claimed atomically.
+ *
+ * @param {object} env - Validated environment
+ * @returns {{stop: Function}|null} Handle to stop the dispatcher, or null if disabled
+ */
+function startOutboxDispatcher(env) {
+  if (!isOutboxEnabled(env)) {
+    logger.info('📭 MAIN_BACKEND_URL not set; outbox dispatcher disabled');
+    return null;
+  }
+
+  const intervalMs = Number(env.OUTBOX_POLL_INTERVAL_MS) || 5000;
+  let running = false;
+
+  const tick = async () => {
+    // Skip while a previous run is still delivering, or without MongoDB
+    if (running || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    running = true;
+    try {
+      await drainPendingEvents();
+      const stats = await processDueEvents({ config: env });
+      if (stats.delivered || stats.failed) {
+        logger.debug('📤 Outbox dispatch run', stats);
+      }
+    } catch (error) {
+      logger.error('❌ Outbox dispatch run failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('📤 Outbox dispatcher started', {
+    target: env.MAIN_BACKEND_URL,
+    intervalMs
+  });
+
+  return {
+    stop() {
+      clearInterval(timer);
+      logger.info('✅ Outbox dispatcher stopped');
+    }
+  };
+}
+
+module.exports = { startOutboxDispatcher };
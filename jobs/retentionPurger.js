@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+const Verification = require('../models/Verification');
+const { purgeConsentRecords } = require('../services/consentLedger');
+const { withJobLock } = require('../services/jobLock');
+const logger = require('../config/logger');
+
+/**
+ * Retention Purger
+ * Removes personal data from verifications (and the IP addresses and user agents
+ * of their consent ledger entries) whose complianceFlags.scheduledDeletionAt
+ * has passed, leaving a tombstone with a 'data_purged' audit entry.
+ * Runs on every replica; a job lock makes sure only one of them purges at a time.
+ */
+
+const LOCK_NAME = 'retention-purger';
+const LOCK_TTL_MS = 15 * 60 * 1000; // Longer than a purge can take
+const BATCH_SIZE = 100;
+const MAX_BATCHES = 20; // Per run; the rest is picked up by the next run
+
+// Purger metrics since process start (exposed on /health)
+const metrics = {
+  runs: 0,
+  skippedRuns: 0, // Lock held by another replica
+  lastRunAt: null,
+  lastRunPurged: 0,
+  totalPurged: 0,
+  errors: 0,
+  lastError: null
+};
+
+/**
+ * Purge verifications past their retention date
+ * A verification re-initiated while the purge runs is left alone.
+ *
+ * @param {object} options - { batchSize, maxBatches }
+ * @returns {Promise<{purged: number, skipped: number}>}
+ */
+async function purgeExpiredRecords({ batchSize = BATCH_SIZE, maxBatches = MAX_BATCHES } = {}) {
+  const stats = { purged: 0, skipped: 0 };
+
+  for (let batch = 0; batch < maxBatches; batch++) {
+    const verifications = await Verification.find({
+      'complianceFlags.scheduledDeletionAt': { $lte: new Date() }
+    })
+      .sort({ 'complianceFlags.scheduledDeletionAt': 1 })
+      .limit(batchSize);
+
+    for (const verification of verifications) {
+      const scheduledDeletionAt = verification.complianceFlags.scheduledDeletionAt;
+
+      // Ledger first: a failure stops the run before the record is marked purged, so the next run retries it
+      await purgeConsentRecords({ verificationId: verification._id });
+      verification.purgePersonalData({
+        reason: 'retention_period_elapsed',
+        performedBy: 'system'
+      });
+      // Only save over a record that is still due
+      verification.$where = { 'complianceFlags.scheduledDeletionAt': scheduledDeletionAt };
+
+      try {
+        await verification.save();
+        stats.purged += 1;
+      } catch (error) {
+        if (!(error instanceof mongoose.Error.DocumentNotFoundError)) {
+          throw error;
+        }
+        stats.skipped += 1;
+      }
+    }
+
+    if (verifications.length < batchSize) {
+      break;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Get purger metrics
+ * @returns {object}
+ */
+function getRetentionPurgeMetrics() {
+  return { ...metrics };
+}
+
+/**
+ * Start the retention purger
+ * @param {object} env - Validated environment
+ * @returns {{stop: Function}|null} Handle to stop the purger, or null if disabled
+ */
+function startRetentionPurger(env) {
+  const intervalMs = Number(env.RETENTION_PURGE_INTERVAL_MS);
+  if (!intervalMs) {
+    logger.info('⏸️ RETENTION_PURGE_INTERVAL_MS is 0; retention purger disabled');
+    return null;
+  }
+
+  let running = false;
+
+  const tick = async () => {
+    // Skip while a previous run is still purging, or without MongoDB
+    if (running || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    running = true;
+    try {
+      const { acquired, result } = await withJobLock(LOCK_NAME, LOCK_TTL_MS, () => purgeExpiredRecords());
+      if (!acquired) {
+        metrics.skippedRuns += 1;
+        return;
+      }
+
+      metrics.runs += 1;
+      metrics.lastRunAt = new Date().toISOString();
+      metrics.lastRunPurged = result.purged;
+      metrics.totalPurged += result.purged;
+
+      if (result.purged) {
+        logger.info('🧹 Purged personal data past retention', {
+          purged: result.purged,
+          skipped: result.skipped,
+          totalPurged: metrics.totalPurged
+        });
+      }
+    } catch (error) {
+      metrics.errors += 1;
+      metrics.lastError = error.message;
+      logger.error('❌ Retention purge failed', { error: error.message });
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+
+  logger.info('🧹 Retention purger started', { intervalMs });
+
+  return {
+    stop() {
+      clearInterval(timer);
+      logger.info('✅ Retention purger stopped');
+    }
+  };
+}
+
+module.exports = {
+  purgeExpiredRecords,
+  getRetentionPurgeMetrics,
+  startRetentionPurger,
+};
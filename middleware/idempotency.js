@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IdempotencyRecord = require('../models/IdempotencyRecord');
+const { generateDataKey, unwrapDataKey, encryptValue, decryptValue } = require('../services/fieldEncryption');
+const logger = require('../config/logger');
+
+/**
+ * Idempotency Middleware
+ * A POST sent with an Idempotency-Key header runs once: retries with the same
+ * key (same caller, user and route) get the stored response back with
+ * Idempotent-Replayed: true, and reusing the key for a different body is
+ * rejected. Server errors (5xx) and rate limit responses (429) are not stored,
+ * so those requests can be retried with the same key.
+ * Use after serviceAuthMiddleware and resolveUserId, before rate limiters.
+ */
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/; // Printable ASCII, no spaces
+const LOCK_MS = 60000; // Longer than a request can take (provider timeouts included)
+
+const getTtlMs = () => (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// JSON with sorted object keys, so the same payload always hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function sendError(res, status, error, code) {
+  return res.status(status).json({
+    success: false,
+    error,
+    code
+  });
+}
+
+/**
+ * Store the response of a completed request
+ * @param {string} recordId
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body
+ */
+async function storeResponse(recordId, status, body) {
+  if (status >= 500 || status === 429) {
+    await IdempotencyRecord.deleteOne({ _id: recordId });
+    return;
+  }
+
+  const { dataKey, keyId, wrappedKey } = generateDataKey();
+  await IdempotencyRecord.updateOne(
+    { _id: recordId },
+    {
+      $set: {
+        status: 'completed',
+        responseStatus: status,
+        responseBody: encryptValue(JSON.stringify(body), dataKey),
+        encryption: { keyId, wrappedKey }
+      },
+      $unset: { lockedUntil: '' }
+    }
+  );
+}
+
+/**
+ * Send a stored response again
+ * @param {object} res
+ * @param {IdempotencyRecord} record - Completed record
+ */
+function replayResponse(res, record) {
+  const dataKey = unwrapDataKey(record.encryption.keyId, record.encryption.wrappedKey);
+  const body = JSON.parse(decryptValue(record.responseBody, dataKey));
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.responseStatus).json(body);
+}
+
+async function idempotencyMiddleware(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return sendError(res, 400, 'Idempotency-Key must be 1-255 printable ASCII characters', 'INVALID_IDEMPOTENCY_KEY');
+  }
+
+  // Records live in MongoDB; without it requests run as if no key was sent
+  if (mongoose.connection.readyState !== 1) {
+    logger.warn('⚠️ Idempotency-Key ignored: MongoDB not connected', { path: req.path });
+    return next();
+  }
+
+  const path = `${req.baseUrl}${req.path}`;
+  const recordId = sha256([req.callingService, req.userId || '', req.method, path, key].join('\n'));
+  const requestHash = sha256(`${req.method} ${path}\n${canonicalJson(req.body || {})}`);
+  const now = new Date();
+
+  try {
+    let owned = true;
+
+    try {
+      await IdempotencyRecord.create({
+        _id: recordId,
+        requestHash,
+        lockedUntil: new Date(now.getTime() + LOCK_MS),
+        callingService: req.callingService,
+        userId: req.userId,
+        path,
+        expiresAt: new Date(now.getTime() + getTtlMs())
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      owned = false;
+    }
+
+    if (!owned) {
+      const record = await IdempotencyRecord.findById(recordId);
+
+      if (!record) {
+        // Expired or released between the insert and the read
+        return sendError(res, 409, 'Request with this Idempotency-Key is being processed', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+      }
+      if (record.requestHash !== requestHash) {
+        return sendError(res, 422, 'Idempotency-Key was already used with a different request', 'IDEMPOTENCY_KEY_REUSED');
+      }
+      if (record.status === 'completed') {
+        logger.info('🔁 Idempotent request replayed', { path, callingService: req.callingService, userId: req.userId });
+        return replayResponse(res, record);
+      }
+
+      // In progress: wait for it, unless its owner died (lock expired)
+      const takenOver = await IdempotencyRecord.findOneAndUpdate(
+        { _id: recordId, status: 'in_progress', lockedUntil: { $lte: now } },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } }
+      );
+      if (!takenOver) {
+        res.set('Retry-After', '1');
+        return sendError(res, 409, 'Request with this Idempotency-Key is being processed', 'IDEMPOTENCY_REQUEST_IN_PROGRESS');
+      }
+    }
+  } catch (error) {
+    logger.error('❌ Idempotency check failed', { path, error: error.message });
+    return sendError(res, 503, 'Idempotency check is temporarily unavailable', 'IDEMPOTENCY_UNAVAILABLE');
+  }
+
+  // Store the response before sending it, so a retry after it arrives always replays
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    res.json = sendJson;
+    storeResponse(recordId, res.statusCode, body)
+      .catch(error => {
+        logger.error('❌ Failed to store idempotent response', { path, error: error.message });
+      })
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+}
+
+/**
+ * Delete a user's stored responses (right to erasure: they can hold verified data)
+ * @param {string} userId
+ * @returns {Promise<number>} Records deleted
+ */
+async function deleteUserIdempotencyRecords(userId) {
+  const result = await IdempotencyRecord.deleteMany({ userId });
+  return result.deletedCount;
+}
+
+module.exports = { idempotencyMiddleware, deleteUserIdempotencyRecords };
@@ -1,9 +1,11 @@
 const rateLimit = require('express-rate-limit');
+const { createRateLimitStore } = require('../services/rateLimitStore');
 const logger = require('../config/logger');
 
 /**
  * Per-user rate limiting middleware for OTP operations
  * Prevents abuse by limiting OTP requests per user
+ * Counters live in MongoDB, so limits apply across all replicas
  */
 
 /**
@@ -13,12 +15,13 @@ const logger = require('../config/logger');
 const otpGenerationLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 3, // Max 3 requests per window
+  store: createRateLimitStore('otp-gen'),
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   
-  // Key generator: use user ID from header or IP as fallback
+  // Key generator: use the resolved user ID (middleware/requestIdentity.js) or IP as fallback
   keyGenerator: (req) => {
-    const userId = req.headers['x-user-id'] || req.body?.userId;
+    const userId = req.userId;
     if (userId) {
       return `otp-gen-user:${userId}`;
     }
@@ -28,7 +31,7 @@ const otpGenerationLimiter = rateLimit({
   
   // Custom handler for rate limit exceeded
   handler: (req, res) => {
-    const userId = req.headers['x-user-id'] || req.body?.userId || 'unknown';
+    const userId = req.userId || 'unknown';
     
     logger.warn('⚠️ OTP generation rate limit exceeded', {
       userId,
@@ -58,11 +61,12 @@ const otpGenerationLimiter = rateLimit({
 const otpResendLimiter = rateLimit({
   windowMs: 60 * 60 * 1000, // 1 hour
   max: 5, // Max 5 requests per window
+  store: createRateLimitStore('otp-resend'),
   standardHeaders: true,
   legacyHeaders: false,
   
   keyGenerator: (req) => {
-    const userId = req.headers['x-user-id'] || req.body?.userId;
+    const userId = req.userId;
     if (userId) {
       return `otp-resend-user:${userId}`;
     }
@@ -70,7 +74,7 @@ const otpResendLimiter = rateLimit({
   },
   
   handler: (req, res) => {
-    const userId = req.headers['x-user-id'] || req.body?.userId || 'unknown';
+    const userId = req.userId || 'unknown';
     
     logger.warn('⚠️ OTP resend rate limit exceeded', {
       userId,
@@ -99,11 +103,12 @@ const otpResendLimiter = rateLimit({
 const otpVerificationLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // Max 10 attempts per window
+  store: createRateLimitStore('otp-verify'),
   standardHeaders: true,
   legacyHeaders: false,
   
   keyGenerator: (req) => {
-    const userId = req.headers['x-user-id'] || req.body?.userId;
+    const userId = req.userId;
     if (userId) {
       return `otp-verify-user:${userId}`;
     }
@@ -111,7 +116,7 @@ const otpVerificationLimiter = rateLimit({
   },
   
   handler: (req, res) => {
-    const userId = req.headers['x-user-id'] || req.body?.userId || 'unknown';
+    const userId = req.userId || 'unknown';
     
     logger.warn('⚠️ OTP verification rate limit exceeded', {
       userId,
@@ -140,6 +145,7 @@ const otpVerificationLimiter = rateLimit({
 const globalVerificationLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Max 100 requests per window
+  store: createRateLimitStore('global'),
   standardHeaders: true,
   legacyHeaders: false,
   
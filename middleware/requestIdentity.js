@@ -0,0 +1,85 @@
+const logger = require('../config/logger');
+
+/**
+ * Request Identity Middleware
+ * Resolves the one user a request acts for (req.userId). Body routes act for
+ * X-User-Id (pinned to the token subject in JWT mode) or the body userId, which
+ * must agree. A path :userId is only the caller's own when it matches the JWT
+ * subject: X-User-Id is not authenticated in secret mode, so there every
+ * :userId route needs the route's cross-user scope (e.g. users:read), granted
+ * explicitly to the client. Use after serviceAuthMiddleware.
+ */
+
+const normalize = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+function reject(req, res, status, error, code, details = {}) {
+  logger.warn('⚠️ Request identity rejected', {
+    code,
+    service: req.serviceClient?.name || 'unknown',
+    path: req.path,
+    method: req.method,
+    ...details
+  });
+
+  return res.status(status).json({
+    success: false,
+    error,
+    code
+  });
+}
+
+/**
+ * Resolve req.userId
+ * Routes without :userId take it from X-User-Id or the body (missing userId
+ * is left to the route's own validation).
+ * @param {object} options - { crossUserScope: scope that allows a :userId other than the caller's user }
+ * @returns {Function} Express middleware
+ */
+function resolveUserId({ crossUserScope } = {}) {
+  return (req, res, next) => {
+    const callerUserId = normalize(req.serviceUserId);
+    const authenticatedUserId = normalize(req.authenticatedUserId); // JWT subject only
+    const pathUserId = normalize(req.params.userId);
+    const bodyUserId = normalize(req.body?.userId);
+
+    if (!pathUserId) {
+      if (callerUserId && bodyUserId && callerUserId !== bodyUserId) {
+        return reject(req, res, 403, 'Body userId does not match X-User-Id', 'USER_ID_MISMATCH');
+      }
+      req.userId = callerUserId || bodyUserId || undefined;
+      return next();
+    }
+
+    if (bodyUserId && bodyUserId !== pathUserId) {
+      return reject(req, res, 403, 'Body userId does not match the path userId', 'USER_ID_MISMATCH');
+    }
+
+    if (callerUserId && callerUserId !== pathUserId) {
+      return reject(req, res, 403, 'Path userId does not match X-User-Id', 'USER_ID_MISMATCH');
+    }
+
+    if (authenticatedUserId !== pathUserId) {
+      if (!crossUserScope || !req.serviceClient?.scopes.includes(crossUserScope)) {
+        return reject(
+          req, res, 403,
+          `Acting on a user by path needs a gateway token for that user${crossUserScope ? `, or the ${crossUserScope} scope` : ''}`,
+          'CROSS_USER_ACCESS_DENIED'
+        );
+      }
+
+      req.crossUserAccess = true;
+      logger.info('👥 Cross-user access', {
+        service: req.serviceClient.name,
+        scope: crossUserScope,
+        callerUserId,
+        userId: pathUserId,
+        path: req.path
+      });
+    }
+
+    req.userId = pathUserId;
+    next();
+  };
+}
+
+module.exports = { resolveUserId };
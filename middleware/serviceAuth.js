@@ -1,18 +1,112 @@
+const { authenticateServiceClient } = require('../services/serviceClients');
+const { verifyServiceToken } = require('../services/serviceTokens');
 const logger = require('../config/logger');
 
 /**
  * Service Authentication Middleware
- * Validates service-to-service calls using shared secret
+ * Validates service-to-service calls against the service client registry
+ * (X-Service-Name + X-Service-Auth; see services/serviceClients.js) and/or
+ * gateway-issued JWTs (Authorization: Bearer; see services/serviceTokens.js),
+ * depending on SERVICE_AUTH_MODE (secret | jwt | both)
  * Completely independent implementation
  */
 
-const SERVICE_AUTH_TOKEN = process.env.SERVICE_AUTH_TOKEN;
+/**
+ * Bearer token from the Authorization header
+ * @param {object} req
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Authenticate with a gateway JWT; the user is the token subject
+ */
+function jwtAuthMiddleware(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    logger.warn('Missing service bearer token', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: 'Missing bearer token',
+      code: 'MISSING_SERVICE_AUTH'
+    });
+  }
+
+  let identity;
+  try {
+    identity = verifyServiceToken(token);
+  } catch (error) {
+    if (error.statusCode !== 401) {
+      logger.error('❌ Service token verification failed', { path: req.path, error: error.message });
+      return res.status(503).json({
+        success: false,
+        error: 'Service authentication is temporarily unavailable',
+        code: 'SERVICE_AUTH_UNAVAILABLE'
+      });
+    }
 
-if (!SERVICE_AUTH_TOKEN) {
-  throw new Error('SERVICE_AUTH_TOKEN environment variable is required');
+    logger.warn('Invalid service bearer token', {
+      reason: error.message,
+      ip: req.ip,
+      path: req.path,
+      method: req.method
+    });
+
+    return res.status(401).json({
+      success: false,
+      error: error.message,
+      code: 'INVALID_SERVICE_TOKEN'
+    });
+  }
+
+  // The token subject is the user; a different x-user-id or body userId is rejected
+  const claimedUserIds = [req.headers['x-user-id'], req.body?.userId].filter(Boolean).map(String);
+  if (claimedUserIds.some(userId => userId !== identity.userId)) {
+    logger.warn('userId does not match service token subject', {
+      service: identity.name,
+      tokenId: identity.tokenId,
+      path: req.path,
+      method: req.method
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: 'userId does not match the authenticated user',
+      code: 'USER_ID_MISMATCH'
+    });
+  }
+
+  req.serviceClient = { name: identity.name, scopes: identity.scopes, tokenId: identity.tokenId, legacy: false };
+  req.callingService = identity.name;
+  req.serviceUserId = identity.userId;
+  req.authenticatedUserId = identity.userId; // Verified by the token signature (X-User-Id is not)
+  // Routes and rate limiters read x-user-id; pin it to the token subject
+  req.headers['x-user-id'] = identity.userId;
+
+  logger.debug('Service token authentication successful', {
+    service: identity.name,
+    userId: identity.userId,
+    path: req.path
+  });
+
+  next();
 }
 
-function serviceAuthMiddleware(req, res, next) {
+async function serviceAuthMiddleware(req, res, next) {
+  const mode = process.env.SERVICE_AUTH_MODE || 'secret';
+  if (mode === 'jwt' || (mode === 'both' && getBearerToken(req))) {
+    return jwtAuthMiddleware(req, res, next);
+  }
+
   const token = req.headers['x-service-auth'];
   
   if (!token) {
@@ -29,8 +123,28 @@ function serviceAuthMiddleware(req, res, next) {
     });
   }
 
-  if (token !== SERVICE_AUTH_TOKEN) {
+  const serviceName = req.headers['x-service-name'];
+  let client;
+
+  try {
+    client = await authenticateServiceClient(serviceName, token);
+  } catch (error) {
+    logger.error('❌ Service client lookup failed', {
+      service: serviceName,
+      path: req.path,
+      error: error.message
+    });
+
+    return res.status(503).json({
+      success: false,
+      error: 'Service authentication is temporarily unavailable',
+      code: 'SERVICE_AUTH_UNAVAILABLE'
+    });
+  }
+
+  if (!client) {
     logger.warn('Invalid service authentication token', {
+      service: serviceName || 'unknown',
       ip: req.ip,
       path: req.path,
       method: req.method
@@ -43,20 +157,19 @@ function serviceAuthMiddleware(req, res, next) {
     });
   }
 
-  // Extract user context if provided
+  req.serviceClient = client;
+  req.callingService = client.name;
+
+  // Extract user context if provided (caller-supplied: never authenticates a path :userId,
+  // see middleware/requestIdentity.js)
   const userId = req.headers['x-user-id'];
   if (userId) {
     req.serviceUserId = userId;
   }
 
-  // Extract service context if provided
-  const serviceName = req.headers['x-service-name'];
-  if (serviceName) {
-    req.callingService = serviceName;
-  }
-
   logger.debug('Service authentication successful', {
-    service: serviceName || 'unknown',
+    service: client.name,
+    legacy: client.legacy,
     userId: userId || 'none',
     path: req.path
   });
@@ -64,5 +177,31 @@ function serviceAuthMiddleware(req, res, next) {
   next();
 }
 
-module.exports = { serviceAuthMiddleware };
+/**
+ * Require a scope of the authenticated service client
+ * Use after serviceAuthMiddleware
+ * @param {string} scope - e.g. 'aadhaar:write', 'status:read', 'admin'
+ * @returns {Function} Express middleware
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.serviceClient?.scopes.includes(scope)) {
+      return next();
+    }
+
+    logger.warn('Service client lacks required scope', {
+      service: req.serviceClient?.name || 'unknown',
+      scope,
+      path: req.path,
+      method: req.method
+    });
+
+    return res.status(403).json({
+      success: false,
+      error: `Missing required scope: ${scope}`,
+      code: 'INSUFFICIENT_SCOPE'
+    });
+  };
+}
 
+module.exports = { serviceAuthMiddleware, requireScope };
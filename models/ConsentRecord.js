@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Consent ledger (append-only)
+ * One entry each time a user gives or withdraws consent for a verification.
+ * Kept apart from Verification so purging verification data keeps the proof of consent;
+ * only the IP address and user agent (stored encrypted) are cleared with it.
+ * Written by services/consentLedger.js
+ */
+const ConsentRecordSchema = new Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  verificationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Verification',
+    index: true
+  },
+  verificationType: String,
+  event: {
+    type: String,
+    enum: ['given', 'withdrawn'],
+    required: true
+  },
+  consentVersion: String,
+  consentTextHash: String, // sha256 of the consent text shown to the user
+  ipAddress: String, // Encrypted
+  userAgent: String, // Encrypted
+  encryption: {
+    keyId: String,
+    wrappedKey: String
+  },
+  performedBy: String, // userId or calling service
+  reason: String, // Withdrawal reason, if given
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  purgedAt: Date // IP address and user agent removed with the verification's personal data
+}, {
+  timestamps: true
+});
+
+ConsentRecordSchema.index({ userId: 1, occurredAt: 1 }); // Consent history
+
+const ConsentRecord = model('ConsentRecord', ConsentRecordSchema);
+
+module.exports = ConsentRecord;
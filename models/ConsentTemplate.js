@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Consent text registry
+ * Canonical consent text per verification type, version and language.
+ * A version's text never changes: publish a new version instead.
+ * Seeded from config/consentTemplates.json (see services/consentTemplates.js)
+ */
+const ConsentTemplateSchema = new Schema({
+  verificationType: {
+    type: String,
+    enum: ['aadhaar', 'pan', 'bank_account', 'driving_license', 'face_match', 'liveness', 'face_aadhaar'],
+    required: true
+  },
+  version: {
+    type: String,
+    required: true
+  }, // e.g. v1.0
+  language: {
+    type: String,
+    default: 'en'
+  }, // ISO 639-1
+  text: {
+    type: String,
+    required: true
+  },
+  textHash: {
+    type: String,
+    required: true
+  }, // sha256 of text
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  }, // Latest effective version is the current one
+  retiredAt: Date // No longer accepted from clients
+}, {
+  timestamps: true
+});
+
+ConsentTemplateSchema.index({ verificationType: 1, version: 1, language: 1 }, { unique: true });
+ConsentTemplateSchema.index({ verificationType: 1, language: 1, effectiveFrom: -1 }); // Current template
+
+const ConsentTemplate = model('ConsentTemplate', ConsentTemplateSchema);
+
+module.exports = ConsentTemplate;
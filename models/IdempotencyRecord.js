@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Stored responses for Idempotency-Key requests (see middleware/idempotency.js)
+ * The response body may hold personal data and is stored field-encrypted
+ */
+const IdempotencyRecordSchema = new Schema({
+  _id: {
+    type: String
+  }, // sha256 of caller, user, route and Idempotency-Key
+  requestHash: {
+    type: String,
+    required: true
+  }, // sha256 of method, path and body; a reused key must match it
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  lockedUntil: Date, // An in-progress request owns the key until then
+  callingService: String,
+  userId: String,
+  path: String,
+
+  // ===== STORED RESPONSE =====
+  responseStatus: Number,
+  responseBody: String, // Encrypted JSON
+  encryption: {
+    keyId: String,
+    wrappedKey: String
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+IdempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyRecord = model('IdempotencyRecord', IdempotencyRecordSchema);
+
+module.exports = IdempotencyRecord;
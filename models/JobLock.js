@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Distributed locks for scheduled jobs (one document per job name)
+ * Held by one replica until lockedUntil; see services/jobLock.js
+ */
+const JobLockSchema = new Schema({
+  _id: {
+    type: String
+  }, // Job name
+  owner: {
+    type: String,
+    required: true
+  }, // hostname:pid of the replica holding the lock
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: Date
+}, {
+  timestamps: true
+});
+
+const JobLock = model('JobLock', JobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Outbound verification events for the main backend (outbox)
+ * Saved with the state change in Verification.pendingEvents, moved here by the
+ * Verification post-save hook (or jobs/outboxDispatcher.js), delivered by jobs/outboxDispatcher.js.
+ * _id is the ID of the pending event, so a move that is repeated does not duplicate it.
+ */
+const OutboxEventSchema = new Schema({
+  eventType: {
+    type: String,
+    enum: [
+      'verification.otp_sent',
+      'verification.verified',
+      'verification.failed',
+      'verification.expired',
+      'verification.manual_review',
+      'verification.consent_withdrawn',
+      'verification.erased',
+    ],
+    required: true
+  },
+  verificationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Verification',
+    index: true
+  },
+  userId: {
+    type: String,
+    index: true
+  },
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  }, // Body delivered to the main backend (no PII)
+
+  // ===== DELIVERY STATE =====
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'dead_letter'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date, // A dispatcher owns a 'delivering' event until then
+  lastAttemptAt: Date,
+  lastError: String,
+  lastResponseStatus: Number,
+  deliveredAt: Date,
+  deadLetteredAt: Date,
+  replayedAt: Date,
+  replayedBy: String
+}, {
+  timestamps: true
+});
+
+OutboxEventSchema.index({ status: 1, nextAttemptAt: 1 }); // Dispatcher polling
+OutboxEventSchema.index({ status: 1, lockedUntil: 1 }); // Stuck deliveries
+OutboxEventSchema.index({ deliveredAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep delivered events 30 days
+
+const OutboxEvent = model('OutboxEvent', OutboxEventSchema);
+
+module.exports = OutboxEvent;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Rate limit counters shared by all replicas (one document per limiter key)
+ * Fixed windows; see services/rateLimitStore.js
+ */
+const RateLimitCounterSchema = new Schema({
+  _id: {
+    type: String
+  }, // Limiter prefix + key, e.g. "otp-gen:otp-gen-user:<userId>"
+  hits: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  } // End of the current window
+}, {
+  versionKey: false
+});
+
+RateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 }); // Drop counters once their window ends
+
+const RateLimitCounter = model('RateLimitCounter', RateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+// Scopes a service client can be granted (checked per route by requireScope)
+const SERVICE_SCOPES = [
+  'aadhaar:write',
+  'pan:write',
+  'bank:write',
+  'face:write',
+  'status:read',
+  'users:read', // Read other users' status and consent history (admin tools; granted explicitly only)
+  'consent:read',
+  'consent:write',
+  'erasure:write',
+  'admin',
+  'pii:read' // Unmasked personal data in admin case views
+];
+
+// Scopes of the legacy SERVICE_AUTH_TOKEN when SERVICE_AUTH_TOKEN_SCOPES is not set: running
+// verifications and reading consent templates. The token is shared and its X-User-Id is not
+// authenticated, so anything irreversible (consent:write, erasure:write) or cross-user
+// (users:read, admin, pii:read) must be listed explicitly.
+const LEGACY_DEFAULT_SCOPES = [
+  'aadhaar:write',
+  'pan:write',
+  'bank:write',
+  'face:write',
+  'status:read',
+  'consent:read'
+];
+
+/**
+ * Service credential (only its SHA-256 hash is stored)
+ * A client can hold several active secrets so callers can rotate without downtime
+ */
+const ServiceClientSecretSchema = new Schema({
+  secretId: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: Date, // Set when rotated out; the secret is accepted until then
+  revokedAt: Date,
+  lastUsedAt: Date
+}, { _id: false });
+
+/**
+ * Registered callers of the service (see services/serviceClients.js)
+ * Identified by X-Service-Name, authenticated by X-Service-Auth
+ */
+const ServiceClientSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: String,
+  scopes: [{
+    type: String,
+    enum: SERVICE_SCOPES
+  }],
+  secrets: [ServiceClientSecretSchema],
+  disabledAt: Date
+}, {
+  timestamps: true
+});
+
+const ServiceClient = model('ServiceClient', ServiceClientSchema);
+
+module.exports = ServiceClient;
+module.exports.SERVICE_SCOPES = SERVICE_SCOPES;
+module.exports.LEGACY_DEFAULT_SCOPES = LEGACY_DEFAULT_SCOPES;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Attempts blocked by an identifier velocity rule (see services/identifierVelocity.js)
+ * Kept for trust & safety review; the identifier itself is only stored as its hash
+ */
+const VelocityBlockSchema = new Schema({
+  identifierHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  verificationType: {
+    type: String,
+    enum: ['aadhaar', 'pan', 'bank_account'],
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  }, // 'otp' or 'verify'
+  rule: {
+    type: String,
+    required: true
+  },
+  limit: Number,
+  windowMs: Number,
+  hits: Number, // Attempts in the window, including this one
+  userId: {
+    type: String,
+    index: true
+  },
+  ipAddress: String,
+  callingService: String,
+  path: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+VelocityBlockSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Keep 90 days (also serves newest-first listing)
+
+const VelocityBlock = model('VelocityBlock', VelocityBlockSchema);
+
+module.exports = VelocityBlock;
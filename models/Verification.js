@@ -1,5 +1,80 @@
 const mongoose = require('mongoose');
 const { Schema, model } = mongoose;
+const { OUTBOX_STATUS_EVENTS, isOutboxEnabled, buildVerificationEvent, moveToOutbox } = require('../services/outbox');
+const { hashConsentText, recordConsentEvent } = require('../services/consentLedger');
+const {
+  isEncrypted,
+  generateDataKey,
+  unwrapDataKey,
+  encryptValue,
+  decryptValue
+} = require('../services/fieldEncryption');
+const { APIError, ErrorCategories } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+// ===== STATE MACHINE =====
+// status -> statuses it may move to (see transition())
+const STATUS_TRANSITIONS = {
+  pending: ['otp_sent', 'verified', 'failed', 'manual_review'], // PAN/bank/face complete in a single step
+  otp_sent: ['otp_sent', 'otp_verified', 'verified', 'failed', 'expired'], // otp_sent -> otp_sent is a resend
+  otp_verified: ['verified', 'failed', 'manual_review'],
+  manual_review: ['verified', 'failed'], // Reviewer decision (see decideReview())
+  verified: [],
+  failed: ['otp_sent', 'manual_review'], // Re-initiate, or reopened by trust & safety
+  expired: ['otp_sent'], // Re-initiate
+};
+
+// ===== DATA RETENTION =====
+// Days personal data is kept after a successful verification, by type
+const RETENTION_DAYS = {
+  aadhaar: 365,
+  pan: 365,
+  bank_account: 365,
+  driving_license: 365,
+  face_match: 90,
+  liveness: 90,
+  face_aadhaar: 90,
+};
+const UNSUCCESSFUL_RETENTION_DAYS = 30; // failed / expired
+
+// ===== MANUAL REVIEW =====
+const REVIEW_CLAIM_MS = 30 * 60 * 1000; // A claim lapses after this, so abandoned cases return to the queue
+
+// ===== FIELD ENCRYPTION =====
+// Stored encrypted with the document's data key (see services/fieldEncryption.js);
+// getters/setters below keep reads and writes plaintext for callers
+const ENCRYPTED_PATHS = [
+  'verifiedData.name',
+  'verifiedData.yearOfBirth',
+  'verifiedData.address.line1',
+  'verifiedData.address.line2',
+  'verifiedData.address.city',
+  'verifiedData.address.state',
+  'verifiedData.address.pincode',
+  'verifiedData.photoLink',
+  'consent.ipAddress',
+  'metadata.ipAddress',
+];
+
+// Query filter excluding records erased on the user's request
+const NOT_ERASED = { 'complianceFlags.rightToErasure': { $ne: true } };
+
+// Fields cleared by purgePersonalData() (the record stays as a tombstone)
+const PERSONAL_DATA_PATHS = [
+  'identifierHash',
+  'verifiedData',
+  'maskedAadhaar',
+  'maskedPAN',
+  'maskedBankAccount',
+  'maskedDrivingLicense',
+  'faceVerification.faceImageHash',
+  'consent.ipAddress',
+  'consent.userAgent',
+  'metadata.ipAddress',
+  'metadata.userAgent',
+  'metadata.deviceInfo',
+  'review.note',
+];
 
 const VerificationSchema = new Schema({
   // ===== USER REFERENCE =====
@@ -31,7 +106,7 @@ const VerificationSchema = new Schema({
   // ===== STATUS =====
   status: {
     type: String,
-    enum: ['pending', 'otp_sent', 'otp_verified', 'verified', 'failed', 'expired'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending',
     index: true
   },
@@ -57,7 +132,35 @@ const VerificationSchema = new Schema({
   maskedBankAccount: String, // Format: XXXX1234
   maskedDrivingLicense: String,
   
-  // ===== VERIFIED DATA (MASKED/ENCRYPTED) =====
+  // ===== IDENTITY INDEX =====
+  // Keyed HMAC of the normalized Aadhaar/PAN/bank account (services/identityIndex.js)
+  identifierHash: String,
+  riskFlags: {
+    duplicateIdentity: Boolean, // Identifier already verified by another user (DUPLICATE_IDENTITY_POLICY=flag)
+    duplicateUserIds: [String],
+    nameMismatch: Boolean, // Verified name differs from the user's other verifications (see nameMatch)
+    flaggedAt: Date
+  },
+  
+  // ===== NAME MATCH =====
+  // Verified name compared with the user's other verified names (services/nameMatch.js)
+  nameMatch: {
+    score: Number, // Lowest similarity (0-1) of the comparisons
+    threshold: Number, // NAME_MATCH_THRESHOLD at the time
+    mismatch: Boolean,
+    comparisons: [{
+      _id: false,
+      against: String, // Verification type, or submitted_name (bank account holder name entered)
+      verificationId: {
+        type: Schema.Types.ObjectId,
+        ref: 'Verification'
+      },
+      score: Number
+    }],
+    checkedAt: Date
+  },
+  
+  // ===== VERIFIED DATA (MASKED/ENCRYPTED - see ENCRYPTED_PATHS) =====
   verifiedData: {
     name: String,
     yearOfBirth: String,
@@ -126,16 +229,21 @@ const VerificationSchema = new Schema({
     consentVersion: {
       type: String,
       default: 'v1.0'
-    },
-    consentText: String, // Full consent text user agreed to
-    withdrawnAt: Date // If user withdraws consent
+    }, // Version in the consent template registry
+    language: String,
+    consentText: String, // Full consent text user agreed to (canonical text of consentVersion)
+    consentTextHash: String, // sha256 of consentText (set on save)
+    withdrawnAt: Date // If user withdraws consent (see withdrawConsent())
   },
   
   // ===== AUDIT TRAIL =====
   auditLog: [{
     action: {
       type: String,
-      enum: ['initiated', 'otp_sent', 'otp_verified', 'otp_failed', 'verified', 'failed', 'expired', 'consent_withdrawn']
+      enum: [
+        'initiated', 'otp_sent', 'otp_verified', 'otp_failed', 'verified', 'failed', 'expired',
+        'manual_review', 'review_claimed', 'review_released', 'consent_withdrawn', 'data_purged'
+      ]
     },
     performedBy: String, // userId or 'system'
     performedAt: {
@@ -146,6 +254,22 @@ const VerificationSchema = new Schema({
     metadata: mongoose.Schema.Types.Mixed
   }],
   
+  // ===== MANUAL REVIEW =====
+  review: {
+    reason: String, // Why it was queued, e.g. face_match_borderline
+    queuedAt: Date,
+    queuedBy: String,
+    claimedBy: String, // Reviewer working on it (claims expire, see routes/reviews.js)
+    claimedAt: Date,
+    decision: {
+      type: String,
+      enum: ['approved', 'rejected']
+    },
+    decidedBy: String,
+    decidedAt: Date,
+    note: String // Reviewer note on the decision
+  },
+  
   // ===== COMPLIANCE FLAGS =====
   complianceFlags: {
     dataMinimization: {
@@ -155,20 +279,42 @@ const VerificationSchema = new Schema({
     rightToErasure: {
       type: Boolean,
       default: false
-    }, // User requested deletion
+    }, // User requested deletion (see erase())
+    erasureRequestedAt: Date,
+    erasureReceiptId: {
+      type: String,
+      index: true
+    },
     dataRetentionDays: {
       type: Number,
       default: 365
     }, // How long to keep data
-    scheduledDeletionAt: Date
+    scheduledDeletionAt: Date, // Set when the verification finishes (see transition())
+    purgedAt: Date // Personal data removed (see purgePersonalData())
   },
   
   // ===== TIMESTAMPS =====
   initiatedAt: Date,
   verifiedAt: Date,
   failedAt: Date,
+  expiredAt: Date,
   failureReason: String,
   
+  // ===== OUTBOX =====
+  // Events written with the state change, moved to the outbox collection after the
+  // save (or by the outbox dispatcher if that fails; see services/outbox.js)
+  pendingEvents: [{
+    eventType: String,
+    payload: Schema.Types.Mixed,
+    createdAt: Date
+  }],
+
+  // ===== FIELD ENCRYPTION KEY =====
+  encryption: {
+    keyId: String, // KMS key that wrapped the data key
+    wrappedKey: String // Document data key, wrapped
+  },
+  
   // ===== METADATA =====
   metadata: {
     ipAddress: String,
@@ -188,9 +334,46 @@ const VerificationSchema = new Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { getters: true, virtuals: false },
+  toObject: { getters: true, virtuals: false }
 });
 
+/**
+ * Data key of a document, created (and wrapped with the active KMS key) on first use
+ * @param {Verification} doc
+ * @returns {Buffer}
+ */
+function getDataKey(doc) {
+  if (!doc.$locals.dataKey) {
+    if (doc.encryption?.keyId && doc.encryption?.wrappedKey) {
+      doc.$locals.dataKey = unwrapDataKey(doc.encryption.keyId, doc.encryption.wrappedKey);
+    } else {
+      const { dataKey, keyId, wrappedKey } = generateDataKey();
+      doc.encryption = { keyId, wrappedKey };
+      doc.$locals.dataKey = dataKey;
+    }
+  }
+  return doc.$locals.dataKey;
+}
+
+for (const path of ENCRYPTED_PATHS) {
+  VerificationSchema.path(path)
+    .set(function(value) {
+      // Query filters run setters too; only documents hold a data key
+      if (!(this instanceof mongoose.Document) || value == null || value === '' || isEncrypted(value)) {
+        return value;
+      }
+      return encryptValue(value, getDataKey(this));
+    })
+    .get(function(value) {
+      if (!isEncrypted(value)) {
+        return value; // Not encrypted yet (written before field encryption)
+      }
+      return decryptValue(value, getDataKey(this));
+    });
+}
+
 // ===== INDEXES FOR COMMON QUERIES =====
 VerificationSchema.index({ userId: 1, type: 1 }); // User + verification type
 VerificationSchema.index({ userId: 1, status: 1 }); // User + status
@@ -198,50 +381,145 @@ VerificationSchema.index({ transactionId: 1 });
 VerificationSchema.index({ refId: 1 });
 VerificationSchema.index({ createdAt: -1 });
 VerificationSchema.index({ provider: 1, status: 1 });
+VerificationSchema.index({ status: 1, otpExpiresAt: 1 }); // OTP expiry sweeper
+VerificationSchema.index({ identifierHash: 1, status: 1 }); // Duplicate identity checks
+VerificationSchema.index({ 'riskFlags.duplicateIdentity': 1, 'riskFlags.flaggedAt': -1 }); // Trust & safety review
 VerificationSchema.index({ 'complianceFlags.scheduledDeletionAt': 1 }); // For cleanup jobs
+VerificationSchema.index({ status: 1, 'review.queuedAt': 1 }); // Manual review queue
+VerificationSchema.index({ 'pendingEvents.createdAt': 1 }); // Events left for the outbox dispatcher
 
 // ===== PRE-SAVE HOOK =====
 VerificationSchema.pre('save', function(next) {
   this.updatedAt = new Date();
+
+  // State changes for the outbox, saved with the change itself (moved by the post-save hook below)
+  const events = [];
+  if ((this.isNew || this.isModified('status')) && OUTBOX_STATUS_EVENTS.includes(this.status)) {
+    events.push(this.status);
+  }
+  if (this.isModified('consent.withdrawnAt') && this.consent && this.consent.withdrawnAt) {
+    events.push('consent_withdrawn');
+  }
+  if (this.isModified('complianceFlags.rightToErasure') && this.complianceFlags.rightToErasure) {
+    events.push('erased');
+  }
+  this.$locals.outboxEventIds = [];
+  if (isOutboxEnabled()) {
+    for (const event of events) {
+      const pendingEvent = buildVerificationEvent(this, event, { previousStatus: this.$locals.persistedStatus });
+      this.pendingEvents.push(pendingEvent);
+      this.$locals.outboxEventIds.push(pendingEvent._id);
+    }
+  }
+
+  // Consent ledger entries (post-save hook below)
+  const consentEvents = [];
+  if (this.isModified('consent.consentText')) {
+    this.consent.consentTextHash = hashConsentText(this.consent.consentText);
+  }
+  if ((this.isNew || this.isModified('consent.givenAt')) && this.consent.given && this.consent.givenAt) {
+    consentEvents.push('given');
+  }
+  if (this.isModified('consent.withdrawnAt') && this.consent.withdrawnAt) {
+    consentEvents.push('withdrawn');
+  }
+  this.$locals.consentEvents = consentEvents;
+
   next();
 });
 
+// ===== OUTBOX HOOKS =====
+// Status as loaded from the database, reported as previousStatus in outbox events
+VerificationSchema.post('init', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
+});
+
+VerificationSchema.post('save', async function(doc) {
+  const eventIds = doc.$locals.outboxEventIds || [];
+  doc.$locals.outboxEventIds = [];
+  doc.$locals.persistedStatus = doc.status;
+  if (eventIds.length === 0) {
+    return;
+  }
+
+  // Only the events of this save (the array is not reassigned, so later saves keep $push-ing)
+  const pendingEvents = doc.pendingEvents.filter(event => eventIds.some(id => id.equals(event._id)));
+  try {
+    await moveToOutbox({ _id: doc._id, userId: doc.userId, pendingEvents });
+  } catch (error) {
+    // The events are saved on the verification; the outbox dispatcher moves them later
+    logger.warn('⚠️ Outbox events left on the verification', {
+      verificationId: doc._id,
+      error: error.message
+    });
+  }
+});
+
+// ===== CONSENT LEDGER HOOK =====
+VerificationSchema.post('save', async function(doc) {
+  const events = doc.$locals.consentEvents || [];
+  doc.$locals.consentEvents = [];
+
+  for (const event of events) {
+    const details = event === 'given'
+      ? {
+        ipAddress: doc.consent.ipAddress,
+        userAgent: doc.consent.userAgent,
+        performedBy: doc.userId,
+        occurredAt: doc.consent.givenAt
+      }
+      : { ...doc.$locals.consentWithdrawal, occurredAt: doc.consent.withdrawnAt };
+
+    try {
+      await recordConsentEvent(doc, event, details);
+    } catch (error) {
+      logger.error('❌ Failed to write consent ledger entry', {
+        verificationId: doc._id,
+        event,
+        error: error.message
+      });
+    }
+  }
+});
+
 // ===== STATIC METHODS =====
 
+// Erased records are never returned by the finders below
+
 /**
  * Find verification by userId (latest)
  * For backward compatibility - use findByUserIdAndType for specific types
  */
 VerificationSchema.statics.findByUserId = function(userId) {
-  return this.findOne({ userId }).sort({ createdAt: -1 });
+  return this.findOne({ userId, ...NOT_ERASED }).sort({ createdAt: -1 });
 };
 
 /**
  * Find verification by userId and type
  */
 VerificationSchema.statics.findByUserIdAndType = function(userId, type) {
-  return this.findOne({ userId, type }).sort({ createdAt: -1 });
+  return this.findOne({ userId, type, ...NOT_ERASED }).sort({ createdAt: -1 });
 };
 
 /**
  * Find all verifications for a user
  */
 VerificationSchema.statics.findAllByUserId = function(userId) {
-  return this.find({ userId }).sort({ createdAt: -1 });
+  return this.find({ userId, ...NOT_ERASED }).sort({ createdAt: -1 });
 };
 
 /**
  * Find verification by refId
  */
 VerificationSchema.statics.findByRefId = function(refId) {
-  return this.findOne({ refId });
+  return this.findOne({ refId, ...NOT_ERASED });
 };
 
 /**
  * Get user's overall verification status
  */
 VerificationSchema.statics.getUserVerificationStatus = async function(userId) {
-  const verifications = await this.find({ userId, status: 'verified' });
+  const verifications = await this.find({ userId, status: 'verified', 'consent.withdrawnAt': null, ...NOT_ERASED });
   
   const status = {
     isAadhaarVerified: false,
@@ -286,7 +564,7 @@ VerificationSchema.statics.getUserVerificationStatus = async function(userId) {
  * Check if verification is complete
  */
 VerificationSchema.methods.isVerified = function() {
-  return this.status === 'verified';
+  return this.status === 'verified' && !this.consent?.withdrawnAt && !this.complianceFlags?.rightToErasure;
 };
 
 /**
@@ -321,7 +599,267 @@ VerificationSchema.methods.addAuditLog = function(action, performedBy, ipAddress
   });
 };
 
+/**
+ * Check whether the status may move to another status
+ * @param {string} toStatus - Target status
+ * @returns {boolean}
+ */
+VerificationSchema.methods.canTransition = function(toStatus) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(toStatus);
+};
+
+/**
+ * Move to another status
+ * Rejects moves not in STATUS_TRANSITIONS, stamps the matching timestamps and
+ * appends the audit log entry (action = target status). Does not save.
+ *
+ * @param {string} toStatus - Target status
+ * @param {object} options - { performedBy, ipAddress, reason, metadata }
+ * @returns {Verification} this
+ * @throws {APIError} INVALID_STATUS_TRANSITION
+ */
+VerificationSchema.methods.transition = function(toStatus, options = {}) {
+  const { performedBy, ipAddress, reason, metadata = {} } = options;
+  const fromStatus = this.status;
+
+  if (!this.canTransition(toStatus)) {
+    throw new APIError(
+      `Cannot change verification status from ${fromStatus} to ${toStatus}`,
+      ErrorCategories.INVALID_STATUS_TRANSITION,
+      409
+    );
+  }
+
+  const now = new Date();
+  switch (toStatus) {
+    case 'otp_sent':
+      this.otpSent = true;
+      this.otpSentAt = now;
+      break;
+    case 'otp_verified':
+      this.otpVerified = true;
+      this.otpVerifiedAt = now;
+      break;
+    case 'verified':
+      if (fromStatus === 'otp_sent') {
+        this.otpVerified = true;
+        this.otpVerifiedAt = now;
+      }
+      this.verifiedAt = now;
+      break;
+    case 'failed':
+      this.failedAt = now;
+      this.failureReason = reason;
+      break;
+    case 'expired':
+      this.expiredAt = now;
+      break;
+  }
+
+  this.status = toStatus;
+
+  // Finished verifications are kept for their retention period; re-initiated ones until they finish again
+  if (['verified', 'failed', 'expired'].includes(toStatus)) {
+    const retentionDays = toStatus === 'verified'
+      ? (RETENTION_DAYS[this.type] || RETENTION_DAYS.aadhaar)
+      : UNSUCCESSFUL_RETENTION_DAYS;
+    this.complianceFlags.dataRetentionDays = retentionDays;
+    this.complianceFlags.scheduledDeletionAt = new Date(now.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  } else {
+    this.complianceFlags.scheduledDeletionAt = undefined;
+  }
+
+  this.addAuditLog(toStatus, performedBy, ipAddress, {
+    from: fromStatus,
+    ...(reason && { reason }),
+    ...metadata
+  });
+
+  return this;
+};
+
+/**
+ * Send to the manual review queue
+ * Does not save.
+ *
+ * @param {object} options - { reason, performedBy, ipAddress, metadata }
+ * @returns {Verification} this
+ * @throws {APIError} INVALID_STATUS_TRANSITION
+ */
+VerificationSchema.methods.queueForReview = function(options = {}) {
+  const { reason, performedBy, ipAddress, metadata = {} } = options;
+
+  this.transition('manual_review', { performedBy, ipAddress, reason, metadata });
+  this.review = {
+    reason,
+    queuedAt: new Date(),
+    queuedBy: performedBy || 'system'
+  };
+
+  return this;
+};
+
+/**
+ * Whether another reviewer holds an unexpired claim
+ * @param {string} reviewer - Reviewer ID
+ * @returns {boolean}
+ */
+VerificationSchema.methods.isClaimedByOther = function(reviewer) {
+  const { claimedBy, claimedAt } = this.review || {};
+  return !!claimedBy && claimedBy !== reviewer && Date.now() - claimedAt < REVIEW_CLAIM_MS;
+};
+
+/**
+ * Claim (or release) a queued review
+ * Does not save.
+ *
+ * @param {string} reviewer - Reviewer ID
+ * @param {object} options - { release, ipAddress }
+ * @returns {Verification} this
+ */
+VerificationSchema.methods.claimReview = function(reviewer, options = {}) {
+  const { release, ipAddress } = options;
+
+  this.review.claimedBy = release ? undefined : reviewer;
+  this.review.claimedAt = release ? undefined : new Date();
+  this.addAuditLog(release ? 'review_released' : 'review_claimed', reviewer, ipAddress);
+
+  return this;
+};
+
+/**
+ * Record the reviewer's decision: approved -> verified, rejected -> failed
+ * The audit entry of the transition has performedBy = reviewer. Does not save.
+ *
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {object} options - { reviewer, note, reason, ipAddress }
+ * @returns {Verification} this
+ * @throws {APIError} INVALID_STATUS_TRANSITION
+ */
+VerificationSchema.methods.decideReview = function(decision, options = {}) {
+  const { reviewer, note, reason, ipAddress } = options;
+  const approved = decision === 'approved';
+
+  this.transition(approved ? 'verified' : 'failed', {
+    performedBy: reviewer,
+    ipAddress,
+    reason: approved ? undefined : (reason || 'Rejected in manual review'),
+    metadata: { review: decision, reviewReason: this.review?.reason }
+  });
+
+  Object.assign(this.review, {
+    decision,
+    decidedBy: reviewer,
+    decidedAt: new Date(),
+    note
+  });
+
+  return this;
+};
+
+/**
+ * Remove personal data, leaving a tombstone
+ * Keeps userId, type, status, provider, timestamps and the audit log (without IP
+ * addresses) so the record still proves what happened. Does not save, and does
+ * not touch the consent ledger (callers run purgeConsentRecords() first).
+ *
+ * @param {object} options - { reason, performedBy, metadata }
+ * @returns {string[]} Fields that held data
+ */
+VerificationSchema.methods.purgePersonalData = function(options = {}) {
+  const { reason, performedBy, metadata = {} } = options;
+
+  const hasData = (value) => value != null && (typeof value !== 'object' || Object.values(value).some(hasData));
+  const purgedFields = PERSONAL_DATA_PATHS.filter(path => hasData(this.get(path, null, { getters: false })));
+
+  for (const path of PERSONAL_DATA_PATHS) {
+    this.set(path, undefined);
+  }
+  for (const entry of this.auditLog) {
+    entry.ipAddress = undefined;
+  }
+
+  this.complianceFlags.purgedAt = new Date();
+  this.complianceFlags.scheduledDeletionAt = undefined;
+  this.encryption = undefined;
+  this.$locals.dataKey = undefined;
+  this.addAuditLog('data_purged', performedBy, undefined, { reason, fields: purgedFields, ...metadata });
+
+  return purgedFields;
+};
+
+/**
+ * Erase on the user's request (right to erasure)
+ * Purges personal data now and hides the record from the finders, so the user
+ * is reported as unverified. Does not save.
+ *
+ * @param {object} options - { receiptId, performedBy }
+ * @returns {string[]} Fields that held data
+ */
+VerificationSchema.methods.erase = function(options = {}) {
+  const { receiptId, performedBy } = options;
+
+  this.complianceFlags.rightToErasure = true;
+  this.complianceFlags.erasureRequestedAt = new Date();
+  this.complianceFlags.erasureReceiptId = receiptId;
+
+  return this.purgePersonalData({
+    reason: 'right_to_erasure',
+    performedBy,
+    metadata: { receiptId }
+  });
+};
+
+/**
+ * Withdraw consent
+ * Revokes the verification (isVerified() is false from now on, and an in-progress
+ * verification fails), purges personal data and records the withdrawal in the
+ * consent ledger on save. Does not save.
+ *
+ * @param {object} options - { performedBy, ipAddress, reason }
+ * @returns {Verification} this
+ */
+VerificationSchema.methods.withdrawConsent = function(options = {}) {
+  const { performedBy, ipAddress, reason } = options;
+
+  if (this.canTransition('failed')) {
+    this.transition('failed', { performedBy, ipAddress, reason: 'Consent withdrawn' });
+  }
+
+  this.consent.withdrawnAt = new Date();
+  this.addAuditLog('consent_withdrawn', performedBy, ipAddress, reason ? { reason } : {});
+  // No IP address or user agent in the ledger entry: withdrawal purges them
+  this.$locals.consentWithdrawal = { performedBy, reason };
+
+  this.purgePersonalData({ reason: 'consent_withdrawn', performedBy });
+
+  return this;
+};
+
+/**
+ * Re-encrypt personal data under a new data key wrapped with the active KMS key
+ * Also encrypts values written before field encryption. Does not save.
+ *
+ * @returns {boolean} False if the record holds no encrypted fields
+ */
+VerificationSchema.methods.reencrypt = function() {
+  const values = ENCRYPTED_PATHS
+    .map(path => [path, this.get(path)])
+    .filter(([, value]) => value != null && value !== '');
+
+  this.encryption = undefined;
+  this.$locals.dataKey = undefined;
+
+  for (const [path, value] of values) {
+    this.set(path, value);
+  }
+
+  return values.length > 0;
+};
+
 const Verification = model('Verification', VerificationSchema);
 
 module.exports = Verification;
+module.exports.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+module.exports.RETENTION_DAYS = RETENTION_DAYS;
 
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const { Schema, model } = mongoose;
+
+/**
+ * Inbound provider webhook deliveries
+ * The unique (provider, eventId) index makes duplicate deliveries a no-op
+ */
+const WebhookEventSchema = new Schema({
+  provider: {
+    type: String,
+    enum: ['cashfree', 'signzy', 'karza', 'mock'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  }, // Provider event ID, or a hash of the raw body if the provider sends none
+  refId: {
+    type: String,
+    index: true
+  },
+  verificationId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Verification'
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored'],
+    default: 'received'
+  },
+  outcome: String, // e.g. verified, failed, unchanged, unknown_ref_id, invalid_transition
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+WebhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 }); // Providers stop retrying long before this
+
+const WebhookEvent = model('WebhookEvent', WebhookEventSchema);
+
+module.exports = WebhookEvent;
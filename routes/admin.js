@@ -0,0 +1,412 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const OutboxEvent = require('../models/OutboxEvent');
+const Verification = require('../models/Verification');
+const VelocityBlock = require('../models/VelocityBlock');
+const ConsentRecord = require('../models/ConsentRecord');
+const { replayEvents } = require('../services/outbox');
+const { decryptConsentRecord } = require('../services/consentLedger');
+const { HASHED_IDENTIFIER_TYPES, hashIdentifier } = require('../services/identityIndex');
+const { toCaseSummary, toCaseDetail } = require('../services/verificationCases');
+const { serviceAuthMiddleware, requireScope } = require('../middleware/auth');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+const OUTBOX_STATUSES = ['pending', 'delivering', 'delivered', 'dead_letter'];
+
+// Exact-match filters of the verification search, checked against the schema enums
+const SEARCH_ENUM_FIELDS = ['type', 'status', 'provider'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Create the admin router
+ * Mounted at /api/v1/verification/admin
+ *
+ * @returns {express.Router} Admin router
+ */
+function createAdminRouter() {
+  const router = express.Router();
+
+  router.use(serviceAuthMiddleware, requireScope('admin'));
+
+  // Caller recorded on admin actions
+  const getActor = (req) => req.callingService || req.serviceUserId || 'admin';
+
+  // =====================================================
+  // OUTBOX
+  // =====================================================
+
+  /**
+   * GET /api/v1/verification/admin/outbox
+   * List outbox events (default: dead-lettered)
+   * Query: status, userId, limit (max 100)
+   */
+  router.get('/outbox', async (req, res) => {
+    try {
+      const status = req.query.status || 'dead_letter';
+      if (!OUTBOX_STATUSES.includes(status)) {
+        return res.status(400).json(errorResponse(
+          'Invalid status',
+          `status must be one of: ${OUTBOX_STATUSES.join(', ')}`
+        ));
+      }
+
+      const filter = { status };
+      if (req.query.userId) {
+        filter.userId = String(req.query.userId);
+      }
+      const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+      const events = await OutboxEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      res.json(successResponse({
+        count: events.length,
+        events: events.map(event => ({
+          id: event._id,
+          eventType: event.eventType,
+          verificationId: event.verificationId,
+          userId: event.userId,
+          status: event.status,
+          attempts: event.attempts,
+          lastError: event.lastError,
+          lastResponseStatus: event.lastResponseStatus,
+          lastAttemptAt: event.lastAttemptAt,
+          nextAttemptAt: event.nextAttemptAt,
+          deadLetteredAt: event.deadLetteredAt,
+          createdAt: event.createdAt
+        }))
+      }));
+    } catch (error) {
+      logger.error('❌ Error listing outbox events', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to list outbox events'));
+    }
+  });
+
+  /**
+   * POST /api/v1/verification/admin/outbox/replay
+   * Requeue all dead-lettered events (optionally only for one userId or eventType)
+   */
+  router.post('/outbox/replay', async (req, res) => {
+    try {
+      const filter = { status: 'dead_letter' };
+      if (req.body.userId) {
+        filter.userId = String(req.body.userId);
+      }
+      if (req.body.eventType) {
+        filter.eventType = String(req.body.eventType);
+      }
+
+      const requeued = await replayEvents(filter, getActor(req));
+
+      res.json(successResponse({ requeued }, `${requeued} event(s) requeued for delivery`));
+    } catch (error) {
+      logger.error('❌ Error replaying outbox events', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to replay outbox events'));
+    }
+  });
+
+  /**
+   * POST /api/v1/verification/admin/outbox/:eventId/replay
+   * Requeue one dead-lettered (or pending) event for immediate delivery
+   */
+  router.post('/outbox/:eventId/replay', async (req, res) => {
+    try {
+      const { eventId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(eventId)) {
+        return res.status(400).json(errorResponse('Invalid event ID', 'eventId must be an ObjectId'));
+      }
+
+      const event = await OutboxEvent.findById(eventId);
+      if (!event) {
+        return res.status(404).json(errorResponse('Outbox event not found', `No outbox event with ID: ${eventId}`));
+      }
+      if (event.status === 'delivered' || event.status === 'delivering') {
+        return res.status(409).json(errorResponse(
+          `Event is ${event.status}`,
+          'Only dead-lettered or pending events can be replayed'
+        ));
+      }
+
+      await replayEvents({ _id: event._id }, getActor(req));
+
+      res.json(successResponse({ id: event._id, status: 'pending' }, 'Event requeued for delivery'));
+    } catch (error) {
+      logger.error('❌ Error replaying outbox event', { error: error.message, eventId: req.params.eventId });
+      res.status(500).json(errorResponse(error.message, 'Failed to replay outbox event'));
+    }
+  });
+
+  // =====================================================
+  // TRUST & SAFETY: IDENTITY INDEX
+  // =====================================================
+
+  // Verification as shown to trust & safety (no personal data)
+  const toIdentityMatch = (verification) => ({
+    verificationId: verification._id,
+    userId: verification.userId,
+    type: verification.type,
+    status: verification.status,
+    verifiedAt: verification.verifiedAt,
+    createdAt: verification.createdAt,
+    riskFlags: verification.riskFlags
+  });
+
+  /**
+   * POST /api/v1/verification/admin/identities/lookup
+   * Find all accounts that used an identifier
+   * Body: { type, aadhaarNumber | panNumber | accountNumber + ifsc } or { identifierHash }
+   * (POST so the identifier stays out of URLs and access logs)
+   */
+  router.post('/identities/lookup', async (req, res) => {
+    try {
+      const { type, identifierHash } = req.body;
+      let hash = identifierHash;
+
+      if (!hash) {
+        if (!HASHED_IDENTIFIER_TYPES.includes(type)) {
+          return res.status(400).json(errorResponse(
+            'Invalid type',
+            `type must be one of: ${HASHED_IDENTIFIER_TYPES.join(', ')}`
+          ));
+        }
+
+        const identifier = {
+          aadhaar: req.body.aadhaarNumber,
+          pan: req.body.panNumber,
+          bank_account: req.body.accountNumber && req.body.ifsc
+        }[type];
+        if (!identifier) {
+          return res.status(400).json(errorResponse(
+            'Missing identifier',
+            'Provide aadhaarNumber, panNumber or accountNumber and ifsc for the type, or identifierHash'
+          ));
+        }
+
+        hash = hashIdentifier(type, req.body);
+      }
+
+      const verifications = await Verification.find({
+        identifierHash: String(hash),
+        'complianceFlags.rightToErasure': { $ne: true }
+      })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .lean();
+
+      logger.info('🔎 Identity lookup', {
+        actor: getActor(req),
+        matches: verifications.length
+      });
+
+      res.json(successResponse({
+        identifierHash: hash,
+        userCount: new Set(verifications.map(verification => verification.userId)).size,
+        verifications: verifications.map(toIdentityMatch)
+      }));
+    } catch (error) {
+      logger.error('❌ Error looking up identity', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to look up identity'));
+    }
+  });
+
+  /**
+   * GET /api/v1/verification/admin/identities/flagged
+   * Verifications flagged as duplicate identities (DUPLICATE_IDENTITY_POLICY=flag), newest first
+   * Query: limit (max 100)
+   */
+  router.get('/identities/flagged', async (req, res) => {
+    try {
+      const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+      const verifications = await Verification.find({
+        'riskFlags.duplicateIdentity': true,
+        'complianceFlags.rightToErasure': { $ne: true }
+      })
+        .sort({ 'riskFlags.flaggedAt': -1 })
+        .limit(limit)
+        .lean();
+
+      res.json(successResponse({
+        count: verifications.length,
+        verifications: verifications.map(toIdentityMatch)
+      }));
+    } catch (error) {
+      logger.error('❌ Error listing flagged identities', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to list flagged identities'));
+    }
+  });
+
+  /**
+   * GET /api/v1/verification/admin/velocity/blocks
+   * Attempts blocked by identifier velocity limits, newest first
+   * Query: identifierHash, userId, limit (max 100)
+   */
+  router.get('/velocity/blocks', async (req, res) => {
+    try {
+      const filter = {};
+      if (req.query.identifierHash) {
+        filter.identifierHash = String(req.query.identifierHash);
+      }
+      if (req.query.userId) {
+        filter.userId = String(req.query.userId);
+      }
+      const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+      const blocks = await VelocityBlock.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+
+      res.json(successResponse({
+        count: blocks.length,
+        blocks: blocks.map(block => ({
+          id: block._id,
+          identifierHash: block.identifierHash,
+          verificationType: block.verificationType,
+          action: block.action,
+          rule: block.rule,
+          hits: block.hits,
+          limit: block.limit,
+          userId: block.userId,
+          callingService: block.callingService,
+          createdAt: block.createdAt
+        }))
+      }));
+    } catch (error) {
+      logger.error('❌ Error listing velocity blocks', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to list velocity blocks'));
+    }
+  });
+
+  // =====================================================
+  // VERIFICATION SEARCH / CASES
+  // =====================================================
+
+  /**
+   * GET /api/v1/verification/admin/verifications
+   * Search verifications, newest first
+   * Query: userId, type, status, provider, refId, from, to (createdAt, ISO dates),
+   *        failureReason (case-insensitive substring), limit (max 100), cursor
+   * Pass nextCursor from the response as cursor for the next page.
+   */
+  router.get('/verifications', async (req, res) => {
+    try {
+      const filter = { 'complianceFlags.rightToErasure': { $ne: true } };
+
+      for (const field of SEARCH_ENUM_FIELDS) {
+        if (req.query[field] === undefined) {
+          continue;
+        }
+        const allowed = Verification.schema.path(field).enumValues;
+        if (!allowed.includes(req.query[field])) {
+          return res.status(400).json(errorResponse(
+            `Invalid ${field}`,
+            `${field} must be one of: ${allowed.join(', ')}`
+          ));
+        }
+        filter[field] = req.query[field];
+      }
+      if (req.query.userId) {
+        filter.userId = String(req.query.userId);
+      }
+      if (req.query.refId) {
+        filter.refId = String(req.query.refId);
+      }
+      if (req.query.failureReason) {
+        filter.failureReason = { $regex: escapeRegExp(String(req.query.failureReason)), $options: 'i' };
+      }
+
+      for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+        if (req.query[param] === undefined) {
+          continue;
+        }
+        const date = new Date(String(req.query[param]));
+        if (Number.isNaN(date.getTime())) {
+          return res.status(400).json(errorResponse(`Invalid ${param}`, `${param} must be an ISO 8601 date`));
+        }
+        filter.createdAt = { ...filter.createdAt, [operator]: date };
+      }
+
+      // ObjectIds increase with insertion time, so _id orders newest first and is a stable cursor
+      if (req.query.cursor !== undefined) {
+        if (!mongoose.Types.ObjectId.isValid(req.query.cursor)) {
+          return res.status(400).json(errorResponse('Invalid cursor', 'Use nextCursor from the previous page'));
+        }
+        filter._id = { $lt: new mongoose.Types.ObjectId(String(req.query.cursor)) };
+      }
+      const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+      const verifications = await Verification.find(filter)
+        .sort({ _id: -1 })
+        .limit(limit + 1)
+        .lean();
+
+      const hasMore = verifications.length > limit;
+      const page = verifications.slice(0, limit);
+
+      logger.info('🔎 Verification search', {
+        actor: getActor(req),
+        filters: Object.keys(req.query).filter(param => param !== 'cursor' && param !== 'limit'),
+        results: page.length
+      });
+
+      res.json(successResponse({
+        count: page.length,
+        verifications: page.map(toCaseSummary),
+        nextCursor: hasMore ? page[page.length - 1]._id : null
+      }));
+    } catch (error) {
+      logger.error('❌ Error searching verifications', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to search verifications'));
+    }
+  });
+
+  /**
+   * GET /api/v1/verification/admin/verifications/:verificationId
+   * Case view: verified data, consent (record and ledger), provider metadata and
+   * the full audit timeline. Personal data is masked unless the caller has pii:read.
+   */
+  router.get('/verifications/:verificationId', async (req, res) => {
+    try {
+      const { verificationId } = req.params;
+      if (!mongoose.Types.ObjectId.isValid(verificationId)) {
+        return res.status(400).json(errorResponse('Invalid verification ID', 'verificationId must be an ObjectId'));
+      }
+
+      const verification = await Verification.findOne({
+        _id: verificationId,
+        'complianceFlags.rightToErasure': { $ne: true }
+      });
+      if (!verification) {
+        return res.status(404).json(errorResponse('Verification not found', `No verification with ID: ${verificationId}`));
+      }
+
+      const consentRecords = (await ConsentRecord.find({ verificationId: verification._id })
+        .sort({ occurredAt: 1 })
+        .lean()).map(decryptConsentRecord);
+
+      const unmasked = req.serviceClient.scopes.includes('pii:read');
+      if (unmasked) {
+        logger.info('👁️ Case viewed with personal data', {
+          callingService: req.callingService,
+          viewer: req.serviceUserId, // Support staff member, if the admin tool sends X-User-Id
+          verificationId,
+          userId: verification.userId
+        });
+      }
+
+      res.json(successResponse(toCaseDetail(verification, consentRecords, { unmasked })));
+    } catch (error) {
+      logger.error('❌ Error loading verification case', { error: error.message, verificationId: req.params.verificationId });
+      res.status(500).json(errorResponse(error.message, 'Failed to load verification case'));
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAdminRouter;
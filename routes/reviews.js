@@ -0,0 +1,401 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Verification = require('../models/Verification');
+const { serviceAuthMiddleware, requireScope } = require('../middleware/auth');
+const { toVerifiedDataView } = require('../services/verificationCases');
+const { successResponse, errorResponse, getClientIp } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+/**
+ * Create the manual review router
+ * Mounted at /api/v1/verification/admin/reviews
+ *
+ * Borderline verifications (and failed ones reopened by trust & safety) wait in
+ * status manual_review until a reviewer claims the case and approves or rejects
+ * it. The reviewer is the gateway token subject, or with a registered service
+ * client's secret, X-User-Id qualified by the client name (see getReviewer).
+ *
+ * @returns {express.Router} Review router
+ */
+function createReviewRouter() {
+  const router = express.Router();
+
+  router.use(serviceAuthMiddleware, requireScope('admin'));
+
+  // Reviewer recorded on claims and decisions, or send 400/403 and return null.
+  // X-User-Id is not authenticated with a service secret, so it is recorded under the
+  // client that sent it; the legacy token's client name is caller-supplied too, so it cannot review.
+  const getReviewer = (req, res) => {
+    if (req.authenticatedUserId) {
+      return req.authenticatedUserId;
+    }
+    if (req.serviceClient.legacy) {
+      res.status(403).json(errorResponse(
+        'Reviewer is not authenticated',
+        'Reviews need a gateway token or a registered service client',
+        'REVIEWER_NOT_AUTHENTICATED'
+      ));
+      return null;
+    }
+    if (!req.serviceUserId) {
+      res.status(400).json(errorResponse('Missing reviewer', 'X-User-Id (the reviewer) is required'));
+      return null;
+    }
+    return `${req.callingService}:${req.serviceUserId}`;
+  };
+
+  // Load a queued verification, or send 400/404/409 and return null
+  const loadQueuedVerification = async (req, res) => {
+    const { verificationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(verificationId)) {
+      res.status(400).json(errorResponse('Invalid verification ID', 'verificationId must be an ObjectId'));
+      return null;
+    }
+
+    const verification = await Verification.findOne({
+      _id: verificationId,
+      'complianceFlags.rightToErasure': { $ne: true }
+    });
+    if (!verification) {
+      res.status(404).json(errorResponse('Verification not found', `No verification with ID: ${verificationId}`));
+      return null;
+    }
+    if (verification.status !== 'manual_review') {
+      res.status(409).json(errorResponse(
+        'Verification is not awaiting review',
+        `Verification status is: ${verification.status}`,
+        'INVALID_STATUS_TRANSITION'
+      ));
+      return null;
+    }
+
+    return verification;
+  };
+
+  // Save unless another reviewer changed the case since it was read
+  const saveReview = async (verification, previousClaimedBy, res) => {
+    verification.$where = { status: 'manual_review', 'review.claimedBy': previousClaimedBy ?? null };
+    try {
+      await verification.save();
+      return true;
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        res.status(409).json(errorResponse(
+          'Review was changed by another reviewer',
+          'Reload the case and try again',
+          'REVIEW_CONFLICT'
+        ));
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  // Queue entry (no personal data)
+  const toQueueItem = (verification) => ({
+    verificationId: verification._id,
+    userId: verification.userId,
+    type: verification.type,
+    provider: verification.provider,
+    reason: verification.review?.reason,
+    queuedAt: verification.review?.queuedAt,
+    queuedBy: verification.review?.queuedBy,
+    claimedBy: verification.review?.claimedBy,
+    claimedAt: verification.review?.claimedAt,
+    faceVerification: verification.faceVerification?.matchScore !== undefined
+      ? {
+        matchScore: verification.faceVerification.matchScore,
+        threshold: verification.faceVerification.threshold
+      }
+      : undefined,
+    failureReason: verification.failureReason
+  });
+
+  /**
+   * GET /api/v1/verification/admin/reviews
+   * Review queue, oldest first
+   * Query: type, reason, claimed (true | false), limit (max 100)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const filter = {
+        status: 'manual_review',
+        'complianceFlags.rightToErasure': { $ne: true }
+      };
+      if (req.query.type) {
+        filter.type = String(req.query.type);
+      }
+      if (req.query.reason) {
+        filter['review.reason'] = String(req.query.reason);
+      }
+      if (req.query.claimed === 'true') {
+        filter['review.claimedBy'] = { $ne: null };
+      } else if (req.query.claimed === 'false') {
+        filter['review.claimedBy'] = null;
+      }
+      const limit = Math.min(Number(req.query.limit) || 50, 100);
+
+      const verifications = await Verification.find(filter)
+        .sort({ 'review.queuedAt': 1 })
+        .limit(limit)
+        .lean();
+
+      res.json(successResponse({
+        count: verifications.length,
+        reviews: verifications.map(toQueueItem)
+      }));
+    } catch (error) {
+      logger.error('❌ Error listing reviews', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to list reviews'));
+    }
+  });
+
+  /**
+   * POST /api/v1/verification/admin/reviews
+   * Reopen a failed verification for review
+   * Body: { verificationId, reason }
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const reviewer = getReviewer(req, res);
+      if (!reviewer) {
+        return;
+      }
+
+      const { verificationId, reason } = req.body;
+      if (!mongoose.Types.ObjectId.isValid(verificationId)) {
+        return res.status(400).json(errorResponse('Invalid verification ID', 'verificationId must be an ObjectId'));
+      }
+      if (!reason) {
+        return res.status(400).json(errorResponse('Missing required field: reason', 'A reason for the review is required'));
+      }
+
+      const verification = await Verification.findOne({
+        _id: verificationId,
+        'complianceFlags.rightToErasure': { $ne: true }
+      });
+      if (!verification) {
+        return res.status(404).json(errorResponse('Verification not found', `No verification with ID: ${verificationId}`));
+      }
+      // Only failed verifications are reopened; the others reach review from the provider flow
+      if (verification.status !== 'failed' || verification.complianceFlags?.purgedAt) {
+        return res.status(409).json(errorResponse(
+          'Verification cannot be reviewed',
+          `Verification status is: ${verification.status}${verification.complianceFlags?.purgedAt ? ' (personal data purged)' : ''}`,
+          'INVALID_STATUS_TRANSITION'
+        ));
+      }
+
+      verification.queueForReview({
+        reason: String(reason),
+        performedBy: reviewer,
+        ipAddress: getClientIp(req)
+      });
+      verification.$where = { status: 'failed' };
+      await verification.save();
+
+      logger.info('🧐 Verification queued for review', { verificationId, reviewer, reason });
+
+      res.status(201).json(successResponse(toQueueItem(verification), 'Verification queued for review'));
+    } catch (error) {
+      if (error instanceof mongoose.Error.DocumentNotFoundError) {
+        return res.status(409).json(errorResponse('Verification changed', 'Reload and try again', 'REVIEW_CONFLICT'));
+      }
+      logger.error('❌ Error queueing review', { error: error.message });
+      res.status(500).json(errorResponse(error.message, 'Failed to queue verification for review'));
+    }
+  });
+
+  /**
+   * GET /api/v1/verification/admin/reviews/:verificationId
+   * Case for the reviewer: queue entry, verification details and audit trail
+   * (verified data masked unless the caller has pii:read)
+   */
+  router.get('/:verificationId', async (req, res) => {
+    try {
+      const verification = await loadQueuedVerification(req, res);
+      if (!verification) {
+        return;
+      }
+
+      const unmasked = req.serviceClient.scopes.includes('pii:read');
+      if (unmasked) {
+        logger.info('👁️ Review case viewed with personal data', {
+          callingService: req.callingService,
+          viewer: req.serviceUserId,
+          verificationId: verification._id,
+          userId: verification.userId
+        });
+      }
+
+      res.json(successResponse({
+        ...toQueueItem(verification),
+        maskedAadhaar: verification.maskedAadhaar,
+        maskedPAN: verification.maskedPAN,
+        maskedBankAccount: verification.maskedBankAccount,
+        piiMasked: !unmasked,
+        verifiedData: toVerifiedDataView(verification.verifiedData || {}, { unmasked }),
+        riskFlags: verification.riskFlags,
+        createdAt: verification.createdAt,
+        auditLog: verification.auditLog.map(entry => ({
+          action: entry.action,
+          performedBy: entry.performedBy,
+          performedAt: entry.performedAt,
+          metadata: entry.metadata
+        }))
+      }));
+    } catch (error) {
+      logger.error('❌ Error loading review', { error: error.message, verificationId: req.params.verificationId });
+      res.status(500).json(errorResponse(error.message, 'Failed to load review'));
+    }
+  });
+
+  /**
+   * POST /api/v1/verification/admin/reviews/:verificationId/claim
+   * Take the case (claims lapse after 30 minutes without a decision)
+   */
+  router.post('/:verificationId/claim', async (req, res) => {
+    try {
+      const reviewer = getReviewer(req, res);
+      if (!reviewer) {
+        return;
+      }
+      const verification = await loadQueuedVerification(req, res);
+      if (!verification) {
+        return;
+      }
+
+      if (verification.isClaimedByOther(reviewer)) {
+        return res.status(409).json(errorResponse(
+          'Review already claimed',
+          `Claimed by ${verification.review.claimedBy}`,
+          'REVIEW_CLAIMED'
+        ));
+      }
+
+      const previousClaimedBy = verification.review.claimedBy;
+      verification.claimReview(reviewer, { ipAddress: getClientIp(req) });
+      if (!await saveReview(verification, previousClaimedBy, res)) {
+        return;
+      }
+
+      logger.info('🧐 Review claimed', { verificationId: verification._id, reviewer });
+
+      res.json(successResponse(toQueueItem(verification), 'Review claimed'));
+    } catch (error) {
+      logger.error('❌ Error claiming review', { error: error.message, verificationId: req.params.verificationId });
+      res.status(500).json(errorResponse(error.message, 'Failed to claim review'));
+    }
+  });
+
+  /**
+   * POST /api/v1/verification/admin/reviews/:verificationId/release
+   * Return a claimed case to the queue
+   */
+  router.post('/:verificationId/release', async (req, res) => {
+    try {
+      const reviewer = getReviewer(req, res);
+      if (!reviewer) {
+        return;
+      }
+      const verification = await loadQueuedVerification(req, res);
+      if (!verification) {
+        return;
+      }
+
+      if (verification.review.claimedBy !== reviewer) {
+        return res.status(409).json(errorResponse(
+          'Review not claimed by you',
+          'Only the reviewer holding the claim can release it',
+          'REVIEW_NOT_CLAIMED'
+        ));
+      }
+
+      verification.claimReview(reviewer, { release: true, ipAddress: getClientIp(req) });
+      if (!await saveReview(verification, reviewer, res)) {
+        return;
+      }
+
+      res.json(successResponse(toQueueItem(verification), 'Review released'));
+    } catch (error) {
+      logger.error('❌ Error releasing review', { error: error.message, verificationId: req.params.verificationId });
+      res.status(500).json(errorResponse(error.message, 'Failed to release review'));
+    }
+  });
+
+  /**
+   * Approve or reject a claimed case
+   * Body: { note, reason? (rejection reason shown as failureReason) }
+   */
+  const decide = (decision) => async (req, res) => {
+    try {
+      const reviewer = getReviewer(req, res);
+      if (!reviewer) {
+        return;
+      }
+      const { note, reason } = req.body;
+      if (!note) {
+        return res.status(400).json(errorResponse('Missing required field: note', 'A reviewer note is required'));
+      }
+
+      const verification = await loadQueuedVerification(req, res);
+      if (!verification) {
+        return;
+      }
+
+      if (verification.review.claimedBy !== reviewer) {
+        return res.status(409).json(errorResponse(
+          'Review not claimed by you',
+          'Claim the review before deciding it',
+          'REVIEW_NOT_CLAIMED'
+        ));
+      }
+
+      verification.decideReview(decision, {
+        reviewer,
+        note: String(note),
+        reason: reason ? String(reason) : undefined,
+        ipAddress: getClientIp(req)
+      });
+      if (!await saveReview(verification, reviewer, res)) {
+        return;
+      }
+
+      logger.info(decision === 'approved' ? '✅ Review approved' : '❌ Review rejected', {
+        verificationId: verification._id,
+        userId: verification.userId,
+        reviewer
+      });
+
+      res.json(successResponse({
+        verificationId: verification._id,
+        status: verification.status,
+        review: {
+          reason: verification.review.reason,
+          decision: verification.review.decision,
+          decidedBy: verification.review.decidedBy,
+          decidedAt: verification.review.decidedAt
+        }
+      }, decision === 'approved' ? 'Verification approved' : 'Verification rejected'));
+    } catch (error) {
+      logger.error('❌ Error deciding review', { error: error.message, verificationId: req.params.verificationId });
+      res.status(500).json(errorResponse(error.message, 'Failed to record review decision'));
+    }
+  };
+
+  /**
+   * POST /api/v1/verification/admin/reviews/:verificationId/approve
+   * Approve: manual_review -> verified
+   */
+  router.post('/:verificationId/approve', decide('approved'));
+
+  /**
+   * POST /api/v1/verification/admin/reviews/:verificationId/reject
+   * Reject: manual_review -> failed
+   */
+  router.post('/:verificationId/reject', decide('rejected'));
+
+  return router;
+}
+
+module.exports = createReviewRouter;
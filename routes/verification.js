@@ -1,12 +1,19 @@
 const express = require('express');
-const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Verification = require('../models/Verification');
-const cashfreeService = require('../services/cashfreeService');
-const { getVerificationProvider } = require('../services/providerFactory');
-const { serviceAuthMiddleware } = require('../middleware/auth');
+const { getConsentHistory, purgeConsentRecords } = require('../services/consentLedger');
+const { DEFAULT_LANGUAGE, getCurrentTemplate, findAcceptedTemplate } = require('../services/consentTemplates');
+const { hashIdentifier, checkDuplicateIdentity } = require('../services/identityIndex');
+const { checkIdentifierVelocity } = require('../services/identifierVelocity');
+const { applyNameMatch } = require('../services/nameMatch');
+const { serviceAuthMiddleware, requireScope } = require('../middleware/auth');
+const { resolveUserId } = require('../middleware/requestIdentity');
+const { idempotencyMiddleware, deleteUserIdempotencyRecords } = require('../middleware/idempotency');
 const { otpGenerationLimiter, otpResendLimiter, otpVerificationLimiter } = require('../middleware/rateLimiting');
 const { isValidAadhaarFormat, cleanAadhaarNumber, isValidOtpFormat, maskAadhaar } = require('../utils/validation');
 const { successResponse, errorResponse, getClientIp } = require('../utils/helpers');
+const { ErrorCategories, getUserFriendlyMessage } = require('../utils/errorHandler');
 const logger = require('../config/logger');
 
 // =====================================================
@@ -22,1023 +29,1439 @@ const FEATURES = {
 
 logger.info('🎌 Feature flags initialized', FEATURES);
 
-// =====================================================
-// FEATURE AVAILABILITY ENDPOINT
-// =====================================================
-
-/**
- * GET /api/v1/verification/features
- * Return which features are currently enabled
- */
-router.get('/features', (req, res) => {
-  res.json({
-    success: true,
-    features: FEATURES,
-    message: 'Available verification features',
-    timestamp: new Date().toISOString()
-  });
-});
-
-// =====================================================
-// AADHAAR VERIFICATION ROUTES (ACTIVE)
-// =====================================================
-
 /**
- * POST /api/v1/verification/aadhaar/initiate
- * Initiate Aadhaar KYC - Generate OTP
- * Rate limited: 3 requests per user per hour
+ * Create the verification router
+ * The provider chain is created once at app startup (see app.js) and shared by all routes
+ *
+ * @param {object} options
+ * @param {ProviderChain} options.providerChain - Provider registry with failover and health tracking
+ * @returns {express.Router} Verification router
  */
-router.post('/aadhaar/initiate', serviceAuthMiddleware, otpGenerationLimiter, async (req, res) => {
-  try {
-    // Feature flag check
-    if (!FEATURES.AADHAAR) {
-      return res.status(503).json(errorResponse(
-        'Aadhaar verification is temporarily disabled',
-        'This feature is currently unavailable',
-        'FEATURE_DISABLED'
+function createVerificationRouter({ providerChain }) {
+  const router = express.Router();
+
+  // Environment of the provider that handled a request, recorded in audit metadata
+  const getProviderEnvironment = (providerName) =>
+    providerChain.getProvider(providerName).isSandbox() ? 'sandbox' : 'production';
+
+  /**
+   * Look up the consent template the user was shown (consent.version or consentVersion)
+   * Sends a 400 and returns null if the version is missing, unknown or retired.
+   */
+  const resolveConsentTemplate = async (req, res, verificationType) => {
+    const version = req.body.consent?.version || req.body.consentVersion;
+    const language = req.body.consent?.language || DEFAULT_LANGUAGE;
+
+    if (!version) {
+      res.status(400).json(errorResponse(
+        'Missing required field: consentVersion',
+        'The version of the consent text shown to the user is required',
+        'CONSENT_VERSION_REQUIRED'
       ));
+      return null;
     }
 
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { aadhaarNumber, consentGiven, consent } = req.body;
-
-    // Validation
-    if (!userId) {
-      return res.status(400).json(errorResponse(
-        'Missing required field: userId',
-        'User ID is required'
+    const template = await findAcceptedTemplate(verificationType, version, language);
+    if (!template) {
+      res.status(400).json(errorResponse(
+        'Unknown consent version',
+        `Consent version ${version} (${language}) is not accepted for ${verificationType} verification`,
+        'UNKNOWN_CONSENT_VERSION'
       ));
+      return null;
     }
 
-    if (!aadhaarNumber) {
-      return res.status(400).json(errorResponse(
-        'Missing required field: aadhaarNumber',
-        'Aadhaar number is required'
+    return template;
+  };
+
+  /**
+   * Hash the identifier being verified and check it against other users' verifications
+   * Sends a 409 DUPLICATE_IDENTITY and returns null if the duplicate is blocked;
+   * otherwise returns the fields to store ({ identifierHash, riskFlags }).
+   */
+  const checkIdentity = async (res, type, identifier, userId) => {
+    const identifierHash = hashIdentifier(type, identifier);
+    const { blocked, matchedUserIds } = await checkDuplicateIdentity(type, identifierHash, userId);
+
+    if (blocked) {
+      res.status(409).json(errorResponse(
+        'Identity already verified by another account',
+        getUserFriendlyMessage(ErrorCategories.DUPLICATE_IDENTITY),
+        ErrorCategories.DUPLICATE_IDENTITY
       ));
+      return null;
     }
 
-    if (!consentGiven) {
-      return res.status(400).json(errorResponse(
-        'User consent required',
-        'User consent is required for Aadhaar verification'
-      ));
-    }
+    return {
+      identifierHash,
+      riskFlags: matchedUserIds.length > 0
+        ? { duplicateIdentity: true, duplicateUserIds: matchedUserIds, flaggedAt: new Date() }
+        : undefined
+    };
+  };
+
+  /**
+   * Count an attempt against the identifier's velocity limits (all users combined)
+   * Sends a 429 IDENTIFIER_VELOCITY_EXCEEDED and returns false if a limit is exceeded.
+   */
+  const checkVelocity = async (req, res, verificationType, action, identifierHash) => {
+    const { blocked, retryAfterMs } = await checkIdentifierVelocity({
+      verificationType,
+      action,
+      identifierHash,
+      userId: req.userId,
+      ipAddress: getClientIp(req),
+      callingService: req.callingService,
+      path: req.path
+    });
 
-    // Clean and validate Aadhaar number
-    const cleanedAadhaar = cleanAadhaarNumber(aadhaarNumber);
-    if (!isValidAadhaarFormat(cleanedAadhaar)) {
-      return res.status(400).json(errorResponse(
-        'Invalid Aadhaar number format',
-        'Aadhaar number must be exactly 12 digits'
+    if (blocked) {
+      res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+      res.status(429).json(errorResponse(
+        'Too many attempts for this identifier',
+        getUserFriendlyMessage(ErrorCategories.IDENTIFIER_VELOCITY_EXCEEDED),
+        ErrorCategories.IDENTIFIER_VELOCITY_EXCEEDED
       ));
+      return false;
     }
 
-    logger.info('🔄 Initiating Aadhaar verification', {
-      userId,
-      maskedAadhaar: maskAadhaar(cleanedAadhaar),
-      ip: getClientIp(req)
+    return true;
+  };
+
+  /**
+   * Compare the verified name with the user's other verifications (flags mismatches)
+   * Returns true when NAME_MISMATCH_POLICY=review sends a mismatch to manual review.
+   */
+  const checkNameMatch = async (verification, submittedName) => {
+    const nameMatch = await applyNameMatch(verification, { submittedName });
+    return !!nameMatch?.mismatch && process.env.NAME_MISMATCH_POLICY === 'review';
+  };
+
+  // Within REVIEW_FACE_MATCH_MARGIN of the threshold (0 disables manual review)
+  const isBorderlineScore = (score, threshold) => {
+    const margin = Number(process.env.REVIEW_FACE_MATCH_MARGIN ?? 0.05);
+    return margin > 0 && Math.abs(score - threshold) <= margin;
+  };
+
+  // Consent record for a Verification, with the canonical text from the registry
+  const buildConsent = (req, template, givenAt) => ({
+    given: true,
+    givenAt,
+    ipAddress: getClientIp(req),
+    userAgent: req.get('user-agent') || 'unknown',
+    consentVersion: template.version,
+    language: template.language,
+    consentText: template.text,
+    consentTextHash: template.textHash
+  });
+
+  // =====================================================
+  // FEATURE AVAILABILITY ENDPOINT
+  // =====================================================
+
+  /**
+   * GET /api/v1/verification/features
+   * Return which features are currently enabled
+   */
+  router.get('/features', (req, res) => {
+    res.json({
+      success: true,
+      features: FEATURES,
+      message: 'Available verification features',
+      timestamp: new Date().toISOString()
     });
+  });
 
-    // Check if verification already exists and is verified
-    let verification = await Verification.findByUserId(userId);
-    
-    if (verification && verification.status === 'verified') {
-      logger.warn('⚠️ User already verified', { userId });
-      return res.status(400).json(errorResponse(
-        'User is already verified',
-        'This user has already completed Aadhaar verification'
-      ));
-    }
+  // =====================================================
+  // AADHAAR VERIFICATION ROUTES (ACTIVE)
+  // =====================================================
+
+  /**
+   * POST /api/v1/verification/aadhaar/initiate
+   * Initiate Aadhaar KYC - Generate OTP
+   * Rate limited: 3 requests per user per hour
+   */
+  router.post('/aadhaar/initiate', serviceAuthMiddleware, requireScope('aadhaar:write'), resolveUserId(), idempotencyMiddleware, otpGenerationLimiter, async (req, res) => {
+    try {
+      // Feature flag check
+      if (!FEATURES.AADHAAR) {
+        return res.status(503).json(errorResponse(
+          'Aadhaar verification is temporarily disabled',
+          'This feature is currently unavailable',
+          'FEATURE_DISABLED'
+        ));
+      }
 
-    // Generate OTP via Cashfree
-    const otpResult = await cashfreeService.generateAadhaarOTP(cleanedAadhaar);
+      const { userId } = req;
+      const { aadhaarNumber, consentGiven } = req.body;
 
-    if (!otpResult.success) {
-      return res.status(400).json(errorResponse(
-        otpResult.message || 'Failed to generate OTP',
-        'Could not initiate Aadhaar verification'
-      ));
-    }
+      // Validation
+      if (!userId) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: userId',
+          'User ID is required'
+        ));
+      }
+
+      if (!aadhaarNumber) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: aadhaarNumber',
+          'Aadhaar number is required'
+        ));
+      }
+
+      if (!consentGiven) {
+        return res.status(400).json(errorResponse(
+          'User consent required',
+          'User consent is required for Aadhaar verification'
+        ));
+      }
+
+      // Clean and validate Aadhaar number
+      const cleanedAadhaar = cleanAadhaarNumber(aadhaarNumber);
+      if (!isValidAadhaarFormat(cleanedAadhaar)) {
+        return res.status(400).json(errorResponse(
+          'Invalid Aadhaar number format',
+          'Aadhaar number must be exactly 12 digits'
+        ));
+      }
+
+      const consentTemplate = await resolveConsentTemplate(req, res, 'aadhaar');
+      if (!consentTemplate) {
+        return;
+      }
+
+      const identity = await checkIdentity(res, 'aadhaar', { aadhaarNumber: cleanedAadhaar }, userId);
+      if (!identity) {
+        return;
+      }
+
+      logger.info('🔄 Initiating Aadhaar verification', {
+        userId,
+        maskedAadhaar: maskAadhaar(cleanedAadhaar),
+        ip: getClientIp(req)
+      });
+
+      // Check if verification already exists and is verified
+      let verification = await Verification.findByUserIdAndType(userId, 'aadhaar');
 
-    // Save verification record
-    const now = new Date();
-    const otpExpiresAt = new Date(now.getTime() + 10 * 60 * 1000); // OTP expires in 10 minutes
+      // Consent was withdrawn: verify again from scratch in a new record
+      if (verification && verification.consent?.withdrawnAt) {
+        verification = null;
+      }
     
-    // Enhanced consent object (backward compatible)
-    const consentData = consent || {
-      given: consentGiven === true,
-      text: 'User agreed to Aadhaar verification',
-      version: 'v1.0'
-    };
+      if (verification && verification.status === 'verified') {
+        logger.warn('⚠️ User already verified', { userId });
+        return res.status(400).json(errorResponse(
+          'User is already verified',
+          'This user has already completed Aadhaar verification'
+        ));
+      }
+
+      if (verification && !verification.canTransition('otp_sent')) {
+        return res.status(409).json(errorResponse(
+          'Verification in progress',
+          `Verification status is: ${verification.status}`,
+          'INVALID_STATUS_TRANSITION'
+        ));
+      }
+
+      // Counted only when an OTP is about to be sent
+      if (!await checkVelocity(req, res, 'aadhaar', 'otp', identity.identifierHash)) {
+        return;
+      }
+
+      // Generate OTP via provider chain (fails over on provider outages)
+      const { result: otpResult, providerName } = await providerChain.execute('generateAadhaarOTP', [cleanedAadhaar]);
+      const provider = providerChain.getProvider(providerName);
+
+      if (!otpResult.success) {
+        return res.status(400).json(errorResponse(
+          otpResult.message || 'Failed to generate OTP',
+          'Could not initiate Aadhaar verification'
+        ));
+      }
+
+      // Save verification record
+      const now = new Date();
+      const otpExpiresAt = new Date(now.getTime() + 10 * 60 * 1000); // OTP expires in 10 minutes
     
-    const verificationData = {
-      userId,
-      type: 'aadhaar',
-      status: 'otp_sent',
-      provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-      transactionId: otpResult.refId,
-      refId: otpResult.refId,
-      maskedAadhaar: maskAadhaar(cleanedAadhaar),
-      otpSent: true,
-      otpSentAt: now,
-      otpExpiresAt: otpExpiresAt,
-      // Enhanced consent tracking
-      consent: {
-        given: true,
-        givenAt: now,
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        consentVersion: consentData.version || 'v1.0',
-        consentText: consentData.text || 'User agreed to Aadhaar verification'
-      },
-      // Audit log
-      auditLog: [{
-        action: 'initiated',
-        performedBy: userId,
-        performedAt: now,
-        ipAddress: getClientIp(req),
+      const verificationData = {
+        provider: providerName, // Follow-up calls (verify/resend) are pinned to this provider
+        transactionId: otpResult.refId,
+        refId: otpResult.refId,
+        maskedAadhaar: maskAadhaar(cleanedAadhaar),
+        ...identity,
+        otpExpiresAt: otpExpiresAt,
+        otpAttempts: 0,
+        // Enhanced consent tracking
+        consent: buildConsent(req, consentTemplate, now),
+        initiatedAt: now,
         metadata: {
-          provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-          environment: process.env.CASHFREE_ENV || 'sandbox'
+          ipAddress: getClientIp(req),
+          userAgent: req.get('user-agent') || 'unknown',
+          environment: getProviderEnvironment(providerName)
         }
-      }],
-      initiatedAt: now,
-      metadata: {
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        environment: process.env.CASHFREE_ENV || 'sandbox'
-      }
-    };
+      };
 
-    if (verification) {
-      // Update existing verification
+      if (!verification) {
+        verification = new Verification({ userId, type: 'aadhaar' });
+      }
       Object.assign(verification, verificationData);
-      await verification.save();
-    } else {
-      // Create new verification
-      verification = await Verification.create(verificationData);
-    }
 
-    logger.info('✅ Aadhaar verification initiated', {
-      userId,
-      refId: otpResult.refId,
-      status: 'otp_sent'
-    });
+      const auditMetadata = {
+        provider: providerName,
+        environment: getProviderEnvironment(providerName)
+      };
+      verification.addAuditLog('initiated', userId, getClientIp(req), auditMetadata);
+      verification.transition('otp_sent', {
+        performedBy: userId,
+        ipAddress: getClientIp(req),
+        metadata: auditMetadata
+      });
+      await verification.save();
 
-    const response = successResponse({
-      transactionId: otpResult.refId,
-      refId: otpResult.refId,
-      maskedAadhaar: verificationData.maskedAadhaar
-    }, 'OTP sent successfully');
+      logger.info('✅ Aadhaar verification initiated', {
+        userId,
+        refId: otpResult.refId,
+        provider: providerName,
+        status: 'otp_sent'
+      });
 
-    // In sandbox, include test OTP for testing convenience
-    if (cashfreeService.isSandbox()) {
-      response.data.testOtp = cashfreeService.getTestOtp();
-      response.data.message = 'OTP sent successfully (Sandbox mode - use test OTP for testing)';
-    }
+      const response = successResponse({
+        transactionId: otpResult.refId,
+        refId: otpResult.refId,
+        maskedAadhaar: verificationData.maskedAadhaar
+      }, 'OTP sent successfully');
 
-    res.json(response);
-  } catch (error) {
-    logger.error('❌ Error initiating Aadhaar KYC', {
-      error: error.message,
-      stack: error.stack,
-      userId: req.headers['x-user-id'] || req.body.userId
-    });
+      // In sandbox, include test OTP for testing convenience
+      if (provider.isSandbox()) {
+        response.data.testOtp = provider.getTestOtp();
+        response.data.message = 'OTP sent successfully (Sandbox mode - use test OTP for testing)';
+      }
 
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to initiate Aadhaar verification',
-      'An error occurred while initiating verification'
-    ));
-  }
-});
+      res.json(response);
+    } catch (error) {
+      logger.error('❌ Error initiating Aadhaar KYC', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.userId
+      });
 
-/**
- * POST /api/v1/verification/aadhaar/verify
- * Verify Aadhaar OTP
- * Rate limited: 10 attempts per user per 15 minutes
- */
-router.post('/aadhaar/verify', serviceAuthMiddleware, otpVerificationLimiter, async (req, res) => {
-  try {
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { transactionId, refId, otp } = req.body;
-
-    // Validation
-    if (!userId) {
-      return res.status(400).json(errorResponse(
-        'Missing required field: userId',
-        'User ID is required'
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to initiate Aadhaar verification',
+        'An error occurred while initiating verification'
       ));
     }
+  });
 
-    const verificationRefId = refId || transactionId;
-    if (!verificationRefId) {
-      return res.status(400).json(errorResponse(
-        'Missing required field: refId or transactionId',
-        'Reference ID is required'
-      ));
-    }
+  /**
+   * POST /api/v1/verification/aadhaar/verify
+   * Verify Aadhaar OTP
+   * Rate limited: 10 attempts per user per 15 minutes
+   */
+  router.post('/aadhaar/verify', serviceAuthMiddleware, requireScope('aadhaar:write'), resolveUserId(), idempotencyMiddleware, otpVerificationLimiter, async (req, res) => {
+    try {
+      const { userId } = req;
+      const { transactionId, refId, otp } = req.body;
+
+      // Validation
+      if (!userId) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: userId',
+          'User ID is required'
+        ));
+      }
 
-    if (!otp) {
-      return res.status(400).json(errorResponse(
-        'Missing required field: otp',
-        'OTP is required'
-      ));
-    }
+      const verificationRefId = refId || transactionId;
+      if (!verificationRefId) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: refId or transactionId',
+          'Reference ID is required'
+        ));
+      }
 
-    if (!isValidOtpFormat(otp)) {
-      return res.status(400).json(errorResponse(
-        'Invalid OTP format',
-        'OTP must be 6 digits'
-      ));
-    }
+      if (!otp) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: otp',
+          'OTP is required'
+        ));
+      }
 
-    logger.info('🔄 Verifying Aadhaar OTP', {
-      userId,
-      refId: verificationRefId,
-      ip: getClientIp(req)
-    });
+      if (!isValidOtpFormat(otp)) {
+        return res.status(400).json(errorResponse(
+          'Invalid OTP format',
+          'OTP must be 6 digits'
+        ));
+      }
 
-    // Get verification record
-    const verification = await Verification.findOne({ 
-      userId, 
-      $or: [
-        { refId: verificationRefId },
-        { transactionId: verificationRefId }
-      ]
-    });
+      logger.info('🔄 Verifying Aadhaar OTP', {
+        userId,
+        refId: verificationRefId,
+        ip: getClientIp(req)
+      });
 
-    if (!verification) {
-      logger.warn('⚠️ Verification session not found', { userId, refId: verificationRefId });
-      return res.status(404).json(errorResponse(
-        'Verification session not found',
-        'No active verification session found for this user'
-      ));
-    }
+      // Get verification record
+      const verification = await Verification.findOne({ 
+        userId, 
+        'complianceFlags.rightToErasure': { $ne: true },
+        $or: [
+          { refId: verificationRefId },
+          { transactionId: verificationRefId }
+        ]
+      });
 
-    if (verification.status !== 'otp_sent') {
-      return res.status(400).json(errorResponse(
-        'OTP not sent for this verification',
-        `Verification status is: ${verification.status}`
-      ));
-    }
+      if (!verification) {
+        logger.warn('⚠️ Verification session not found', { userId, refId: verificationRefId });
+        return res.status(404).json(errorResponse(
+          'Verification session not found',
+          'No active verification session found for this user'
+        ));
+      }
 
-    // Check if OTP has expired
-    if (verification.isOtpExpired()) {
-      logger.warn('⚠️ OTP has expired', { userId, refId: verificationRefId });
-      return res.status(400).json(errorResponse(
-        'OTP has expired',
-        'The OTP has expired. Please request a new one.',
-        'OTP_EXPIRED'
-      ));
-    }
+      if (verification.status !== 'otp_sent') {
+        return res.status(400).json(errorResponse(
+          'OTP not sent for this verification',
+          `Verification status is: ${verification.status}`
+        ));
+      }
+
+      // Check if OTP has expired
+      if (verification.isOtpExpired()) {
+        logger.warn('⚠️ OTP has expired', { userId, refId: verificationRefId });
+        return res.status(400).json(errorResponse(
+          'OTP has expired',
+          'The OTP has expired. Please request a new one.',
+          'OTP_EXPIRED'
+        ));
+      }
+
+      // Check OTP attempts
+      if (verification.hasExceededAttempts()) {
+        verification.transition('failed', {
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          reason: 'Maximum OTP attempts exceeded'
+        });
+        await verification.save();
+
+        logger.warn('⚠️ Maximum OTP attempts exceeded', { userId, refId: verificationRefId });
+        return res.status(400).json(errorResponse(
+          'Maximum OTP attempts exceeded',
+          'You have exceeded the maximum number of OTP verification attempts'
+        ));
+      }
+
+      // Verify OTP with the provider that issued the refId (no failover)
+      const { result: verifyResult } = await providerChain.execute('verifyAadhaarOTP', [verificationRefId, otp], {
+        pinnedProvider: verification.provider
+      });
+
+      // Update verification record
+      if (verifyResult.success) {
+        verification.transition('verified', {
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          metadata: { provider: verification.provider }
+        });
+        verification.verifiedData = verifyResult.verifiedData;
+        // Always update maskedAadhaar if provided, otherwise keep existing value
+        if (verifyResult.maskedAadhaar) {
+          verification.maskedAadhaar = verifyResult.maskedAadhaar;
+        }
+        verification.otpAttempts = 0; // Reset attempts on success
+        await applyNameMatch(verification); // Aadhaar is the reference name: flagged, never held for review
+      } else {
+        verification.otpAttempts = (verification.otpAttempts || 0) + 1;
+        verification.failureReason = verifyResult.message;
+
+        if (verification.otpAttempts >= 3) {
+          verification.transition('failed', {
+            performedBy: userId,
+            ipAddress: getClientIp(req),
+            reason: verifyResult.message
+          });
+        } else {
+          // Wrong OTP: stay in otp_sent so the user can retry
+          verification.addAuditLog('otp_failed', userId, getClientIp(req), {
+            attempts: verification.otpAttempts,
+            reason: verifyResult.message
+          });
+        }
+      }
 
-    // Check OTP attempts
-    if (verification.hasExceededAttempts()) {
-      verification.status = 'failed';
-      verification.failedAt = new Date();
-      verification.failureReason = 'Maximum OTP attempts exceeded';
       await verification.save();
 
-      logger.warn('⚠️ Maximum OTP attempts exceeded', { userId, refId: verificationRefId });
-      return res.status(400).json(errorResponse(
-        'Maximum OTP attempts exceeded',
-        'You have exceeded the maximum number of OTP verification attempts'
+      if (verifyResult.success) {
+        logger.info('✅ Aadhaar OTP verified successfully', {
+          userId,
+          refId: verificationRefId,
+          status: 'verified'
+        });
+
+        res.json(successResponse({
+          status: 'verified',
+          maskedAadhaar: verifyResult.maskedAadhaar,
+          verifiedData: {
+            name: verifyResult.verifiedData.name,
+            gender: verifyResult.verifiedData.gender,
+            yearOfBirth: verifyResult.verifiedData.yearOfBirth
+          }
+        }, 'Aadhaar verification successful'));
+      } else {
+        logger.warn('⚠️ Aadhaar OTP verification failed', {
+          userId,
+          refId: verificationRefId,
+          attempts: verification.otpAttempts,
+          message: verifyResult.message
+        });
+
+        res.status(400).json(errorResponse(
+          verifyResult.message || 'OTP verification failed',
+          `Verification failed. ${3 - verification.otpAttempts} attempts remaining.`
+        ));
+      }
+    } catch (error) {
+      logger.error('❌ Error verifying Aadhaar OTP', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.userId
+      });
+
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to verify OTP',
+        'An error occurred while verifying OTP'
       ));
     }
+  });
 
-    // Verify OTP via Cashfree
-    const verifyResult = await cashfreeService.verifyAadhaarOTP(verificationRefId, otp);
-
-    // Update verification record
-    if (verifyResult.success) {
-      verification.status = 'verified';
-      verification.otpVerified = true;
-      verification.otpVerifiedAt = new Date();
-      verification.verifiedAt = new Date();
-      verification.verifiedData = verifyResult.verifiedData;
-      // Always update maskedAadhaar if provided, otherwise keep existing value
-      if (verifyResult.maskedAadhaar) {
-        verification.maskedAadhaar = verifyResult.maskedAadhaar;
-      }
-      verification.otpAttempts = 0; // Reset attempts on success
-    } else {
-      verification.otpAttempts = (verification.otpAttempts || 0) + 1;
-      verification.status = verifyResult.message.includes('OTP') ? 'otp_sent' : 'failed';
-      verification.failureReason = verifyResult.message;
-      
-      if (verification.otpAttempts >= 3) {
-        verification.status = 'failed';
-        verification.failedAt = new Date();
+  /**
+   * POST /api/v1/verification/aadhaar/resend
+   * Resend OTP for Aadhaar verification
+   * Rate limited: 5 requests per user per hour
+   */
+  router.post('/aadhaar/resend', serviceAuthMiddleware, requireScope('aadhaar:write'), resolveUserId(), idempotencyMiddleware, otpResendLimiter, async (req, res) => {
+    try {
+      const { userId } = req;
+      const { refId } = req.body;
+
+      // Validation
+      if (!userId) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: userId',
+          'User ID is required'
+        ));
       }
-    }
-
-    await verification.save();
 
-    if (verifyResult.success) {
-      logger.info('✅ Aadhaar OTP verified successfully', {
+      logger.info('🔄 Resending Aadhaar OTP', {
         userId,
-        refId: verificationRefId,
-        status: 'verified'
+        refId,
+        ip: getClientIp(req)
       });
 
-      res.json(successResponse({
-        status: 'verified',
-        maskedAadhaar: verifyResult.maskedAadhaar,
-        verifiedData: {
-          name: verifyResult.verifiedData.name,
-          gender: verifyResult.verifiedData.gender,
-          yearOfBirth: verifyResult.verifiedData.yearOfBirth
+      // Get existing verification record
+      let verification;
+      if (refId) {
+        verification = await Verification.findOne({ 
+          userId,
+          'complianceFlags.rightToErasure': { $ne: true },
+          $or: [
+            { refId: refId },
+            { transactionId: refId }
+          ]
+        });
+      } else {
+        verification = await Verification.findByUserId(userId);
+      }
+
+      if (!verification) {
+        logger.warn('⚠️ No verification record found for user', { userId });
+        return res.status(404).json(errorResponse(
+          'No verification found',
+          'Please initiate verification first'
+        ));
+      }
+
+      if (verification.status === 'verified') {
+        return res.status(400).json(errorResponse(
+          'Already verified',
+          'This user is already verified'
+        ));
+      }
+
+      if (!verification.canTransition('otp_sent')) {
+        return res.status(409).json(errorResponse(
+          'OTP cannot be resent',
+          `Verification status is: ${verification.status}`,
+          'INVALID_STATUS_TRANSITION'
+        ));
+      }
+
+      // Check if OTP was sent recently (cooldown: 60 seconds)
+      if (verification.otpSentAt) {
+        const timeSinceLastOTP = Date.now() - new Date(verification.otpSentAt).getTime();
+        if (timeSinceLastOTP < 60000) { // 60 seconds
+          const remainingSeconds = Math.ceil((60000 - timeSinceLastOTP) / 1000);
+          return res.status(429).json(errorResponse(
+            'Please wait before requesting another OTP',
+            `You can request a new OTP after ${remainingSeconds} seconds`,
+            'RESEND_COOLDOWN'
+          ));
         }
-      }, 'Aadhaar verification successful'));
-    } else {
-      logger.warn('⚠️ Aadhaar OTP verification failed', {
+      }
+
+      // Records initiated before the identity index have no identifierHash
+      if (verification.identifierHash && !await checkVelocity(req, res, 'aadhaar', 'otp', verification.identifierHash)) {
+        return;
+      }
+
+      // Resend OTP with the provider that issued the refId (no failover)
+      const { result: otpResult } = await providerChain.execute('resendAadhaarOTP', [verification.refId], {
+        pinnedProvider: verification.provider
+      });
+      const provider = providerChain.getProvider(verification.provider);
+
+      if (!otpResult.success) {
+        return res.status(400).json(errorResponse(
+          otpResult.message || 'Failed to resend OTP',
+          'Could not resend OTP'
+        ));
+      }
+
+      // Update verification record
+      const now = new Date();
+      const otpExpiresAt = new Date(now.getTime() + 10 * 60 * 1000); // OTP expires in 10 minutes
+    
+      verification.otpExpiresAt = otpExpiresAt;
+      verification.otpAttempts = 0; // Reset attempts on resend
+      verification.refId = otpResult.refId; // Update refId if it changed
+      verification.transition('otp_sent', {
+        performedBy: userId,
+        ipAddress: getClientIp(req),
+        metadata: { provider: verification.provider, resend: true }
+      });
+      await verification.save();
+
+      logger.info('✅ Aadhaar OTP resent successfully', {
         userId,
-        refId: verificationRefId,
-        attempts: verification.otpAttempts,
-        message: verifyResult.message
+        refId: otpResult.refId
       });
 
-      res.status(400).json(errorResponse(
-        verifyResult.message || 'OTP verification failed',
-        `Verification failed. ${3 - verification.otpAttempts} attempts remaining.`
+      const response = successResponse({
+        refId: otpResult.refId,
+        maskedAadhaar: verification.maskedAadhaar,
+        message: otpResult.message || 'OTP resent successfully'
+      }, 'OTP resent successfully');
+
+      // In sandbox, include test OTP for testing convenience
+      if (provider.isSandbox()) {
+        response.data.testOtp = provider.getTestOtp();
+        response.data.message = 'OTP resent successfully (Sandbox mode - use test OTP for testing)';
+      }
+
+      res.json(response);
+    } catch (error) {
+      logger.error('❌ Error resending OTP', {
+        error: error.message,
+        stack: error.stack,
+        userId: req.userId
+      });
+
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to resend OTP',
+        'An error occurred while resending OTP'
       ));
     }
-  } catch (error) {
-    logger.error('❌ Error verifying Aadhaar OTP', {
-      error: error.message,
-      stack: error.stack,
-      userId: req.headers['x-user-id'] || req.body.userId
-    });
+  });
 
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to verify OTP',
-      'An error occurred while verifying OTP'
-    ));
-  }
-});
+  /**
+   * GET /api/v1/verification/status/:userId
+   * Get verification status for a user
+   */
+  router.get('/status/:userId', serviceAuthMiddleware, requireScope('status:read'), resolveUserId({ crossUserScope: 'users:read' }), async (req, res) => {
+    try {
+      const { userId } = req;
+
+      const verification = await Verification.findByUserId(userId);
+
+      if (!verification) {
+        return res.json(successResponse({
+          status: 'not_initiated',
+          isVerified: false
+        }, 'Verification not initiated'));
+      }
 
-/**
- * POST /api/v1/verification/aadhaar/resend
- * Resend OTP for Aadhaar verification
- * Rate limited: 5 requests per user per hour
- */
-router.post('/aadhaar/resend', serviceAuthMiddleware, otpResendLimiter, async (req, res) => {
-  try {
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { refId } = req.body;
-
-    // Validation
-    if (!userId) {
-      return res.status(400).json(errorResponse(
-        'Missing required field: userId',
-        'User ID is required'
+      res.json(successResponse({
+        status: verification.status,
+        isVerified: verification.isVerified(),
+        type: verification.type,
+        maskedAadhaar: verification.maskedAadhaar,
+        provider: verification.provider,
+        verifiedAt: verification.verifiedAt,
+        consentWithdrawnAt: verification.consent?.withdrawnAt,
+        attemptsRemaining: Math.max(0, 3 - (verification.otpAttempts || 0))
+      }));
+    } catch (error) {
+      logger.error('❌ Error fetching verification status', {
+        error: error.message,
+        userId: req.userId
+      });
+
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to fetch verification status',
+        'An error occurred while fetching verification status'
       ));
     }
+  });
 
-    logger.info('🔄 Resending Aadhaar OTP', {
-      userId,
-      refId,
-      ip: getClientIp(req)
-    });
+  /**
+   * GET /api/v1/verification/badge/:userId
+   * Get verification badge data for display
+   */
+  router.get('/badge/:userId', serviceAuthMiddleware, requireScope('status:read'), resolveUserId({ crossUserScope: 'users:read' }), async (req, res) => {
+    try {
+      const { userId } = req;
+
+      const verification = await Verification.findByUserId(userId);
+
+      if (!verification || !verification.isVerified()) {
+        return res.json(successResponse({
+          isVerified: false,
+          badge: null
+        }));
+      }
 
-    // Get existing verification record
-    let verification;
-    if (refId) {
-      verification = await Verification.findOne({ 
-        userId,
-        $or: [
-          { refId: refId },
-          { transactionId: refId }
-        ]
+      res.json(successResponse({
+        isVerified: true,
+        badge: {
+          type: verification.type,
+          status: verification.status,
+          verifiedAt: verification.verifiedAt,
+          maskedAadhaar: verification.maskedAadhaar,
+          provider: verification.provider
+        }
+      }));
+    } catch (error) {
+      logger.error('❌ Error fetching verification badge', {
+        error: error.message,
+        userId: req.userId
       });
-    } else {
-      verification = await Verification.findByUserId(userId);
-    }
 
-    if (!verification) {
-      logger.warn('⚠️ No verification record found for user', { userId });
-      return res.status(404).json(errorResponse(
-        'No verification found',
-        'Please initiate verification first'
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to fetch verification badge',
+        'An error occurred while fetching verification badge'
       ));
     }
+  });
+
+  /**
+   * DELETE /api/v1/verification/user/:userId
+   * Right to erasure: purge personal data from all of a user's verifications
+   * and delete their stored idempotent responses
+   * Records stay as audit tombstones; the user is reported as unverified afterwards
+   */
+  router.delete('/user/:userId', serviceAuthMiddleware, requireScope('erasure:write'), resolveUserId({ crossUserScope: 'admin' }), async (req, res) => {
+    try {
+      const { userId } = req;
+      const requestedBy = req.callingService || req.serviceUserId || 'service';
+
+      const verifications = await Verification.find({ userId, 'complianceFlags.rightToErasure': { $ne: true } });
+      // Before the verifications are marked erased, and also on a repeated request, so a
+      // failure here fails the request and a retry completes it
+      const consentRecordsPurged = await purgeConsentRecords({ userId });
+      const idempotencyRecordsDeleted = await deleteUserIdempotencyRecords(userId);
+
+      if (verifications.length === 0) {
+        // Repeated request: return the earlier receipt
+        const erased = await Verification.findOne({ userId, 'complianceFlags.rightToErasure': true })
+          .sort({ 'complianceFlags.erasureRequestedAt': -1 });
+
+        if (!erased) {
+          return res.status(404).json(errorResponse(
+            'No verifications found',
+            `No verification data found for user: ${userId}`
+          ));
+        }
+
+        return res.json(successResponse({
+          receiptId: erased.complianceFlags.erasureReceiptId,
+          userId,
+          erasedAt: erased.complianceFlags.erasureRequestedAt,
+          verificationsErased: 0,
+          alreadyErased: true
+        }, 'User data was already erased'));
+      }
+
+      const receiptId = `erasure_${crypto.randomUUID()}`;
+      for (const verification of verifications) {
+        verification.erase({ receiptId, performedBy: requestedBy });
+        await verification.save();
+      }
+
+      logger.info('🗑️ User verification data erased', {
+        userId,
+        receiptId,
+        verificationsErased: verifications.length,
+        consentRecordsPurged,
+        idempotencyRecordsDeleted,
+        requestedBy
+      });
+
+      res.json(successResponse({
+        receiptId,
+        userId,
+        erasedAt: verifications[0].complianceFlags.erasureRequestedAt,
+        verificationsErased: verifications.length,
+        types: [...new Set(verifications.map(verification => verification.type))]
+      }, 'User data erased'));
+    } catch (error) {
+      logger.error('❌ Error erasing user data', {
+        error: error.message,
+        userId: req.userId
+      });
 
-    if (verification.status === 'verified') {
-      return res.status(400).json(errorResponse(
-        'Already verified',
-        'This user is already verified'
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to erase user data',
+        'An error occurred while erasing user data'
       ));
     }
+  });
 
-    // Check if OTP was sent recently (cooldown: 60 seconds)
-    if (verification.otpSentAt) {
-      const timeSinceLastOTP = Date.now() - new Date(verification.otpSentAt).getTime();
-      if (timeSinceLastOTP < 60000) { // 60 seconds
-        const remainingSeconds = Math.ceil((60000 - timeSinceLastOTP) / 1000);
-        return res.status(429).json(errorResponse(
-          'Please wait before requesting another OTP',
-          `You can request a new OTP after ${remainingSeconds} seconds`,
-          'RESEND_COOLDOWN'
+  // =====================================================
+  // CONSENT
+  // =====================================================
+
+  /**
+   * POST /api/v1/verification/:verificationId/consent/withdraw
+   * Withdraw consent for a verification
+   * Revokes it (downstream gets verification.consent_withdrawn) and purges its personal data
+   */
+  router.post('/:verificationId/consent/withdraw', serviceAuthMiddleware, requireScope('consent:write'), resolveUserId(), idempotencyMiddleware, async (req, res) => {
+    try {
+      const { verificationId } = req.params;
+      const { userId } = req;
+
+      if (!userId) {
+        return res.status(400).json(errorResponse(
+          'Missing required field: userId',
+          'User ID is required'
         ));
       }
-    }
 
-    // Resend OTP via Cashfree
-    const otpResult = await cashfreeService.resendAadhaarOTP(verification.refId);
+      if (!mongoose.Types.ObjectId.isValid(verificationId)) {
+        return res.status(400).json(errorResponse('Invalid verification ID', 'verificationId must be an ObjectId'));
+      }
+
+      const verification = await Verification.findOne({
+        _id: verificationId,
+        userId,
+        'complianceFlags.rightToErasure': { $ne: true }
+      });
+
+      if (!verification) {
+        return res.status(404).json(errorResponse(
+          'Verification not found',
+          `No verification with ID ${verificationId} for this user`
+        ));
+      }
 
-    if (!otpResult.success) {
-      return res.status(400).json(errorResponse(
-        otpResult.message || 'Failed to resend OTP',
-        'Could not resend OTP'
+      if (verification.consent?.withdrawnAt) {
+        return res.status(409).json(errorResponse(
+          'Consent already withdrawn',
+          `Consent was withdrawn at ${verification.consent.withdrawnAt.toISOString()}`
+        ));
+      }
+
+      // Ledger first: if this fails, consent is not yet withdrawn and the request can be retried
+      await purgeConsentRecords({ verificationId: verification._id });
+      verification.withdrawConsent({
+        performedBy: userId,
+        ipAddress: getClientIp(req),
+        reason: req.body.reason
+      });
+      await verification.save();
+
+      logger.info('🚫 Consent withdrawn', {
+        userId,
+        verificationId,
+        type: verification.type
+      });
+
+      res.json(successResponse({
+        verificationId: verification._id,
+        type: verification.type,
+        status: verification.status,
+        isVerified: false,
+        withdrawnAt: verification.consent.withdrawnAt
+      }, 'Consent withdrawn'));
+    } catch (error) {
+      logger.error('❌ Error withdrawing consent', {
+        error: error.message,
+        verificationId: req.params.verificationId
+      });
+
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to withdraw consent',
+        'An error occurred while withdrawing consent'
       ));
     }
+  });
 
-    // Update verification record
-    const now = new Date();
-    const otpExpiresAt = new Date(now.getTime() + 10 * 60 * 1000); // OTP expires in 10 minutes
-    
-    verification.otpSentAt = now;
-    verification.otpExpiresAt = otpExpiresAt;
-    verification.otpAttempts = 0; // Reset attempts on resend
-    verification.status = 'otp_sent';
-    verification.refId = otpResult.refId; // Update refId if it changed
-    await verification.save();
-
-    logger.info('✅ Aadhaar OTP resent successfully', {
-      userId,
-      refId: otpResult.refId
-    });
+  /**
+   * GET /api/v1/verification/consent/templates/:type
+   * Current consent text to show the user before a verification
+   * Query: language (default en)
+   */
+  router.get('/consent/templates/:type', serviceAuthMiddleware, requireScope('consent:read'), async (req, res) => {
+    try {
+      const { type } = req.params;
+      const language = req.query.language || DEFAULT_LANGUAGE;
+
+      const template = await getCurrentTemplate(type, language);
+      if (!template) {
+        return res.status(404).json(errorResponse(
+          'Consent template not found',
+          `No current consent template for ${type} (${language})`
+        ));
+      }
 
-    const response = successResponse({
-      refId: otpResult.refId,
-      maskedAadhaar: verification.maskedAadhaar,
-      message: otpResult.message || 'OTP resent successfully'
-    }, 'OTP resent successfully');
+      res.json(successResponse({
+        verificationType: template.verificationType,
+        version: template.version,
+        language: template.language,
+        text: template.text,
+        textHash: template.textHash,
+        effectiveFrom: template.effectiveFrom
+      }));
+    } catch (error) {
+      logger.error('❌ Error fetching consent template', {
+        error: error.message,
+        type: req.params.type
+      });
 
-    // In sandbox, include test OTP for testing convenience
-    if (cashfreeService.isSandbox()) {
-      response.data.testOtp = cashfreeService.getTestOtp();
-      response.data.message = 'OTP resent successfully (Sandbox mode - use test OTP for testing)';
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to fetch consent template',
+        'An error occurred while fetching consent template'
+      ));
     }
+  });
 
-    res.json(response);
-  } catch (error) {
-    logger.error('❌ Error resending OTP', {
-      error: error.message,
-      stack: error.stack,
-      userId: req.headers['x-user-id'] || req.body.userId
-    });
+  /**
+   * GET /api/v1/verification/consent/history/:userId
+   * Consent ledger for a user (given/withdrawn events, oldest first)
+   */
+  router.get('/consent/history/:userId', serviceAuthMiddleware, requireScope('consent:read'), resolveUserId({ crossUserScope: 'users:read' }), async (req, res) => {
+    try {
+      const { userId } = req;
 
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to resend OTP',
-      'An error occurred while resending OTP'
-    ));
-  }
-});
+      const history = await getConsentHistory(userId);
 
-/**
- * GET /api/v1/verification/status/:userId
- * Get verification status for a user
- */
-router.get('/status/:userId', serviceAuthMiddleware, async (req, res) => {
-  try {
-    const { userId } = req.params;
+      res.json(successResponse({
+        userId,
+        count: history.length,
+        history
+      }));
+    } catch (error) {
+      logger.error('❌ Error fetching consent history', {
+        error: error.message,
+        userId: req.userId
+      });
 
-    const verification = await Verification.findByUserId(userId);
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to fetch consent history',
+        'An error occurred while fetching consent history'
+      ));
+    }
+  });
 
-    if (!verification) {
-      return res.json(successResponse({
-        status: 'not_initiated',
-        isVerified: false
-      }, 'Verification not initiated'));
+  // =====================================================
+  // FUTURE VERIFICATION ROUTES (READY - FEATURE FLAGGED)
+  // =====================================================
+
+  /**
+   * POST /api/v1/verification/pan/verify
+   * Verify PAN card - STUB (Ready to activate)
+   * 
+   * TO ACTIVATE:
+   * 1. Set FEATURE_PAN=true in .env
+   * 2. Ensure provider supports PAN (Cashfree does!)
+   * 3. Uncomment implementation below
+   * 4. Restart service
+   */
+  router.post('/pan/verify', serviceAuthMiddleware, requireScope('pan:write'), resolveUserId(), idempotencyMiddleware, async (req, res) => {
+    if (!FEATURES.PAN) {
+      return res.status(503).json({
+        success: false,
+        message: 'PAN verification is not yet available. Contact admin to enable this feature.',
+        code: 'FEATURE_NOT_ENABLED',
+        timestamp: new Date().toISOString()
+      });
     }
 
-    res.json(successResponse({
-      status: verification.status,
-      isVerified: verification.isVerified(),
-      type: verification.type,
-      maskedAadhaar: verification.maskedAadhaar,
-      provider: verification.provider,
-      verifiedAt: verification.verifiedAt,
-      attemptsRemaining: Math.max(0, 3 - (verification.otpAttempts || 0))
-    }));
-  } catch (error) {
-    logger.error('❌ Error fetching verification status', {
-      error: error.message,
-      userId: req.params.userId
-    });
+    // ✅ PAN VERIFICATION - ACTIVE
+    try {
+      const { userId } = req;
+      const { panNumber, consent } = req.body;
 
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to fetch verification status',
-      'An error occurred while fetching verification status'
-    ));
-  }
-});
+      if (!userId) {
+        return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
+      }
 
-/**
- * GET /api/v1/verification/badge/:userId
- * Get verification badge data for display
- */
-router.get('/badge/:userId', serviceAuthMiddleware, async (req, res) => {
-  try {
-    const { userId } = req.params;
+      if (!panNumber) {
+        return res.status(400).json(errorResponse('Missing required field: panNumber', 'PAN number is required'));
+      }
 
-    const verification = await Verification.findByUserId(userId);
+      if (!consent?.given) {
+        return res.status(400).json(errorResponse('Consent required', 'User consent is required for PAN verification'));
+      }
 
-    if (!verification || !verification.isVerified()) {
-      return res.json(successResponse({
-        isVerified: false,
-        badge: null
-      }));
-    }
+      // Validate PAN format
+      if (!/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(panNumber)) {
+        return res.status(400).json(errorResponse('Invalid PAN format', 'PAN must be in format: ABCDE1234F'));
+      }
 
-    res.json(successResponse({
-      isVerified: true,
-      badge: {
-        type: verification.type,
-        status: verification.status,
-        verifiedAt: verification.verifiedAt,
-        maskedAadhaar: verification.maskedAadhaar,
-        provider: verification.provider
+      const consentTemplate = await resolveConsentTemplate(req, res, 'pan');
+      if (!consentTemplate) {
+        return;
       }
-    }));
-  } catch (error) {
-    logger.error('❌ Error fetching verification badge', {
-      error: error.message,
-      userId: req.params.userId
-    });
 
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to fetch verification badge',
-      'An error occurred while fetching verification badge'
-    ));
-  }
-});
+      const identity = await checkIdentity(res, 'pan', { panNumber }, userId);
+      if (!identity) {
+        return;
+      }
 
-// =====================================================
-// FUTURE VERIFICATION ROUTES (READY - FEATURE FLAGGED)
-// =====================================================
+      if (!await checkVelocity(req, res, 'pan', 'verify', identity.identifierHash)) {
+        return;
+      }
 
-/**
- * POST /api/v1/verification/pan/verify
- * Verify PAN card - STUB (Ready to activate)
- * 
- * TO ACTIVATE:
- * 1. Set FEATURE_PAN=true in .env
- * 2. Ensure provider supports PAN (Cashfree does!)
- * 3. Uncomment implementation below
- * 4. Restart service
- */
-router.post('/pan/verify', serviceAuthMiddleware, async (req, res) => {
-  if (!FEATURES.PAN) {
-    return res.status(503).json({
-      success: false,
-      message: 'PAN verification is not yet available. Contact admin to enable this feature.',
-      code: 'FEATURE_NOT_ENABLED',
-      timestamp: new Date().toISOString()
-    });
-  }
+      logger.info('🔄 Verifying PAN', { userId, maskedPAN: panNumber.substring(0, 2) + 'XXX' + panNumber.slice(-4) });
 
-  // ✅ PAN VERIFICATION - ACTIVE
-  try {
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { panNumber, consent } = req.body;
+      // Call provider to verify PAN (fails over on provider outages)
+      const { result, providerName } = await providerChain.execute('verifyPAN', [panNumber]);
 
-    if (!userId) {
-      return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
-    }
+      // Create verification record
+      const now = new Date();
+      const verification = new Verification({
+        userId,
+        type: 'pan',
+        provider: providerName,
+        maskedPAN: result.data?.maskedPAN || (panNumber.substring(0, 2) + 'XXX' + panNumber.slice(-4)),
+        ...identity,
+        verifiedData: { 
+          name: result.data?.name,
+          panNumber: result.data?.panNumber,
+          status: result.data?.status
+        },
+        consent: buildConsent(req, consentTemplate, now),
+        metadata: {
+          ipAddress: getClientIp(req),
+          userAgent: req.get('user-agent') || 'unknown',
+          environment: getProviderEnvironment(providerName)
+        }
+      });
+      const auditMetadata = {
+        provider: providerName,
+        environment: getProviderEnvironment(providerName)
+      };
+
+      if (result.success && await checkNameMatch(verification)) {
+        verification.queueForReview({
+          reason: 'name_mismatch',
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          metadata: { ...auditMetadata, nameMatchScore: verification.nameMatch.score }
+        });
+      } else {
+        verification.transition(result.success ? 'verified' : 'failed', {
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          reason: result.success ? undefined : result.message,
+          metadata: auditMetadata
+        });
+      }
+      await verification.save();
 
-    if (!panNumber) {
-      return res.status(400).json(errorResponse('Missing required field: panNumber', 'PAN number is required'));
-    }
+      logger.info('✅ PAN verification completed', { 
+        userId, 
+        verificationId: verification._id,
+        status: verification.status 
+      });
 
-    if (!consent?.given) {
-      return res.status(400).json(errorResponse('Consent required', 'User consent is required for PAN verification'));
+      res.json(successResponse({
+        verificationId: verification._id,
+        maskedPAN: verification.maskedPAN,
+        verifiedData: {
+          name: verification.verifiedData?.name
+        },
+        status: verification.status
+      }, 'PAN verified successfully'));
+
+    } catch (error) {
+      logger.error('❌ PAN verification error', { 
+        userId: req.userId,
+        error: error.message,
+        stack: error.stack
+      });
+    
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to verify PAN',
+        'An error occurred while verifying PAN'
+      ));
     }
+  });
 
-    // Validate PAN format
-    if (!/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(panNumber)) {
-      return res.status(400).json(errorResponse('Invalid PAN format', 'PAN must be in format: ABCDE1234F'));
+  /**
+   * POST /api/v1/verification/bank/verify
+   * Verify bank account
+   */
+  router.post('/bank/verify', serviceAuthMiddleware, requireScope('bank:write'), resolveUserId(), idempotencyMiddleware, async (req, res) => {
+    if (!FEATURES.BANK) {
+      return res.status(503).json({
+        success: false,
+        message: 'Bank account verification is not yet available. Contact admin to enable this feature.',
+        code: 'FEATURE_NOT_ENABLED',
+        timestamp: new Date().toISOString()
+      });
     }
 
-    logger.info('🔄 Verifying PAN', { userId, maskedPAN: panNumber.substring(0, 2) + 'XXX' + panNumber.slice(-4) });
+    // ✅ BANK VERIFICATION - ACTIVE
+    try {
+      const { userId } = req;
+      const { accountNumber, ifsc, accountHolderName, consent } = req.body;
 
-    // Get verification provider
-    const provider = getVerificationProvider(process.env);
-    
-    // Call provider to verify PAN
-    const result = await provider.verifyPAN(panNumber);
-
-    // Create verification record
-    const now = new Date();
-    const verification = await Verification.create({
-      userId,
-      type: 'pan',
-      status: result.success ? 'verified' : 'failed',
-      provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-      maskedPAN: result.data?.maskedPAN || (panNumber.substring(0, 2) + 'XXX' + panNumber.slice(-4)),
-      verifiedData: { 
-        name: result.data?.name,
-        panNumber: result.data?.panNumber,
-        status: result.data?.status
-      },
-      consent: {
-        given: true,
-        givenAt: now,
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        consentVersion: consent.version || 'v1.0',
-        consentText: consent.text || 'User consented to PAN verification'
-      },
-      auditLog: [{
-        action: 'verified',
-        performedBy: userId,
-        performedAt: now,
-        ipAddress: getClientIp(req),
-        metadata: {
-          provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-          environment: process.env.CASHFREE_ENV || 'sandbox'
-        }
-      }],
-      verifiedAt: result.success ? now : null,
-      failedAt: result.success ? null : now,
-      failureReason: result.success ? null : result.message,
-      metadata: {
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        environment: process.env.CASHFREE_ENV || 'sandbox'
+      if (!userId) {
+        return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
       }
-    });
-
-    logger.info('✅ PAN verification completed', { 
-      userId, 
-      verificationId: verification._id,
-      status: verification.status 
-    });
 
-    res.json(successResponse({
-      verificationId: verification._id,
-      maskedPAN: verification.maskedPAN,
-      verifiedData: {
-        name: verification.verifiedData?.name
-      },
-      status: verification.status
-    }, 'PAN verified successfully'));
-
-  } catch (error) {
-    logger.error('❌ PAN verification error', { 
-      userId: req.headers['x-user-id'],
-      error: error.message,
-      stack: error.stack
-    });
-    
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to verify PAN',
-      'An error occurred while verifying PAN'
-    ));
-  }
-});
+      if (!accountNumber || !ifsc) {
+        return res.status(400).json(errorResponse('Missing required fields', 'Account number and IFSC are required'));
+      }
 
-/**
- * POST /api/v1/verification/bank/verify
- * Verify bank account
- */
-router.post('/bank/verify', serviceAuthMiddleware, async (req, res) => {
-  if (!FEATURES.BANK) {
-    return res.status(503).json({
-      success: false,
-      message: 'Bank account verification is not yet available. Contact admin to enable this feature.',
-      code: 'FEATURE_NOT_ENABLED',
-      timestamp: new Date().toISOString()
-    });
-  }
+      if (!consent?.given) {
+        return res.status(400).json(errorResponse('Consent required', 'User consent is required for bank verification'));
+      }
 
-  // ✅ BANK VERIFICATION - ACTIVE
-  try {
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { accountNumber, ifsc, accountHolderName, consent } = req.body;
+      // Basic validation
+      if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) {
+        return res.status(400).json(errorResponse('Invalid IFSC format', 'IFSC must be 11 characters (e.g., YESB0000262)'));
+      }
 
-    if (!userId) {
-      return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
-    }
+      const consentTemplate = await resolveConsentTemplate(req, res, 'bank_account');
+      if (!consentTemplate) {
+        return;
+      }
 
-    if (!accountNumber || !ifsc) {
-      return res.status(400).json(errorResponse('Missing required fields', 'Account number and IFSC are required'));
-    }
+      const identity = await checkIdentity(res, 'bank_account', { accountNumber, ifsc }, userId);
+      if (!identity) {
+        return;
+      }
 
-    if (!consent?.given) {
-      return res.status(400).json(errorResponse('Consent required', 'User consent is required for bank verification'));
-    }
+      if (!await checkVelocity(req, res, 'bank_account', 'verify', identity.identifierHash)) {
+        return;
+      }
 
-    // Basic validation
-    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(ifsc)) {
-      return res.status(400).json(errorResponse('Invalid IFSC format', 'IFSC must be 11 characters (e.g., YESB0000262)'));
-    }
+      logger.info('🔄 Verifying Bank Account', { 
+        userId, 
+        maskedAccount: 'XXXX' + accountNumber.slice(-4),
+        ifsc 
+      });
 
-    logger.info('🔄 Verifying Bank Account', { 
-      userId, 
-      maskedAccount: 'XXXX' + accountNumber.slice(-4),
-      ifsc 
-    });
+      // Call provider to verify bank account (fails over on provider outages)
+      const { result, providerName } = await providerChain.execute('verifyBankAccount', [accountNumber, ifsc, accountHolderName]);
 
-    // Get verification provider
-    const provider = getVerificationProvider(process.env);
-    
-    // Call provider to verify bank account
-    const result = await provider.verifyBankAccount(accountNumber, ifsc, accountHolderName);
-
-    // Create verification record
-    const now = new Date();
-    const verification = await Verification.create({
-      userId,
-      type: 'bank_account',
-      status: result.success ? 'verified' : 'failed',
-      provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-      maskedBankAccount: result.data?.maskedBankAccount || ('XXXX' + accountNumber.slice(-4)),
-      verifiedData: { 
-        accountHolderName: result.data?.accountHolderName || accountHolderName,
-        ifsc: ifsc,
-        bankName: result.data?.bankName,
-        branch: result.data?.branch,
-        status: result.data?.status
-      },
-      consent: {
-        given: true,
-        givenAt: now,
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        consentVersion: consent.version || 'v1.0',
-        consentText: consent.text || 'User consented to bank account verification'
-      },
-      auditLog: [{
-        action: 'verified',
-        performedBy: userId,
-        performedAt: now,
-        ipAddress: getClientIp(req),
+      // Create verification record
+      const now = new Date();
+      const verification = new Verification({
+        userId,
+        type: 'bank_account',
+        provider: providerName,
+        maskedBankAccount: result.data?.maskedBankAccount || ('XXXX' + accountNumber.slice(-4)),
+        ...identity,
+        verifiedData: { 
+          name: result.data?.accountHolderName, // Name registered with the bank
+          ifsc: ifsc,
+          bankName: result.data?.bankName,
+          branch: result.data?.branch,
+          status: result.data?.status
+        },
+        consent: buildConsent(req, consentTemplate, now),
         metadata: {
-          provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-          environment: process.env.CASHFREE_ENV || 'sandbox'
+          ipAddress: getClientIp(req),
+          userAgent: req.get('user-agent') || 'unknown',
+          environment: getProviderEnvironment(providerName)
         }
-      }],
-      verifiedAt: result.success ? now : null,
-      failedAt: result.success ? null : now,
-      failureReason: result.success ? null : result.message,
-      metadata: {
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        environment: process.env.CASHFREE_ENV || 'sandbox'
+      });
+      const auditMetadata = {
+        provider: providerName,
+        environment: getProviderEnvironment(providerName)
+      };
+
+      // The registered name is checked against the name the user entered as well
+      if (result.success && await checkNameMatch(verification, accountHolderName)) {
+        verification.queueForReview({
+          reason: 'name_mismatch',
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          metadata: { ...auditMetadata, nameMatchScore: verification.nameMatch.score }
+        });
+      } else {
+        verification.transition(result.success ? 'verified' : 'failed', {
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          reason: result.success ? undefined : result.message,
+          metadata: auditMetadata
+        });
       }
-    });
+      await verification.save();
 
-    logger.info('✅ Bank account verification completed', { 
-      userId, 
-      verificationId: verification._id,
-      status: verification.status 
-    });
+      logger.info('✅ Bank account verification completed', { 
+        userId, 
+        verificationId: verification._id,
+        status: verification.status 
+      });
 
-    res.json(successResponse({
-      verificationId: verification._id,
-      maskedBankAccount: verification.maskedBankAccount,
-      verifiedData: {
-        accountHolderName: verification.verifiedData?.accountHolderName,
-        bankName: verification.verifiedData?.bankName,
-        ifsc: verification.verifiedData?.ifsc
-      },
-      status: verification.status
-    }, 'Bank account verified successfully'));
-
-  } catch (error) {
-    logger.error('❌ Bank verification error', { 
-      userId: req.headers['x-user-id'],
-      error: error.message,
-      stack: error.stack
-    });
+      res.json(successResponse({
+        verificationId: verification._id,
+        maskedBankAccount: verification.maskedBankAccount,
+        verifiedData: {
+          accountHolderName: verification.verifiedData?.name,
+          bankName: verification.verifiedData?.bankName,
+          ifsc: verification.verifiedData?.ifsc
+        },
+        status: verification.status
+      }, 'Bank account verified successfully'));
+
+    } catch (error) {
+      logger.error('❌ Bank verification error', { 
+        userId: req.userId,
+        error: error.message,
+        stack: error.stack
+      });
     
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to verify bank account',
-      'An error occurred while verifying bank account'
-    ));
-  }
-});
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to verify bank account',
+        'An error occurred while verifying bank account'
+      ));
+    }
+  });
 
-/**
- * POST /api/v1/verification/face/match
- * Face matching verification
- */
-router.post('/face/match', serviceAuthMiddleware, async (req, res) => {
-  if (!FEATURES.FACE) {
-    return res.status(503).json({
-      success: false,
-      message: 'Face verification is not yet available. Contact admin to enable this feature.',
-      code: 'FEATURE_NOT_ENABLED',
-      timestamp: new Date().toISOString()
-    });
-  }
+  /**
+   * POST /api/v1/verification/face/match
+   * Face matching verification
+   */
+  router.post('/face/match', serviceAuthMiddleware, requireScope('face:write'), resolveUserId(), idempotencyMiddleware, async (req, res) => {
+    if (!FEATURES.FACE) {
+      return res.status(503).json({
+        success: false,
+        message: 'Face verification is not yet available. Contact admin to enable this feature.',
+        code: 'FEATURE_NOT_ENABLED',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-  // ✅ FACE MATCH VERIFICATION - ACTIVE (Mock implementation for testing)
-  try {
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { selfieImage, documentImage, consent } = req.body;
+    // ✅ FACE MATCH VERIFICATION - ACTIVE (Mock implementation for testing)
+    try {
+      const { userId } = req;
+      const { selfieImage, documentImage, consent } = req.body;
 
-    if (!userId) {
-      return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
-    }
+      if (!userId) {
+        return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
+      }
 
-    if (!selfieImage || !documentImage) {
-      return res.status(400).json(errorResponse('Missing required fields', 'Selfie and document images are required'));
-    }
+      if (!selfieImage || !documentImage) {
+        return res.status(400).json(errorResponse('Missing required fields', 'Selfie and document images are required'));
+      }
 
-    if (!consent?.given) {
-      return res.status(400).json(errorResponse('Consent required', 'User consent is required for face verification'));
-    }
+      if (!consent?.given) {
+        return res.status(400).json(errorResponse('Consent required', 'User consent is required for face verification'));
+      }
+
+      const consentTemplate = await resolveConsentTemplate(req, res, 'face_match');
+      if (!consentTemplate) {
+        return;
+      }
 
-    logger.info('🔄 Performing Face Match', { userId });
+      logger.info('🔄 Performing Face Match', { userId });
 
-    // Get verification provider
-    const provider = getVerificationProvider(process.env);
-    
-    // Call provider to verify face match
-    const result = await provider.verifyFaceMatch(selfieImage, documentImage);
-
-    // Create verification record
-    const now = new Date();
-    const verification = await Verification.create({
-      userId,
-      type: 'face_match',
-      status: result.success ? 'verified' : 'failed',
-      provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-      faceVerification: {
-        matchScore: result.data?.matchScore || 0,
-        threshold: result.data?.threshold || 0.7,
-        matched: result.success
-      },
-      verifiedData: { 
-        matchScore: result.data?.matchScore,
-        confidence: result.data?.confidence,
-        status: result.success ? 'MATCHED' : 'NOT_MATCHED'
-      },
-      consent: {
-        given: true,
-        givenAt: now,
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        consentVersion: consent.version || 'v1.0',
-        consentText: consent.text || 'User consented to face verification'
-      },
-      auditLog: [{
-        action: 'face_match_verified',
-        performedBy: userId,
-        performedAt: now,
-        ipAddress: getClientIp(req),
+      // Call provider to verify face match (fails over on provider outages)
+      const { result, providerName } = await providerChain.execute('verifyFaceMatch', [selfieImage, documentImage]);
+
+      // Create verification record
+      const now = new Date();
+      const matchScore = result.data?.matchScore || 0;
+      const threshold = result.data?.threshold || 0.7;
+      const verification = new Verification({
+        userId,
+        type: 'face_match',
+        provider: providerName,
+        faceVerification: {
+          matchScore,
+          threshold,
+          matched: result.success
+        },
+        verifiedData: { 
+          matchScore: result.data?.matchScore,
+          confidence: result.data?.confidence,
+          status: result.success ? 'MATCHED' : 'NOT_MATCHED'
+        },
+        consent: buildConsent(req, consentTemplate, now),
         metadata: {
-          provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-          environment: process.env.CASHFREE_ENV || 'sandbox'
+          ipAddress: getClientIp(req),
+          userAgent: req.get('user-agent') || 'unknown',
+          environment: getProviderEnvironment(providerName)
         }
-      }],
-      verifiedAt: result.success ? now : null,
-      failedAt: result.success ? null : now,
-      failureReason: result.success ? null : result.message,
-      metadata: {
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        environment: process.env.CASHFREE_ENV || 'sandbox'
+      });
+      const auditMetadata = {
+        provider: providerName,
+        environment: getProviderEnvironment(providerName)
+      };
+
+      // Scores this close to the threshold are decided by a reviewer
+      if (result.data?.matchScore !== undefined && isBorderlineScore(matchScore, threshold)) {
+        verification.queueForReview({
+          reason: 'face_match_borderline',
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          metadata: { ...auditMetadata, matchScore, threshold }
+        });
+      } else {
+        verification.transition(result.success ? 'verified' : 'failed', {
+          performedBy: userId,
+          ipAddress: getClientIp(req),
+          reason: result.success ? undefined : result.message,
+          metadata: auditMetadata
+        });
       }
-    });
+      await verification.save();
 
-    logger.info('✅ Face match verification completed', { 
-      userId, 
-      verificationId: verification._id,
-      status: verification.status,
-      matchScore: result.data?.matchScore
-    });
+      logger.info('✅ Face match verification completed', { 
+        userId, 
+        verificationId: verification._id,
+        status: verification.status,
+        matchScore: result.data?.matchScore
+      });
 
-    res.json(successResponse({
-      verificationId: verification._id,
-      matchScore: result.data?.matchScore,
-      confidence: result.data?.confidence,
-      status: verification.status
-    }, 'Face match verification completed'));
-
-  } catch (error) {
-    logger.error('❌ Face match verification error', { 
-      userId: req.headers['x-user-id'],
-      error: error.message,
-      stack: error.stack
-    });
+      res.json(successResponse({
+        verificationId: verification._id,
+        matchScore: result.data?.matchScore,
+        confidence: result.data?.confidence,
+        status: verification.status
+      }, 'Face match verification completed'));
+
+    } catch (error) {
+      logger.error('❌ Face match verification error', { 
+        userId: req.userId,
+        error: error.message,
+        stack: error.stack
+      });
     
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to verify face match',
-      'An error occurred while verifying face match'
-    ));
-  }
-});
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to verify face match',
+        'An error occurred while verifying face match'
+      ));
+    }
+  });
 
-/**
- * POST /api/v1/verification/face/liveness
- * Liveness detection
- */
-router.post('/face/liveness', serviceAuthMiddleware, async (req, res) => {
-  if (!FEATURES.LIVENESS) {
-    return res.status(503).json({
-      success: false,
-      message: 'Liveness detection is not yet available. Contact admin to enable this feature.',
-      code: 'FEATURE_NOT_ENABLED',
-      timestamp: new Date().toISOString()
-    });
-  }
+  /**
+   * POST /api/v1/verification/face/liveness
+   * Liveness detection
+   */
+  router.post('/face/liveness', serviceAuthMiddleware, requireScope('face:write'), resolveUserId(), idempotencyMiddleware, async (req, res) => {
+    if (!FEATURES.LIVENESS) {
+      return res.status(503).json({
+        success: false,
+        message: 'Liveness detection is not yet available. Contact admin to enable this feature.',
+        code: 'FEATURE_NOT_ENABLED',
+        timestamp: new Date().toISOString()
+      });
+    }
 
-  // ✅ LIVENESS DETECTION - ACTIVE (Mock implementation for testing)
-  try {
-    const userId = req.headers['x-user-id'] || req.body.userId;
-    const { videoData, verificationId, consent } = req.body;
+    // ✅ LIVENESS DETECTION - ACTIVE (Mock implementation for testing)
+    try {
+      const { userId } = req;
+      const { videoData, verificationId, consent } = req.body;
 
-    if (!userId) {
-      return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
-    }
+      if (!userId) {
+        return res.status(400).json(errorResponse('Missing required field: userId', 'User ID is required'));
+      }
 
-    if (!videoData && !verificationId) {
-      return res.status(400).json(errorResponse('Missing required fields', 'Video data or verification ID is required'));
-    }
+      if (!videoData && !verificationId) {
+        return res.status(400).json(errorResponse('Missing required fields', 'Video data or verification ID is required'));
+      }
 
-    if (!consent?.given) {
-      return res.status(400).json(errorResponse('Consent required', 'User consent is required for liveness detection'));
-    }
+      if (!consent?.given) {
+        return res.status(400).json(errorResponse('Consent required', 'User consent is required for liveness detection'));
+      }
 
-    logger.info('🔄 Performing Liveness Detection', { userId });
+      const consentTemplate = await resolveConsentTemplate(req, res, 'liveness');
+      if (!consentTemplate) {
+        return;
+      }
 
-    // Get verification provider
-    const provider = getVerificationProvider(process.env);
-    
-    // Call provider to verify liveness
-    const result = await provider.verifyLiveness(videoData || verificationId);
-
-    // Create verification record
-    const now = new Date();
-    const verification = await Verification.create({
-      userId,
-      type: 'liveness',
-      status: result.success ? 'verified' : 'failed',
-      provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-      verifiedData: { 
-        isLive: result.success,
-        confidence: result.data?.confidence,
-        status: result.success ? 'REAL_FACE_DETECTED' : 'REAL_FACE_NOT_DETECTED'
-      },
-      consent: {
-        given: true,
-        givenAt: now,
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        consentVersion: consent.version || 'v1.0',
-        consentText: consent.text || 'User consented to liveness detection'
-      },
-      auditLog: [{
-        action: 'liveness_verified',
+      logger.info('🔄 Performing Liveness Detection', { userId });
+
+      // Call provider to verify liveness (fails over on provider outages)
+      const { result, providerName } = await providerChain.execute('verifyLiveness', [videoData || verificationId]);
+
+      // Create verification record
+      const now = new Date();
+      const verification = new Verification({
+        userId,
+        type: 'liveness',
+        provider: providerName,
+        verifiedData: { 
+          isLive: result.success,
+          confidence: result.data?.confidence,
+          status: result.success ? 'REAL_FACE_DETECTED' : 'REAL_FACE_NOT_DETECTED'
+        },
+        consent: buildConsent(req, consentTemplate, now),
+        metadata: {
+          ipAddress: getClientIp(req),
+          userAgent: req.get('user-agent') || 'unknown',
+          environment: getProviderEnvironment(providerName)
+        }
+      });
+      verification.transition(result.success ? 'verified' : 'failed', {
         performedBy: userId,
-        performedAt: now,
         ipAddress: getClientIp(req),
+        reason: result.success ? undefined : result.message,
         metadata: {
-          provider: process.env.VERIFICATION_PROVIDER || 'cashfree',
-          environment: process.env.CASHFREE_ENV || 'sandbox'
+          provider: providerName,
+          environment: getProviderEnvironment(providerName)
         }
-      }],
-      verifiedAt: result.success ? now : null,
-      failedAt: result.success ? null : now,
-      failureReason: result.success ? null : result.message,
-      metadata: {
-        ipAddress: getClientIp(req),
-        userAgent: req.get('user-agent') || 'unknown',
-        environment: process.env.CASHFREE_ENV || 'sandbox'
-      }
-    });
+      });
+      await verification.save();
 
-    logger.info('✅ Liveness detection completed', { 
-      userId, 
-      verificationId: verification._id,
-      status: verification.status,
-      isLive: result.success
-    });
+      logger.info('✅ Liveness detection completed', { 
+        userId, 
+        verificationId: verification._id,
+        status: verification.status,
+        isLive: result.success
+      });
 
-    res.json(successResponse({
-      verificationId: verification._id,
-      isLive: result.success,
-      confidence: result.data?.confidence,
-      status: verification.status
-    }, 'Liveness detection completed'));
-
-  } catch (error) {
-    logger.error('❌ Liveness detection error', { 
-      userId: req.headers['x-user-id'],
-      error: error.message,
-      stack: error.stack
-    });
+      res.json(successResponse({
+        verificationId: verification._id,
+        isLive: result.success,
+        confidence: result.data?.confidence,
+        status: verification.status
+      }, 'Liveness detection completed'));
+
+    } catch (error) {
+      logger.error('❌ Liveness detection error', { 
+        userId: req.userId,
+        error: error.message,
+        stack: error.stack
+      });
     
-    res.status(500).json(errorResponse(
-      error.message || 'Failed to perform liveness detection',
-      'An error occurred while performing liveness detection'
-    ));
-  }
-});
-
-module.exports = router;
+      res.status(500).json(errorResponse(
+        error.message || 'Failed to perform liveness detection',
+        'An error occurred while performing liveness detection'
+      ));
+    }
+  });
+
+  return router;
+}
+
+module.exports = createVerificationRouter;
 
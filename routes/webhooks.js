@@ -0,0 +1,177 @@
+const express = require('express');
+const crypto = require('crypto');
+const Verification = require('../models/Verification');
+const WebhookEvent = require('../models/WebhookEvent');
+const { isProviderAvailable } = require('../services/providerFactory');
+const { applyNameMatch } = require('../services/nameMatch');
+const { successResponse, errorResponse, getClientIp } = require('../utils/helpers');
+const logger = require('../config/logger');
+
+/**
+ * Create the provider webhook router
+ * Mounted at /api/v1/verification/webhooks. Authenticated by provider signature,
+ * not X-Service-Auth, so it needs req.rawBody (captured by express.json in app.js)
+ *
+ * @param {object} options
+ * @param {ProviderChain} options.providerChain - Provider registry
+ * @returns {express.Router} Webhook router
+ */
+function createWebhookRouter({ providerChain }) {
+  const router = express.Router();
+
+  /**
+   * Apply a webhook result to a verification
+   * @returns {string} Outcome
+   */
+  const applyWebhookResult = (verification, result, { providerName, eventId, ipAddress }) => {
+    const targetStatus = result.success ? 'verified' : 'failed';
+
+    if (verification.status === targetStatus) {
+      return 'unchanged';
+    }
+    // A verified/failed/expired record is never changed by a late delivery
+    if (!verification.canTransition(targetStatus)) {
+      return 'invalid_transition';
+    }
+
+    verification.transition(targetStatus, {
+      performedBy: 'system',
+      ipAddress,
+      reason: result.success ? undefined : result.message,
+      metadata: {
+        source: 'webhook',
+        provider: providerName,
+        eventId
+      }
+    });
+
+    if (result.success) {
+      if (result.verifiedData) {
+        verification.verifiedData = result.verifiedData;
+      }
+      if (result.maskedAadhaar) {
+        verification.maskedAadhaar = result.maskedAadhaar;
+      }
+    }
+
+    return targetStatus;
+  };
+
+  /**
+   * POST /api/v1/verification/webhooks/:provider
+   * Asynchronous verification result from a provider
+   * Duplicate deliveries (same provider event ID) are acknowledged without reprocessing
+   */
+  router.post('/:provider', async (req, res) => {
+    const providerName = req.params.provider.toLowerCase();
+
+    // The mock provider's secret has a public default
+    if (!isProviderAvailable(providerName) || (providerName === 'mock' && process.env.NODE_ENV === 'production')) {
+      return res.status(404).json(errorResponse(
+        'Unknown provider',
+        `Webhooks are not supported for provider: ${req.params.provider}`
+      ));
+    }
+
+    const provider = providerChain.getProvider(providerName);
+
+    if (!req.rawBody || !provider.verifyWebhookSignature(req.rawBody, req.headers)) {
+      logger.warn('⚠️ Webhook signature verification failed', {
+        provider: providerName,
+        ip: getClientIp(req)
+      });
+      return res.status(401).json(errorResponse(
+        'Invalid webhook signature',
+        'Webhook signature verification failed'
+      ));
+    }
+
+    let event;
+    try {
+      event = provider.parseWebhook(req.body, req.headers);
+    } catch (error) {
+      event = null;
+      logger.warn('⚠️ Could not parse webhook payload', { provider: providerName, error: error.message });
+    }
+
+    if (!event || !event.refId) {
+      return res.status(400).json(errorResponse(
+        'Invalid webhook payload',
+        'Webhook payload has no reference ID'
+      ));
+    }
+
+    const eventId = event.eventId
+      ? String(event.eventId)
+      : crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+    // Claim the event; a duplicate key means it was already delivered
+    let webhookEvent;
+    try {
+      webhookEvent = await WebhookEvent.create({
+        provider: providerName,
+        eventId,
+        refId: event.refId
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.info('🔁 Duplicate webhook delivery ignored', { provider: providerName, eventId });
+        return res.json(successResponse({ eventId, duplicate: true }, 'Webhook already processed'));
+      }
+      logger.error('❌ Error recording webhook event', { provider: providerName, eventId, error: error.message });
+      return res.status(500).json(errorResponse(error.message, 'Failed to process webhook'));
+    }
+
+    try {
+      const verification = await Verification.findByRefId(event.refId);
+      let outcome;
+
+      if (!verification || verification.provider !== providerName) {
+        outcome = 'unknown_ref_id';
+      } else {
+        outcome = applyWebhookResult(verification, event.result, {
+          providerName,
+          eventId,
+          ipAddress: getClientIp(req)
+        });
+        if (outcome === 'verified') {
+          await applyNameMatch(verification);
+        }
+        if (outcome === 'verified' || outcome === 'failed') {
+          await verification.save();
+        }
+      }
+
+      webhookEvent.verificationId = verification ? verification._id : undefined;
+      webhookEvent.status = (outcome === 'verified' || outcome === 'failed') ? 'processed' : 'ignored';
+      webhookEvent.outcome = outcome;
+      webhookEvent.processedAt = new Date();
+      await webhookEvent.save();
+
+      logger.info('📬 Webhook processed', {
+        provider: providerName,
+        eventId,
+        refId: event.refId,
+        outcome
+      });
+
+      res.json(successResponse({ eventId, outcome }, 'Webhook received'));
+    } catch (error) {
+      // Release the event so the provider's retry is processed
+      await WebhookEvent.deleteOne({ _id: webhookEvent._id }).catch(() => {});
+
+      logger.error('❌ Error processing webhook', {
+        provider: providerName,
+        eventId,
+        error: error.message,
+        stack: error.stack
+      });
+
+      res.status(500).json(errorResponse(error.message, 'Failed to process webhook'));
+    }
+  });
+
+  return router;
+}
+
+module.exports = createWebhookRouter;
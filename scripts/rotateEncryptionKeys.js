@@ -0,0 +1,200 @@
+// Load environment variables
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Verification = require('../models/Verification');
+const ConsentRecord = require('../models/ConsentRecord');
+const { reencryptConsentRecord } = require('../services/consentLedger');
+const { getKms } = require('../services/fieldEncryption');
+const { connectMongo, disconnectMongo } = require('../mongo');
+const logger = require('../config/logger');
+
+/**
+ * Field encryption key rotation
+ * Re-encrypts every verification and consent ledger entry whose data key is not
+ * wrapped with the active KMS key (including records written before field
+ * encryption), in batches.
+ * Old KMS keys must stay available until this has completed.
+ *
+ * Usage: npm run keys:rotate -- [--new-key] [--batch-size=100] [--dry-run]
+ *        npm run keys:rotate -- --init
+ *   --init        Create the key file if missing (first deployment), then exit; needs no MongoDB
+ *   --new-key     Create a new active key first (local KMS only)
+ *   --batch-size  Records per batch (default 100)
+ *   --dry-run     Count records that would be re-encrypted, change nothing
+ */
+
+const args = process.argv.slice(2);
+const options = {
+  init: args.includes('--init'),
+  newKey: args.includes('--new-key'),
+  dryRun: args.includes('--dry-run'),
+  batchSize: Number((args.find(arg => arg.startsWith('--batch-size=')) || '').split('=')[1]) || 100
+};
+
+async function rotate() {
+  const kms = getKms();
+
+  if (options.newKey) {
+    const keyId = kms.createKey();
+    logger.info('🔑 Created new active encryption key', { keyId });
+  }
+
+  const activeKeyId = kms.getActiveKeyId();
+  const stats = { scanned: 0, reencrypted: 0, skipped: 0, failed: 0 };
+  let lastId = null;
+
+  logger.info('🔄 Re-encrypting verification records', { activeKeyId, ...options });
+
+  for (;;) {
+    const filter = { 'encryption.keyId': { $ne: activeKeyId } };
+    if (lastId) {
+      filter._id = { $gt: lastId };
+    }
+
+    const batch = await Verification.find(filter).sort({ _id: 1 }).limit(options.batchSize);
+    if (batch.length === 0) {
+      break;
+    }
+    lastId = batch[batch.length - 1]._id;
+
+    for (const verification of batch) {
+      stats.scanned += 1;
+      const previousWrappedKey = verification.encryption?.wrappedKey || null;
+
+      try {
+        if (!verification.reencrypt()) {
+          stats.skipped += 1; // Nothing to encrypt (e.g. purged)
+          continue;
+        }
+        if (options.dryRun) {
+          stats.reencrypted += 1;
+          continue;
+        }
+
+        // Skip records changed since they were read; the next run picks them up
+        verification.$where = { 'encryption.wrappedKey': previousWrappedKey };
+        await verification.save();
+        stats.reencrypted += 1;
+      } catch (error) {
+        if (error instanceof mongoose.Error.DocumentNotFoundError) {
+          stats.skipped += 1;
+          continue;
+        }
+        stats.failed += 1;
+        logger.error('❌ Failed to re-encrypt verification', {
+          verificationId: verification._id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('📦 Batch re-encrypted', stats);
+  }
+
+  await rotateConsentRecords(activeKeyId, stats);
+
+  return stats;
+}
+
+/**
+ * Re-encrypt consent ledger entries not under the active key
+ * @param {string} activeKeyId
+ * @param {object} stats - Counters, updated in place
+ */
+async function rotateConsentRecords(activeKeyId, stats) {
+  let lastId = null;
+
+  logger.info('🔄 Re-encrypting consent ledger entries', { activeKeyId });
+
+  for (;;) {
+    const filter = {
+      'encryption.keyId': { $ne: activeKeyId },
+      $or: [{ ipAddress: { $exists: true } }, { userAgent: { $exists: true } }]
+    };
+    if (lastId) {
+      filter._id = { $gt: lastId };
+    }
+
+    const batch = await ConsentRecord.find(filter).sort({ _id: 1 }).limit(options.batchSize).lean();
+    if (batch.length === 0) {
+      break;
+    }
+    lastId = batch[batch.length - 1]._id;
+
+    for (const record of batch) {
+      stats.scanned += 1;
+
+      try {
+        const update = reencryptConsentRecord(record);
+        if (!update) {
+          stats.skipped += 1;
+          continue;
+        }
+        if (options.dryRun) {
+          stats.reencrypted += 1;
+          continue;
+        }
+
+        // Skip entries purged since they were read
+        const result = await ConsentRecord.updateOne(
+          { _id: record._id, 'encryption.wrappedKey': record.encryption?.wrappedKey ?? null, purgedAt: null },
+          update
+        );
+        stats[result.modifiedCount ? 'reencrypted' : 'skipped'] += 1;
+      } catch (error) {
+        stats.failed += 1;
+        logger.error('❌ Failed to re-encrypt consent ledger entry', {
+          consentRecordId: record._id,
+          error: error.message
+        });
+      }
+    }
+
+    logger.info('📦 Batch re-encrypted', stats);
+  }
+}
+
+/**
+ * Create the key file for a new deployment
+ */
+function init() {
+  const kms = getKms();
+  if (!kms.initKeyFile) {
+    logger.error('❌ --init is only supported by the local KMS');
+    process.exit(1);
+  }
+
+  const keyId = kms.initKeyFile();
+  if (keyId) {
+    logger.info('🔑 Created KMS key file', { keysFile: kms.keysFile, keyId });
+  } else {
+    logger.info('✅ KMS key file already exists', { keysFile: kms.keysFile });
+  }
+  process.exit(0);
+}
+
+async function main() {
+  if (options.init) {
+    return init();
+  }
+
+  if (!process.env.MONGODB_URI) {
+    logger.error('❌ MONGODB_URI is required for key rotation');
+    process.exit(1);
+  }
+
+  try {
+    await connectMongo(process.env.MONGODB_URI);
+    const stats = await rotate();
+    logger.info(options.dryRun ? '✅ Key rotation dry run completed' : '✅ Key rotation completed', stats);
+    await disconnectMongo();
+    process.exit(stats.failed ? 1 : 0);
+  } catch (error) {
+    logger.error('❌ Key rotation failed', { error: error.message });
+    await disconnectMongo().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,132 @@
+// Load environment variables
+require('dotenv').config();
+
+const ServiceClient = require('../models/ServiceClient');
+const {
+  SERVICE_SCOPES,
+  isSecretActive,
+  createServiceClient,
+  rotateClientSecret,
+  revokeClientSecret,
+  setClientScopes,
+  setClientDisabled
+} = require('../services/serviceClients');
+const { connectMongo, disconnectMongo } = require('../mongo');
+const logger = require('../config/logger');
+
+/**
+ * Service client registry management
+ * New secrets are printed once; only their hashes are stored.
+ *
+ * Usage: npm run clients -- <command> [args]
+ *   list
+ *   create <name> --scopes=a,b [--description=...]
+ *   rotate <name> [--grace-hours=24]   New secret; current secrets expire after the grace period (0 = now)
+ *   revoke <name> <secretId>
+ *   scopes <name> --scopes=a,b
+ *   disable <name> | enable <name>
+ */
+
+const [command, ...rest] = process.argv.slice(2);
+const positional = rest.filter(arg => !arg.startsWith('--'));
+const getOption = (name) => {
+  const arg = rest.find(candidate => candidate.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+const parseScopes = () => (getOption('scopes') || '').split(',').map(scope => scope.trim()).filter(Boolean);
+
+function printSecret(name, secretId, secret) {
+  console.log('');
+  console.log(`  Service name (X-Service-Name): ${name}`);
+  console.log(`  Secret ID:                     ${secretId}`);
+  console.log(`  Secret (X-Service-Auth):       ${secret}`);
+  console.log('');
+  console.log('  Store the secret now; it cannot be shown again.');
+  console.log('');
+}
+
+async function listClients() {
+  const clients = await ServiceClient.find().sort({ name: 1 }).lean();
+  const now = new Date();
+
+  for (const client of clients) {
+    console.log(`${client.name}${client.disabledAt ? ' (disabled)' : ''}`);
+    console.log(`  scopes: ${client.scopes.join(', ') || '(none)'}`);
+    for (const entry of client.secrets) {
+      const state = isSecretActive(entry, now)
+        ? (entry.expiresAt ? `active until ${entry.expiresAt.toISOString()}` : 'active')
+        : (entry.revokedAt ? 'revoked' : 'expired');
+      const lastUsed = entry.lastUsedAt ? entry.lastUsedAt.toISOString() : 'never';
+      console.log(`  ${entry.secretId}: ${state}, last used ${lastUsed}`);
+    }
+  }
+
+  if (clients.length === 0) {
+    console.log('No service clients registered');
+  }
+}
+
+async function run() {
+  const name = positional[0];
+
+  switch (command) {
+    case 'list':
+      return listClients();
+
+    case 'create': {
+      const { secretId, secret } = await createServiceClient(name, {
+        scopes: parseScopes(),
+        description: getOption('description')
+      });
+      return printSecret(name, secretId, secret);
+    }
+
+    case 'rotate': {
+      const graceHours = getOption('grace-hours');
+      const { secretId, secret } = await rotateClientSecret(name, {
+        graceMs: graceHours === undefined ? undefined : Number(graceHours) * 60 * 60 * 1000
+      });
+      return printSecret(name, secretId, secret);
+    }
+
+    case 'revoke':
+      await revokeClientSecret(name, positional[1]);
+      return;
+
+    case 'scopes':
+      await setClientScopes(name, parseScopes());
+      return;
+
+    case 'disable':
+    case 'enable':
+      await setClientDisabled(name, command === 'disable');
+      return;
+
+    default:
+      throw new Error(`Unknown command: ${command || '(none)'}. Commands: list, create, rotate, revoke, scopes, disable, enable. Scopes: ${SERVICE_SCOPES.join(', ')}`);
+  }
+}
+
+async function main() {
+  if (!process.env.MONGODB_URI) {
+    logger.error('❌ MONGODB_URI is required to manage service clients');
+    process.exit(1);
+  }
+
+  try {
+    if (command && command !== 'list' && !positional[0]) {
+      throw new Error('A service client name is required');
+    }
+
+    await connectMongo(process.env.MONGODB_URI);
+    await run();
+    await disconnectMongo();
+    process.exit(0);
+  } catch (error) {
+    logger.error('❌ Service client command failed', { error: error.message });
+    await disconnectMongo().catch(() => {});
+    process.exit(1);
+  }
+}
+
+main();
@@ -5,6 +5,10 @@ const app = require('./app');
 const { connectMongo, disconnectMongo } = require('./mongo');
 const logger = require('./config/logger');
 const { validateEnv } = require('./config/env');
+const { startOutboxDispatcher } = require('./jobs/outboxDispatcher');
+const { startOtpExpirySweeper } = require('./jobs/otpExpirySweeper');
+const { startRetentionPurger } = require('./jobs/retentionPurger');
+const { seedConsentTemplates } = require('./services/consentTemplates');
 
 // Validate environment on startup
 const env = validateEnv();
@@ -12,6 +16,9 @@ const env = validateEnv();
 const PORT = env.PORT;
 
 let server;
+let outboxDispatcher;
+let otpExpirySweeper;
+let retentionPurger;
 let isShuttingDown = false;
 
 async function start() {
@@ -21,6 +28,11 @@ async function start() {
       try {
         await connectMongo(env.MONGODB_URI);
         logger.info('✅ Connected to MongoDB');
+
+        // Canonical consent texts (inserts versions not in the registry yet)
+        await seedConsentTemplates().catch(error => {
+          logger.error('❌ Failed to seed consent templates', { error: error.message });
+        });
       } catch (error) {
         logger.error('❌ MongoDB connection failed, but continuing to start server:', error.message);
         logger.warn('⚠️ Server will run in degraded mode without MongoDB. Some features may be unavailable.');
@@ -30,6 +42,15 @@ async function start() {
       logger.warn('⚠️ MONGODB_URI not set; running without MongoDB (in-memory fallback)');
     }
 
+    // Deliver verification events to the main backend (no-op without MAIN_BACKEND_URL)
+    outboxDispatcher = startOutboxDispatcher(env);
+
+    // Expire abandoned OTP sessions
+    otpExpirySweeper = startOtpExpirySweeper(env);
+
+    // Remove personal data past its retention date
+    retentionPurger = startRetentionPurger(env);
+
     // Start HTTP server (always start, even if MongoDB failed)
     server = app.listen(PORT, () => {
       logger.info(`🚀 ExtraHand User Verification Service listening on port ${PORT}`);
@@ -65,6 +86,17 @@ async function gracefulShutdown(signal) {
   isShuttingDown = true;
   logger.info(`📴 Received ${signal}. Starting graceful shutdown...`);
 
+  // Stop background jobs
+  if (outboxDispatcher) {
+    outboxDispatcher.stop();
+  }
+  if (otpExpirySweeper) {
+    otpExpirySweeper.stop();
+  }
+  if (retentionPurger) {
+    retentionPurger.stop();
+  }
+
   // Stop accepting new connections
   if (server) {
     server.close(() => {
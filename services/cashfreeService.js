@@ -6,9 +6,10 @@ const logger = require('../config/logger');
  * This maintains backward compatibility with existing code
  * while using the new CashfreeProvider internally
  * 
- * DEPRECATED: New code should use providerFactory.getVerificationProvider() instead
+ * DEPRECATED: No longer used by the routes. New code should use the provider
+ * chain created at startup (providerFactory.createProviderChain(), see app.js)
  * 
- * @deprecated Use providerFactory.getVerificationProvider() for new code
+ * @deprecated Use the provider chain from providerFactory.createProviderChain()
  */
 class CashfreeService {
   constructor() {
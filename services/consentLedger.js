@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const ConsentRecord = require('../models/ConsentRecord');
+const {
+  isEncrypted,
+  generateDataKey,
+  unwrapDataKey,
+  encryptValue,
+  decryptValue
+} = require('./fieldEncryption');
+const logger = require('../config/logger');
+
+/**
+ * Consent Ledger
+ * Records consent given/withdrawn for each verification (written from the
+ * Verification post-save hook) and serves the per-user history for audits.
+ *
+ * IP address and user agent are stored encrypted with a data key per entry
+ * (see services/fieldEncryption.js), and cleared when the verification's
+ * personal data is purged or erased; the rest of the entry stays as proof of consent.
+ */
+
+// Personal data in a ledger entry
+const PERSONAL_FIELDS = ['ipAddress', 'userAgent'];
+
+/**
+ * Hash consent text so the ledger proves which text was shown without repeating it
+ * @param {string} text - Consent text
+ * @returns {string|undefined} Hex sha256
+ */
+function hashConsentText(text) {
+  if (!text) {
+    return undefined;
+  }
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Encrypt the personal fields of a ledger entry under a new data key
+ * @param {object} values - { ipAddress, userAgent } (plaintext)
+ * @returns {object} Fields to store: encrypted values and encryption, or {} if there are none
+ */
+function encryptPersonalFields(values) {
+  const present = PERSONAL_FIELDS.filter(field => values[field] != null && values[field] !== '');
+  if (present.length === 0) {
+    return {};
+  }
+
+  const { dataKey, keyId, wrappedKey } = generateDataKey();
+  const fields = { encryption: { keyId, wrappedKey } };
+  for (const field of present) {
+    fields[field] = encryptValue(values[field], dataKey);
+  }
+  return fields;
+}
+
+/**
+ * Decrypt the personal fields of a ledger entry
+ * Entries written before encryption hold plaintext, which is returned as is.
+ *
+ * @param {object} record - Lean ConsentRecord
+ * @returns {object} Copy of the record with plaintext ipAddress and userAgent
+ */
+function decryptConsentRecord(record) {
+  let dataKey = null;
+  const decrypted = { ...record };
+  for (const field of PERSONAL_FIELDS) {
+    if (isEncrypted(record[field])) {
+      dataKey = dataKey || unwrapDataKey(record.encryption.keyId, record.encryption.wrappedKey);
+      decrypted[field] = decryptValue(record[field], dataKey);
+    }
+  }
+  delete decrypted.encryption;
+  return decrypted;
+}
+
+/**
+ * Append a consent event to the ledger
+ * @param {object} verification - Verification document (after save)
+ * @param {string} event - 'given' or 'withdrawn'
+ * @param {object} details - { ipAddress, userAgent, performedBy, reason, occurredAt }
+ * @returns {Promise<ConsentRecord>}
+ */
+async function recordConsentEvent(verification, event, details = {}) {
+  const consent = verification.consent || {};
+
+  const record = await ConsentRecord.create({
+    userId: verification.userId,
+    verificationId: verification._id,
+    verificationType: verification.type,
+    event,
+    consentVersion: consent.consentVersion,
+    consentTextHash: consent.consentTextHash,
+    ...encryptPersonalFields(details),
+    performedBy: details.performedBy,
+    reason: details.reason,
+    occurredAt: details.occurredAt || new Date()
+  });
+
+  logger.debug('📝 Consent event recorded', {
+    userId: verification.userId,
+    verificationId: verification._id,
+    event
+  });
+
+  return record;
+}
+
+/**
+ * Get a user's consent history, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<object[]>}
+ */
+async function getConsentHistory(userId) {
+  const records = await ConsentRecord.find({ userId }).sort({ occurredAt: 1 }).lean();
+
+  return records.map(decryptConsentRecord).map(record => ({
+    verificationId: record.verificationId,
+    verificationType: record.verificationType,
+    event: record.event,
+    consentVersion: record.consentVersion,
+    consentTextHash: record.consentTextHash,
+    occurredAt: record.occurredAt,
+    ipAddress: record.ipAddress,
+    userAgent: record.userAgent,
+    performedBy: record.performedBy,
+    reason: record.reason,
+    purgedAt: record.purgedAt
+  }));
+}
+
+/**
+ * Clear IP addresses and user agents from ledger entries
+ * Call before saving the purge, erasure or withdrawal of the verifications, so a
+ * failure leaves them to be retried. Safe to repeat.
+ * @param {object} filter - { verificationId } or { userId }
+ * @returns {Promise<number>} Entries that held personal data
+ */
+async function purgeConsentRecords(filter) {
+  const result = await ConsentRecord.updateMany(
+    {
+      ...filter,
+      $or: PERSONAL_FIELDS.map(field => ({ [field]: { $exists: true } }))
+    },
+    {
+      $unset: { ipAddress: '', userAgent: '', encryption: '' },
+      $set: { purgedAt: new Date() }
+    }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Re-encrypt the personal fields of a ledger entry under a new data key
+ * wrapped with the active KMS key (key rotation). Also encrypts values written
+ * before encryption.
+ * @param {object} record - Lean ConsentRecord
+ * @returns {object|null} Update for the entry, or null if it holds no personal data
+ */
+function reencryptConsentRecord(record) {
+  const fields = encryptPersonalFields(decryptConsentRecord(record));
+  if (!fields.encryption) {
+    return null;
+  }
+  return { $set: fields };
+}
+
+module.exports = {
+  hashConsentText,
+  recordConsentEvent,
+  decryptConsentRecord,
+  getConsentHistory,
+  purgeConsentRecords,
+  reencryptConsentRecord,
+};
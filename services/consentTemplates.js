@@ -0,0 +1,102 @@
+const path = require('path');
+const fs = require('fs');
+const ConsentTemplate = require('../models/ConsentTemplate');
+const { hashConsentText } = require('./consentLedger');
+const logger = require('../config/logger');
+
+/**
+ * Consent Templates
+ * Clients send only the consent version they showed the user; the canonical text
+ * and its hash are taken from the registry and stored on the Verification.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+const SEED_FILE = path.join(__dirname, '..', 'config', 'consentTemplates.json');
+
+/**
+ * Insert templates from config/consentTemplates.json that are not in the registry yet
+ * Existing versions are never overwritten (a changed text is logged and ignored),
+ * except to retire them.
+ *
+ * @param {string} filePath - Seed file
+ * @returns {Promise<number>} Templates inserted
+ */
+async function seedConsentTemplates(filePath = SEED_FILE) {
+  const templates = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  let inserted = 0;
+
+  for (const template of templates) {
+    const language = template.language || DEFAULT_LANGUAGE;
+    const textHash = hashConsentText(template.text);
+
+    const update = {
+      $setOnInsert: {
+        text: template.text,
+        textHash,
+        effectiveFrom: template.effectiveFrom ? new Date(template.effectiveFrom) : new Date()
+      }
+    };
+    if (template.retiredAt) {
+      update.$set = { retiredAt: new Date(template.retiredAt) };
+    }
+
+    const result = await ConsentTemplate.findOneAndUpdate(
+      { verificationType: template.verificationType, version: template.version, language },
+      update,
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+
+    if (!result.lastErrorObject?.updatedExisting) {
+      inserted += 1;
+    } else if (result.value.textHash !== textHash) {
+      logger.warn('⚠️ Consent template text differs from the registry; publish a new version instead', {
+        verificationType: template.verificationType,
+        version: template.version,
+        language
+      });
+    }
+  }
+
+  if (inserted) {
+    logger.info('📜 Consent templates seeded', { inserted });
+  }
+  return inserted;
+}
+
+/**
+ * Get the current template for a verification type
+ * @param {string} verificationType - Verification type
+ * @param {string} language - Language code
+ * @returns {Promise<ConsentTemplate|null>}
+ */
+function getCurrentTemplate(verificationType, language = DEFAULT_LANGUAGE) {
+  return ConsentTemplate.findOne({
+    verificationType,
+    language,
+    effectiveFrom: { $lte: new Date() },
+    retiredAt: null
+  }).sort({ effectiveFrom: -1 });
+}
+
+/**
+ * Get an accepted (not retired) template by version
+ * @param {string} verificationType - Verification type
+ * @param {string} version - Consent version the user was shown
+ * @param {string} language - Language code
+ * @returns {Promise<ConsentTemplate|null>}
+ */
+function findAcceptedTemplate(verificationType, version, language = DEFAULT_LANGUAGE) {
+  return ConsentTemplate.findOne({
+    verificationType,
+    version,
+    language,
+    retiredAt: null
+  });
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  seedConsentTemplates,
+  getCurrentTemplate,
+  findAcceptedTemplate,
+};
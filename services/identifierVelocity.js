@@ -0,0 +1,114 @@
+const VelocityBlock = require('../models/VelocityBlock');
+const { createRateLimitStore } = require('./rateLimitStore');
+const logger = require('../config/logger');
+
+/**
+ * Identifier Velocity Limits
+ * Caps attempts per identifier (the identifierHash of an Aadhaar / PAN / bank
+ * account) across all users, so rotating userIds or IPs cannot spray OTPs at
+ * one person's Aadhaar-linked phone. Counters share the rate limit store
+ * (MongoDB, cluster-wide); blocked attempts are recorded in VelocityBlock.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Rule definitions; limits come from the environment (0 disables a rule)
+const RULE_DEFINITIONS = [
+  { name: 'aadhaar_otp_hourly', verificationType: 'aadhaar', action: 'otp', windowMs: HOUR_MS, limitKey: 'VELOCITY_AADHAAR_OTP_HOURLY', defaultLimit: 3 },
+  { name: 'aadhaar_otp_daily', verificationType: 'aadhaar', action: 'otp', windowMs: DAY_MS, limitKey: 'VELOCITY_AADHAAR_OTP_DAILY', defaultLimit: 5 },
+  { name: 'pan_verify_daily', verificationType: 'pan', action: 'verify', windowMs: DAY_MS, limitKey: 'VELOCITY_PAN_VERIFY_DAILY', defaultLimit: 5 },
+  { name: 'bank_verify_daily', verificationType: 'bank_account', action: 'verify', windowMs: DAY_MS, limitKey: 'VELOCITY_BANK_VERIFY_DAILY', defaultLimit: 5 },
+];
+
+// One counter store per rule
+const ruleStores = new Map();
+
+function getRuleStore(rule) {
+  if (!ruleStores.has(rule.name)) {
+    const store = createRateLimitStore(`velocity:${rule.name}`);
+    store.init({ windowMs: rule.windowMs });
+    ruleStores.set(rule.name, store);
+  }
+  return ruleStores.get(rule.name);
+}
+
+/**
+ * Active rules for a verification type and action, with configured limits
+ * @param {string} verificationType - aadhaar, pan or bank_account
+ * @param {string} action - 'otp' or 'verify'
+ * @param {object} config - Environment config
+ * @returns {object[]}
+ */
+function getVelocityRules(verificationType, action, config = process.env) {
+  return RULE_DEFINITIONS
+    .filter(rule => rule.verificationType === verificationType && rule.action === action)
+    .map(rule => ({ ...rule, limit: Number(config[rule.limitKey] ?? rule.defaultLimit) }))
+    .filter(rule => rule.limit > 0);
+}
+
+/**
+ * Count an attempt against every rule for the identifier
+ * A blocked attempt is recorded in VelocityBlock.
+ *
+ * @param {object} attempt - { verificationType, action, identifierHash, userId, ipAddress, callingService, path }
+ * @param {object} config - Environment config
+ * @returns {Promise<{blocked: boolean, rule?: string, retryAfterMs?: number}>}
+ */
+async function checkIdentifierVelocity(attempt, config = process.env) {
+  const { verificationType, action, identifierHash } = attempt;
+  let exceeded = null;
+
+  // Count against all rules, so a block on one does not reset the others
+  for (const rule of getVelocityRules(verificationType, action, config)) {
+    const { totalHits, resetTime } = await getRuleStore(rule).increment(identifierHash);
+    if (totalHits > rule.limit && !exceeded) {
+      exceeded = { rule, hits: totalHits, resetTime };
+    }
+  }
+
+  if (!exceeded) {
+    return { blocked: false };
+  }
+
+  const { rule, hits, resetTime } = exceeded;
+
+  logger.warn('🚨 Identifier velocity limit exceeded', {
+    rule: rule.name,
+    verificationType,
+    hits,
+    limit: rule.limit,
+    userId: attempt.userId,
+    callingService: attempt.callingService
+  });
+
+  try {
+    await VelocityBlock.create({
+      identifierHash,
+      verificationType,
+      action,
+      rule: rule.name,
+      limit: rule.limit,
+      windowMs: rule.windowMs,
+      hits,
+      userId: attempt.userId,
+      ipAddress: attempt.ipAddress,
+      callingService: attempt.callingService,
+      path: attempt.path
+    });
+  } catch (error) {
+    logger.error('❌ Failed to record velocity block', { rule: rule.name, error: error.message });
+  }
+
+  return {
+    blocked: true,
+    rule: rule.name,
+    retryAfterMs: Math.max(new Date(resetTime).getTime() - Date.now(), 0)
+  };
+}
+
+module.exports = {
+  RULE_DEFINITIONS,
+  getVelocityRules,
+  checkIdentifierVelocity,
+};
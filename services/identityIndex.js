@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const Verification = require('../models/Verification');
+const logger = require('../config/logger');
+
+/**
+ * Identity Index
+ * Keyed HMAC of the normalized Aadhaar / PAN / bank account, stored on each
+ * verification (identifierHash) so the same identifier verified by different
+ * ExtraHand accounts can be detected without storing it.
+ *
+ * The hash depends on IDENTIFIER_HASH_SECRET: changing it makes existing hashes unmatchable.
+ */
+
+// Verification types with a hashed identifier
+const HASHED_IDENTIFIER_TYPES = ['aadhaar', 'pan', 'bank_account'];
+
+const DEV_HASH_SECRET = 'dev-identifier-hash-secret';
+let warnedDevSecret = false;
+
+function getHashSecret() {
+  if (process.env.IDENTIFIER_HASH_SECRET) {
+    return process.env.IDENTIFIER_HASH_SECRET;
+  }
+  if (!warnedDevSecret) {
+    logger.warn('⚠️ IDENTIFIER_HASH_SECRET not set; using the development secret');
+    warnedDevSecret = true;
+  }
+  return DEV_HASH_SECRET;
+}
+
+/**
+ * Normalize an identifier so formatting differences hash the same
+ * @param {string} type - aadhaar, pan or bank_account
+ * @param {object} identifier - { aadhaarNumber } | { panNumber } | { accountNumber, ifsc }
+ * @returns {string}
+ */
+function normalizeIdentifier(type, identifier) {
+  switch (type) {
+    case 'aadhaar':
+      return String(identifier.aadhaarNumber).replace(/\D/g, '');
+    case 'pan':
+      return String(identifier.panNumber).replace(/\s/g, '').toUpperCase();
+    case 'bank_account':
+      return `${String(identifier.ifsc).trim().toUpperCase()}:${String(identifier.accountNumber).replace(/\s/g, '')}`;
+    default:
+      throw new Error(`No hashed identifier for verification type: ${type}`);
+  }
+}
+
+/**
+ * Hash an identifier for the identity index
+ * @param {string} type - aadhaar, pan or bank_account
+ * @param {object} identifier - See normalizeIdentifier()
+ * @returns {string} Hex HMAC-SHA256
+ */
+function hashIdentifier(type, identifier) {
+  return crypto
+    .createHmac('sha256', getHashSecret())
+    .update(`${type}:${normalizeIdentifier(type, identifier)}`)
+    .digest('hex');
+}
+
+/**
+ * Verified records of other users with the same identifier
+ * Erased records and records whose consent was withdrawn are ignored.
+ *
+ * @param {string} identifierHash - From hashIdentifier()
+ * @param {string} userId - User verifying now
+ * @returns {Promise<object[]>} Matching verifications (lean)
+ */
+function findDuplicateIdentities(identifierHash, userId) {
+  return Verification.find({
+    identifierHash,
+    userId: { $ne: userId },
+    status: 'verified',
+    'consent.withdrawnAt': null,
+    'complianceFlags.rightToErasure': { $ne: true }
+  })
+    .select('userId type status verifiedAt')
+    .lean();
+}
+
+/**
+ * Check an identifier before verifying it
+ * With DUPLICATE_IDENTITY_POLICY=block (default) duplicates are rejected; with
+ * 'flag' the verification continues and is marked for trust & safety review.
+ *
+ * @param {string} type - Verification type
+ * @param {string} identifierHash - From hashIdentifier()
+ * @param {string} userId - User verifying now
+ * @returns {Promise<{blocked: boolean, matchedUserIds: string[]}>}
+ */
+async function checkDuplicateIdentity(type, identifierHash, userId) {
+  const duplicates = await findDuplicateIdentities(identifierHash, userId);
+  const matchedUserIds = [...new Set(duplicates.map(duplicate => duplicate.userId))];
+
+  if (matchedUserIds.length === 0) {
+    return { blocked: false, matchedUserIds };
+  }
+
+  const blocked = (process.env.DUPLICATE_IDENTITY_POLICY || 'block') === 'block';
+  logger.warn('🚩 Identifier already verified by another user', {
+    type,
+    userId,
+    matchedUserIds,
+    action: blocked ? 'blocked' : 'flagged'
+  });
+
+  return { blocked, matchedUserIds };
+}
+
+module.exports = {
+  HASHED_IDENTIFIER_TYPES,
+  normalizeIdentifier,
+  hashIdentifier,
+  findDuplicateIdentities,
+  checkDuplicateIdentity,
+};
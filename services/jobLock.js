@@ -0,0 +1,89 @@
+const os = require('os');
+const JobLock = require('../models/JobLock');
+const logger = require('../config/logger');
+
+/**
+ * Job Locks
+ * Lets several replicas schedule the same job while only one runs it at a time.
+ * A lock expires on its own (lockedUntil), so a replica that dies mid-run
+ * blocks the job for at most ttlMs.
+ */
+
+// Identifies this replica as a lock owner
+const LOCK_OWNER = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Try to take a job lock
+ * @param {string} name - Job name
+ * @param {number} ttlMs - How long the lock is held unless released
+ * @returns {Promise<boolean>} True if this replica now holds the lock
+ */
+async function acquireLock(name, ttlMs) {
+  const now = new Date();
+
+  try {
+    await JobLock.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: { $lte: now } }, { owner: LOCK_OWNER }]
+      },
+      {
+        $set: {
+          owner: LOCK_OWNER,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+          acquiredAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // Lock held by another replica: the upsert collides with its document
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Release a job lock held by this replica
+ * @param {string} name - Job name
+ */
+async function releaseLock(name) {
+  try {
+    await JobLock.updateOne(
+      { _id: name, owner: LOCK_OWNER },
+      { $set: { lockedUntil: new Date() } }
+    );
+  } catch (error) {
+    // Not fatal: the lock expires on its own
+    logger.warn('⚠️ Failed to release job lock', { name, error: error.message });
+  }
+}
+
+/**
+ * Run a function while holding a job lock
+ * @param {string} name - Job name
+ * @param {number} ttlMs - Lock TTL (longer than a run can take)
+ * @param {Function} fn - Async work
+ * @returns {Promise<{acquired: boolean, result?: any}>}
+ */
+async function withJobLock(name, ttlMs, fn) {
+  if (!(await acquireLock(name, ttlMs))) {
+    return { acquired: false };
+  }
+
+  try {
+    return { acquired: true, result: await fn() };
+  } finally {
+    await releaseLock(name);
+  }
+}
+
+module.exports = {
+  LOCK_OWNER,
+  acquireLock,
+  releaseLock,
+  withJobLock,
+};
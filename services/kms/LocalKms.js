@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+
+/**
+ * Local file-based KMS (stand-in for a cloud KMS in development)
+ * Holds key-encryption keys (KEKs) in a JSON file and wraps/unwraps per-document
+ * data keys with AES-256-GCM.
+ *
+ * Key file format:
+ *   { "activeKeyId": "local-2024-01", "keys": { "local-2024-01": "<base64 32-byte key>" } }
+ *
+ * Outside production a missing key file is created with a fresh key.
+ *
+ * The file is re-read every 5 minutes, and (at most every 30 seconds) when a
+ * record uses a key this process has not seen, so keys added by a rotation on
+ * another instance are picked up without a restart.
+ */
+
+const KEY_FILE_MAX_AGE_MS = 5 * 60 * 1000; // Picks up a new active key
+const KEY_FILE_RELOAD_INTERVAL_MS = 30000; // Minimum gap between reloads for unknown key IDs
+
+class LocalKms {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.keysFile = path.resolve(config.LOCAL_KMS_KEYS_FILE || 'keys/local-kms.json');
+    this.allowCreate = config.NODE_ENV !== 'production';
+    this.keyring = null;
+    this.loadedAt = 0;
+  }
+
+  /**
+   * Load (or create) the key file
+   * @param {object} options - { refresh: re-read now unless read in the last 30 seconds }
+   * @returns {{activeKeyId: string, keys: object}}
+   */
+  loadKeyring(options = {}) {
+    const age = Date.now() - this.loadedAt;
+    if (this.keyring && age < KEY_FILE_MAX_AGE_MS && !(options.refresh && age >= KEY_FILE_RELOAD_INTERVAL_MS)) {
+      return this.keyring;
+    }
+
+    if (!fs.existsSync(this.keysFile)) {
+      if (!this.allowCreate) {
+        throw new Error(`KMS key file not found: ${this.keysFile}`);
+      }
+      this.keyring = { activeKeyId: null, keys: {} };
+      this.createKey();
+      this.loadedAt = Date.now();
+      logger.warn('⚠️ Created local KMS key file (development only)', { keysFile: this.keysFile });
+      return this.keyring;
+    }
+
+    const keyring = JSON.parse(fs.readFileSync(this.keysFile, 'utf8'));
+    if (!keyring.activeKeyId || !keyring.keys?.[keyring.activeKeyId]) {
+      throw new Error(`KMS key file ${this.keysFile} has no active key`);
+    }
+    if (this.keyring && this.keyring.activeKeyId !== keyring.activeKeyId) {
+      logger.info('🔑 KMS key file reloaded', { activeKeyId: keyring.activeKeyId });
+    }
+    this.keyring = keyring;
+    this.loadedAt = Date.now();
+    return keyring;
+  }
+
+  /**
+   * Create the key file if it does not exist (also in production, for first deployment)
+   * @returns {string|null} ID of the created key, or null if the file already existed
+   */
+  initKeyFile() {
+    if (fs.existsSync(this.keysFile)) {
+      return null;
+    }
+    this.keyring = { activeKeyId: null, keys: {} };
+    return this.createKey();
+  }
+
+  /**
+   * ID of the key new data keys are wrapped with
+   * @returns {string}
+   */
+  getActiveKeyId() {
+    return this.loadKeyring().activeKeyId;
+  }
+
+  /**
+   * Generate a new key, make it active and write the key file
+   * Old keys stay in the file so existing records can still be decrypted.
+   * @returns {string} New key ID
+   */
+  createKey() {
+    const keyring = this.keyring || this.loadKeyring();
+    const keyId = `local-${new Date().toISOString().replace(/[-:.TZ]/g, '').slice(0, 14)}-${crypto.randomBytes(3).toString('hex')}`;
+
+    keyring.keys[keyId] = crypto.randomBytes(32).toString('base64');
+    keyring.activeKeyId = keyId;
+
+    fs.mkdirSync(path.dirname(this.keysFile), { recursive: true });
+    fs.writeFileSync(this.keysFile, JSON.stringify(keyring, null, 2), { mode: 0o600 });
+
+    return keyId;
+  }
+
+  getKey(keyId) {
+    // A key not seen yet may have been added by a rotation elsewhere: re-read the file
+    const key = this.loadKeyring().keys[keyId] || this.loadKeyring({ refresh: true }).keys[keyId];
+    if (!key) {
+      throw new Error(`Unknown KMS key: ${keyId}`);
+    }
+    return Buffer.from(key, 'base64');
+  }
+
+  /**
+   * Wrap a data key with the active key
+   * @param {Buffer} dataKey - Plain data key
+   * @returns {{keyId: string, wrappedKey: string}}
+   */
+  wrapKey(dataKey) {
+    const keyId = this.getActiveKeyId();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKey(keyId), iv);
+    const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+      keyId,
+      wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+    };
+  }
+
+  /**
+   * Unwrap a data key
+   * @param {string} keyId - Key the data key was wrapped with
+   * @param {string} wrappedKey - From wrapKey()
+   * @returns {Buffer} Plain data key
+   */
+  unwrapKey(keyId, wrappedKey) {
+    const data = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.getKey(keyId), data.subarray(0, 12));
+    decipher.setAuthTag(data.subarray(12, 28));
+    return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+  }
+}
+
+module.exports = LocalKms;
@@ -0,0 +1,347 @@
+const Verification = require('../models/Verification');
+const logger = require('../config/logger');
+
+/**
+ * Name Match
+ * Compares the name a provider verified (Aadhaar, PAN, bank account holder)
+ * with the user's other verified names, so one account cannot combine
+ * documents of different people. Names are compared token by token after
+ * normalization, tolerant of salutations, initials, word order, joined names
+ * and the usual variations in romanizing Indian names ("Mohd" / "Mohammed",
+ * "Laxmi" / "Lakshmi", "Deepak" / "Dipak"). Names in other scripts are not
+ * compared.
+ */
+
+// Verification types whose verifiedData.name is compared
+const NAME_MATCH_TYPES = ['aadhaar', 'pan', 'bank_account'];
+
+// Dropped from the start of a name
+const SALUTATIONS = new Set([
+  'mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'shri', 'sri', 'shree', 'smt', 'shrimati',
+  'kumari', 'km', 'sushri', 'late', 'master', 'baby', 'er', 'adv', 'capt', 'col', 'maj', 'lt'
+]);
+
+// Abbreviations and spellings written as one canonical token
+const NAME_ALIASES = {
+  md: 'muhammad',
+  mohd: 'muhammad',
+  mohamad: 'muhammad',
+  mohamed: 'muhammad',
+  mohammad: 'muhammad',
+  mohammed: 'muhammad',
+  muhammed: 'muhammad',
+  kr: 'kumar',
+  kmr: 'kumar',
+  pd: 'prasad',
+  prasd: 'prasad'
+};
+
+const MIN_TOKEN_SIMILARITY = 0.85; // Below this two words count as different names
+const INITIAL_SCORE = 0.9; // An initial matching a word's first letter
+const JOINED_SIMILARITY = 0.92; // "Rajkumar" vs "Raj Kumar"
+const EXTRA_WORD_WEIGHT = 0.4; // Each word only the longer name has (one missing middle name still passes 0.8)
+
+/**
+ * Split a name into lowercase tokens, without salutations, relation suffixes
+ * ("S/O ...") or punctuation; initials clusters ("RK") become one token per letter
+ * @param {string} name
+ * @returns {string[]}
+ */
+function normalizeName(name) {
+  if (!name) {
+    return [];
+  }
+
+  const tokens = String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\b[sdwc]\s*\/\s*o\b.*$/, '')
+    .replace(/\b(son|daughter|wife) of\b.*$/, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  while (tokens.length > 1 && SALUTATIONS.has(tokens[0])) {
+    tokens.shift();
+  }
+
+  return tokens
+    .map(token => NAME_ALIASES[token] || token)
+    .flatMap(token => (token.length <= 3 && !/[aeiouy]/.test(token) ? token.split('') : [token]));
+}
+
+/**
+ * Spelling-insensitive key of a token: folds the common romanization variants
+ * (aspirates, long vowels, doubled letters, w/v, z/j, final schwa)
+ * @param {string} token - Normalized token
+ * @returns {string}
+ */
+function foldToken(token) {
+  return token
+    .replace(/ee|ie/g, 'i')
+    .replace(/oo|ou/g, 'u')
+    .replace(/ksh|x/g, 'ks')
+    .replace(/ph/g, 'f')
+    .replace(/sh/g, 's')
+    .replace(/([bcdgjkpt])h/g, '$1')
+    .replace(/w/g, 'v')
+    .replace(/z/g, 'j')
+    .replace(/q/g, 'k')
+    .replace(/ck/g, 'k')
+    .replace(/([a-z])\1+/g, '$1')
+    .replace(/y$/, 'i')
+    .replace(/([^aeiou])a$/, '$1')
+    .replace(/(.)h$/, '$1');
+}
+
+/**
+ * Jaro-Winkler similarity (0-1)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function jaroWinkler(a, b) {
+  if (a === b) {
+    return 1;
+  }
+  if (!a.length || !b.length) {
+    return 0;
+  }
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j <= Math.min(b.length - 1, i + window); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) {
+    return 0;
+  }
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (aMatched[i]) {
+      while (!bMatched[j]) {
+        j++;
+      }
+      if (a[i] !== b[j]) {
+        transpositions++;
+      }
+      j++;
+    }
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity of two tokens (0-1); an initial matches a word with the same first letter
+ * @param {string} a - Normalized token
+ * @param {string} b - Normalized token
+ * @returns {number}
+ */
+function tokenSimilarity(a, b) {
+  if (a.length === 1 || b.length === 1) {
+    if (a[0] !== b[0]) {
+      return 0;
+    }
+    return a.length === b.length ? 1 : INITIAL_SCORE;
+  }
+
+  const similarity = jaroWinkler(foldToken(a), foldToken(b));
+  return similarity >= MIN_TOKEN_SIMILARITY ? similarity : 0;
+}
+
+/**
+ * Join adjacent words of `tokens` that are written as one word in `other`
+ * ("raj kumar" vs "rajkumar")
+ * @param {string[]} tokens
+ * @param {string[]} other
+ * @returns {string[]}
+ */
+function joinSplitWords(tokens, other) {
+  const result = [...tokens];
+  for (let i = 0; i < result.length - 1; i++) {
+    if (result[i].length === 1 || result[i + 1].length === 1) {
+      continue;
+    }
+    const joined = result[i] + result[i + 1];
+    if (other.some(word => word.length > 1 && jaroWinkler(foldToken(joined), foldToken(word)) >= JOINED_SIMILARITY)) {
+      result.splice(i, 2, joined);
+    }
+  }
+  return result;
+}
+
+/**
+ * Similarity of two names (0-1)
+ * Words are paired best-first regardless of order. The score is how well the
+ * shorter name is covered, with each word only the longer name has counting
+ * EXTRA_WORD_WEIGHT against it: a missing middle name passes, a single word
+ * ("Singh" vs "Priya Singh") does not. Capped at 0.5 when only initials matched.
+ *
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {number|null} Score rounded to 2 decimals, or null if a name has no comparable words
+ */
+function compareNames(nameA, nameB) {
+  let a = normalizeName(nameA);
+  let b = normalizeName(nameB);
+  if (a.length === 0 || b.length === 0) {
+    return null;
+  }
+
+  a = joinSplitWords(a, b);
+  b = joinSplitWords(b, a);
+
+  const pairs = [];
+  a.forEach((tokenA, i) => {
+    b.forEach((tokenB, j) => {
+      const score = tokenSimilarity(tokenA, tokenB);
+      if (score > 0) {
+        pairs.push({ i, j, score, initial: tokenA.length === 1 || tokenB.length === 1 });
+      }
+    });
+  });
+  pairs.sort((x, y) => y.score - x.score);
+
+  const usedA = new Set();
+  const usedB = new Set();
+  let total = 0;
+  let wordMatched = false;
+  for (const pair of pairs) {
+    if (usedA.has(pair.i) || usedB.has(pair.j)) {
+      continue;
+    }
+    usedA.add(pair.i);
+    usedB.add(pair.j);
+    total += pair.score;
+    wordMatched = wordMatched || !pair.initial;
+  }
+
+  const shorter = Math.min(a.length, b.length);
+  const longer = Math.max(a.length, b.length);
+  let score = total / (shorter + EXTRA_WORD_WEIGHT * (longer - shorter));
+  if (!wordMatched) {
+    score = Math.min(score, 0.5);
+  }
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Compare a verification's verified name with the user's other verified names
+ * (and, for bank accounts, the holder name the user entered)
+ *
+ * @param {Verification} verification - With verifiedData.name set
+ * @param {object} options - { submittedName }
+ * @param {object} config - Environment config
+ * @returns {Promise<object|null>} { score, threshold, mismatch, comparisons, checkedAt }, or null if nothing to compare
+ */
+async function checkNameConsistency(verification, options = {}, config = process.env) {
+  const name = verification.verifiedData?.name;
+  if (!name) {
+    return null;
+  }
+
+  const others = await Verification.find({
+    userId: verification.userId,
+    _id: { $ne: verification._id },
+    type: { $in: NAME_MATCH_TYPES },
+    status: 'verified',
+    'verifiedData.name': { $exists: true },
+    'consent.withdrawnAt': null,
+    'complianceFlags.rightToErasure': { $ne: true }
+  });
+
+  const comparisons = [];
+  if (options.submittedName) {
+    comparisons.push({ against: 'submitted_name', score: compareNames(name, options.submittedName) });
+  }
+  for (const other of others) {
+    comparisons.push({ against: other.type, verificationId: other._id, score: compareNames(name, other.verifiedData.name) });
+  }
+
+  const scored = comparisons.filter(comparison => comparison.score !== null);
+  if (scored.length === 0) {
+    return null;
+  }
+
+  const threshold = Number(config.NAME_MATCH_THRESHOLD ?? 0.8);
+  const score = Math.min(...scored.map(comparison => comparison.score));
+  const mismatch = score < threshold;
+
+  if (mismatch) {
+    logger.warn('🚩 Verified name does not match the user\'s other verifications', {
+      userId: verification.userId,
+      type: verification.type,
+      score,
+      threshold,
+      against: scored.filter(comparison => comparison.score < threshold).map(comparison => comparison.against)
+    });
+  }
+
+  return { score, threshold, mismatch, comparisons: scored, checkedAt: new Date() };
+}
+
+/**
+ * Run the name check and record it on the verification (nameMatch, and
+ * riskFlags.nameMismatch below NAME_MATCH_THRESHOLD). Does not save; a failed
+ * check is logged and does not fail the verification.
+ *
+ * @param {Verification} verification - With verifiedData.name set
+ * @param {object} options - { submittedName }
+ * @returns {Promise<object|null>} nameMatch, or null if nothing was compared
+ */
+async function applyNameMatch(verification, options = {}) {
+  let nameMatch;
+  try {
+    nameMatch = await checkNameConsistency(verification, options);
+  } catch (error) {
+    logger.error('❌ Name match check failed', {
+      userId: verification.userId,
+      type: verification.type,
+      error: error.message
+    });
+    return null;
+  }
+
+  if (!nameMatch) {
+    return null;
+  }
+
+  verification.nameMatch = nameMatch;
+  if (nameMatch.mismatch) {
+    verification.set('riskFlags.nameMismatch', true);
+    verification.set('riskFlags.flaggedAt', verification.riskFlags?.flaggedAt || new Date());
+  }
+
+  return nameMatch;
+}
+
+module.exports = {
+  NAME_MATCH_TYPES,
+  normalizeName,
+  foldToken,
+  compareNames,
+  checkNameConsistency,
+  applyNameMatch,
+};
@@ -0,0 +1,335 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const OutboxEvent = require('../models/OutboxEvent');
+const { categorizeError } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Verification Event Outbox
+ * Status transitions are stored on the verification (pendingEvents) in the same
+ * write as the change, moved to the outbox collection right after, and delivered to
+ * MAIN_BACKEND_URL as HMAC-signed webhooks, with exponential backoff and a
+ * dead-letter state once OUTBOX_MAX_ATTEMPTS is reached.
+ *
+ * Signature: X-Verification-Signature = sha256=hex(HMAC-SHA256(`${timestamp}.${body}`, VERIFICATION_WEBHOOK_SECRET))
+ * where timestamp is the X-Verification-Timestamp header (unix seconds).
+ */
+
+// Verification statuses that produce an outbox event
+const OUTBOX_STATUS_EVENTS = ['otp_sent', 'verified', 'failed', 'expired', 'manual_review'];
+
+const DEFAULT_WEBHOOK_PATH = '/api/v1/webhooks/verification';
+const DELIVERY_TIMEOUT_MS = 10000;
+const DELIVERY_LOCK_MS = 60000; // Longer than a delivery can take
+const PENDING_EVENT_GRACE_MS = 30000; // Left to the post-save hook before the dispatcher moves an event
+
+/**
+ * Read outbox settings (validated in config/env.js)
+ * @param {object} config - Environment config
+ */
+function getOutboxConfig(config = process.env) {
+  return {
+    backendUrl: config.MAIN_BACKEND_URL,
+    webhookPath: config.VERIFICATION_WEBHOOK_PATH || DEFAULT_WEBHOOK_PATH,
+    secret: config.VERIFICATION_WEBHOOK_SECRET,
+    maxAttempts: Number(config.OUTBOX_MAX_ATTEMPTS) || 8,
+    baseDelayMs: Number(config.OUTBOX_RETRY_BASE_DELAY_MS) || 30000,
+    maxDelayMs: Number(config.OUTBOX_RETRY_MAX_DELAY_MS) || 60 * 60 * 1000,
+  };
+}
+
+/**
+ * Outbox is enabled when there is a main backend to deliver to
+ * @param {object} config - Environment config
+ * @returns {boolean}
+ */
+function isOutboxEnabled(config = process.env) {
+  return !!config.MAIN_BACKEND_URL;
+}
+
+/**
+ * Build a verification event for Verification.pendingEvents
+ * The event is stored on the verification by the same write as the state change
+ * and moved to the outbox collection afterwards (moveToOutbox), so it cannot be lost.
+ *
+ * @param {object} verification - Verification document (before save)
+ * @param {string} event - Event name (status, 'consent_withdrawn' or 'erased')
+ * @param {object} details - { previousStatus }
+ * @returns {{_id: ObjectId, eventType: string, payload: object, createdAt: Date}}
+ */
+function buildVerificationEvent(verification, event, details = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  const eventType = `verification.${event}`;
+  const createdAt = new Date();
+
+  return {
+    _id,
+    eventType,
+    createdAt,
+    payload: {
+      id: _id.toString(),
+      type: eventType,
+      occurredAt: createdAt.toISOString(),
+      data: {
+        verificationId: verification._id.toString(),
+        userId: verification.userId,
+        verificationType: verification.type,
+        status: verification.status,
+        previousStatus: details.previousStatus || null,
+        provider: verification.provider,
+        failureReason: verification.status === 'failed' ? verification.failureReason : undefined
+      }
+    }
+  };
+}
+
+/**
+ * Move a verification's pending events to the outbox collection
+ * Safe to repeat: an event already in the outbox (same ID) is not written again.
+ *
+ * @param {object} verification - Verification (document or lean) with _id, userId and pendingEvents
+ * @returns {Promise<number>} Events moved
+ */
+async function moveToOutbox(verification) {
+  const events = verification.pendingEvents || [];
+  if (events.length === 0) {
+    return 0;
+  }
+
+  await OutboxEvent.bulkWrite(events.map(event => ({
+    updateOne: {
+      filter: { _id: event._id },
+      update: {
+        $setOnInsert: {
+          eventType: event.eventType,
+          verificationId: verification._id,
+          userId: verification.userId,
+          payload: event.payload,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: event.createdAt
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: true });
+
+  await mongoose.model('Verification').updateOne(
+    { _id: verification._id },
+    { $pull: { pendingEvents: { _id: { $in: events.map(event => event._id) } } } }
+  );
+
+  logger.debug('📤 Outbox events queued', {
+    verificationId: verification._id,
+    eventTypes: events.map(event => event.eventType)
+  });
+
+  return events.length;
+}
+
+/**
+ * Move pending events left on verifications (the process stopped, or the
+ * outbox write failed, right after the verification was saved)
+ * @param {object} options - { batchSize }
+ * @returns {Promise<number>} Events moved
+ */
+async function drainPendingEvents({ batchSize = 50 } = {}) {
+  const verifications = await mongoose.model('Verification')
+    .find({ 'pendingEvents.createdAt': { $lte: new Date(Date.now() - PENDING_EVENT_GRACE_MS) } })
+    .select({ userId: 1, pendingEvents: 1 })
+    .limit(batchSize)
+    .lean();
+
+  let moved = 0;
+  for (const verification of verifications) {
+    moved += await moveToOutbox(verification);
+  }
+
+  if (moved) {
+    logger.warn('📤 Moved events left on verifications to the outbox', { moved });
+  }
+  return moved;
+}
+
+/**
+ * Sign an outbound webhook body
+ * @param {string} body - JSON body
+ * @param {number} timestamp - Unix seconds
+ * @param {string} secret - VERIFICATION_WEBHOOK_SECRET
+ * @returns {string} Signature header value
+ */
+function signPayload(body, timestamp, secret) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Delay before the next attempt (exponential backoff with jitter)
+ * @param {number} attempts - Attempts made so far
+ * @param {object} outboxConfig - From getOutboxConfig()
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempts, outboxConfig) {
+  const delay = Math.min(
+    outboxConfig.baseDelayMs * Math.pow(2, attempts - 1),
+    outboxConfig.maxDelayMs
+  );
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Claim the next due event (or one whose dispatcher died mid-delivery)
+ * @returns {Promise<OutboxEvent|null>}
+ */
+function claimNextEvent() {
+  const now = new Date();
+  return OutboxEvent.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'delivering', lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Deliver one claimed event and record the outcome
+ * @param {OutboxEvent} outboxEvent - Event in 'delivering' state
+ * @param {object} outboxConfig - From getOutboxConfig()
+ * @returns {Promise<boolean>} True if delivered
+ */
+async function deliverEvent(outboxEvent, outboxConfig) {
+  const body = JSON.stringify(outboxEvent.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const now = new Date();
+
+  outboxEvent.attempts += 1;
+  outboxEvent.lastAttemptAt = now;
+  outboxEvent.lockedUntil = undefined;
+
+  try {
+    const response = await axios.post(`${outboxConfig.backendUrl}${outboxConfig.webhookPath}`, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Verification-Event-Id': outboxEvent._id.toString(),
+        'X-Verification-Event-Type': outboxEvent.eventType,
+        'X-Verification-Timestamp': String(timestamp),
+        'X-Verification-Signature': signPayload(body, timestamp, outboxConfig.secret)
+      },
+      timeout: DELIVERY_TIMEOUT_MS
+    });
+
+    outboxEvent.status = 'delivered';
+    outboxEvent.deliveredAt = now;
+    outboxEvent.lastResponseStatus = response.status;
+    outboxEvent.lastError = undefined;
+    await outboxEvent.save();
+
+    logger.info('✅ Outbox event delivered', {
+      eventId: outboxEvent._id,
+      eventType: outboxEvent.eventType,
+      attempts: outboxEvent.attempts
+    });
+    return true;
+  } catch (error) {
+    const categorizedError = categorizeError(error);
+    outboxEvent.lastError = `${categorizedError.code}: ${categorizedError.message}`;
+    outboxEvent.lastResponseStatus = error.response?.status;
+
+    if (outboxEvent.attempts >= outboxConfig.maxAttempts) {
+      outboxEvent.status = 'dead_letter';
+      outboxEvent.deadLetteredAt = now;
+
+      logger.error('💀 Outbox event moved to dead letter', {
+        eventId: outboxEvent._id,
+        eventType: outboxEvent.eventType,
+        attempts: outboxEvent.attempts,
+        error: outboxEvent.lastError
+      });
+    } else {
+      const delay = getRetryDelay(outboxEvent.attempts, outboxConfig);
+      outboxEvent.status = 'pending';
+      outboxEvent.nextAttemptAt = new Date(now.getTime() + delay);
+
+      logger.warn('🔄 Outbox delivery failed, will retry', {
+        eventId: outboxEvent._id,
+        eventType: outboxEvent.eventType,
+        attempts: outboxEvent.attempts,
+        nextDelay: delay,
+        error: outboxEvent.lastError
+      });
+    }
+
+    await outboxEvent.save();
+    return false;
+  }
+}
+
+/**
+ * Deliver due events, one at a time, up to batchSize
+ * @param {object} options - { batchSize, config }
+ * @returns {Promise<{delivered: number, failed: number}>}
+ */
+async function processDueEvents({ batchSize = 20, config = process.env } = {}) {
+  const outboxConfig = getOutboxConfig(config);
+  const stats = { delivered: 0, failed: 0 };
+
+  for (let i = 0; i < batchSize; i++) {
+    const outboxEvent = await claimNextEvent();
+    if (!outboxEvent) {
+      break;
+    }
+
+    if (await deliverEvent(outboxEvent, outboxConfig)) {
+      stats.delivered += 1;
+    } else {
+      stats.failed += 1;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Put dead-lettered (or pending) events back in the queue for immediate delivery
+ * @param {object} filter - Mongo filter on OutboxEvent (status defaults to dead_letter)
+ * @param {string} replayedBy - Caller identity for the record
+ * @returns {Promise<number>} Number of events requeued
+ */
+async function replayEvents(filter, replayedBy) {
+  const now = new Date();
+  const result = await OutboxEvent.updateMany(
+    { status: { $in: ['dead_letter', 'pending'] }, ...filter },
+    {
+      $set: {
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        replayedAt: now,
+        replayedBy
+      },
+      $unset: { deadLetteredAt: '', lockedUntil: '' }
+    }
+  );
+
+  logger.info('🔁 Outbox events requeued', { count: result.modifiedCount, replayedBy });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  OUTBOX_STATUS_EVENTS,
+  getOutboxConfig,
+  isOutboxEnabled,
+  buildVerificationEvent,
+  moveToOutbox,
+  drainPendingEvents,
+  signPayload,
+  processDueEvents,
+  replayEvents,
+};
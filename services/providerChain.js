@@ -0,0 +1,212 @@
+const logger = require('../config/logger');
+const { categorizeError, ErrorCategories } = require('../utils/errorHandler');
+
+/**
+ * Errors that move a call on to the next provider in the chain.
+ * Anything else (invalid input, auth, not found) is returned to the caller as-is,
+ * since another provider would reject the same request.
+ */
+const FAILOVER_ERROR_CODES = [
+  ErrorCategories.SERVICE_UNAVAILABLE,
+  ErrorCategories.TIMEOUT_ERROR,
+];
+
+/**
+ * Capability required by each provider method
+ */
+const METHOD_CAPABILITIES = {
+  generateAadhaarOTP: 'aadhaar',
+  verifyAadhaarOTP: 'aadhaar',
+  resendAadhaarOTP: 'aadhaar',
+  verifyPAN: 'pan',
+  verifyBankAccount: 'bank',
+  verifyFaceMatch: 'face',
+  verifyLiveness: 'face',
+  verifyFaceWithAadhaar: 'face',
+};
+
+/**
+ * Provider Chain
+ * Ordered list of verification providers with failover
+ *
+ * - Calls go to the first capable provider; SERVICE_UNAVAILABLE / TIMEOUT_ERROR
+ *   routes the call to the next capable provider
+ * - Providers marked unhealthy by the health tracker are tried last
+ * - Follow-up calls (e.g. Aadhaar OTP verify) can be pinned to the provider
+ *   that issued the refId, with no failover
+ *
+ * @class ProviderChain
+ */
+class ProviderChain {
+  /**
+   * @param {Array<BaseVerificationProvider>} providers - Providers in priority order
+   * @param {object} options
+   * @param {ProviderHealthTracker} options.healthTracker - Health tracker instance
+   * @param {Function} options.createProvider - Factory for providers outside the chain (pinned calls)
+   */
+  constructor(providers, options = {}) {
+    if (!providers || providers.length === 0) {
+      throw new Error('ProviderChain requires at least one provider');
+    }
+
+    this.providers = providers;
+    this.healthTracker = options.healthTracker;
+    this.createProvider = options.createProvider;
+    this.pinnedProviders = new Map();
+  }
+
+  /**
+   * Names of providers in chain order
+   * @returns {Array<string>}
+   */
+  getProviderNames() {
+    return this.providers.map(p => p.providerName);
+  }
+
+  /**
+   * Primary (first) provider in the chain
+   * @returns {BaseVerificationProvider}
+   */
+  getPrimaryProvider() {
+    return this.providers[0];
+  }
+
+  /**
+   * Get provider instance by name
+   * Providers outside the chain are created on demand, so records issued
+   * by a provider that was since removed from the chain can still be completed
+   * @param {string} providerName
+   * @returns {BaseVerificationProvider}
+   */
+  getProvider(providerName) {
+    const name = (providerName || '').toLowerCase();
+    const inChain = this.providers.find(p => p.providerName === name);
+    if (inChain) {
+      return inChain;
+    }
+
+    if (!this.pinnedProviders.has(name)) {
+      if (!this.createProvider) {
+        throw new Error(`Provider not in chain: ${providerName}`);
+      }
+      this.pinnedProviders.set(name, this.createProvider(name));
+    }
+    return this.pinnedProviders.get(name);
+  }
+
+  /**
+   * Capable providers for a method, healthy ones first (chain order preserved)
+   * @param {string} method - Provider method name
+   * @returns {Array<BaseVerificationProvider>}
+   */
+  getCandidates(method) {
+    const capability = METHOD_CAPABILITIES[method];
+    const capable = this.providers.filter(p => {
+      if (!capability) return typeof p[method] === 'function';
+      return p.getProviderInfo().capabilities[capability];
+    });
+
+    // No provider advertises the capability - fall back to the whole chain so
+    // BaseVerificationProvider's default implementations (e.g. face mocks) still apply
+    if (capable.length === 0) {
+      capable.push(...this.providers.filter(p => typeof p[method] === 'function'));
+    }
+
+    if (!this.healthTracker) {
+      return capable;
+    }
+
+    const healthy = capable.filter(p => this.healthTracker.isHealthy(p.providerName));
+    const unhealthy = capable.filter(p => !this.healthTracker.isHealthy(p.providerName));
+    return [...healthy, ...unhealthy];
+  }
+
+  /**
+   * Call a provider method, failing over between providers
+   * @param {string} method - Provider method name (e.g. 'generateAadhaarOTP')
+   * @param {Array} args - Method arguments
+   * @param {object} options
+   * @param {string} options.pinnedProvider - Only call this provider (no failover)
+   * @returns {Promise<{result: any, providerName: string}>}
+   */
+  async execute(method, args = [], options = {}) {
+    const candidates = options.pinnedProvider
+      ? [this.getProvider(options.pinnedProvider)]
+      : this.getCandidates(method);
+
+    if (candidates.length === 0) {
+      throw new Error(`No configured provider supports ${method}`);
+    }
+
+    let lastError;
+
+    for (let i = 0; i < candidates.length; i++) {
+      const provider = candidates[i];
+      const providerName = provider.providerName;
+
+      try {
+        const result = await provider[method](...args);
+        this.recordSuccess(providerName);
+        return { result, providerName };
+      } catch (error) {
+        const categorizedError = categorizeError(error);
+        lastError = error;
+
+        if (!FAILOVER_ERROR_CODES.includes(categorizedError.code)) {
+          // Not a provider availability problem - don't count it against provider health
+          throw error;
+        }
+
+        this.recordFailure(providerName, categorizedError.code);
+
+        const nextProvider = candidates[i + 1];
+        if (nextProvider) {
+          logger.warn('⚠️ Provider unavailable, failing over', {
+            method,
+            from: providerName,
+            to: nextProvider.providerName,
+            errorCode: categorizedError.code,
+            message: categorizedError.message
+          });
+        }
+      }
+    }
+
+    logger.error('❌ All providers failed', {
+      method,
+      providers: candidates.map(p => p.providerName),
+      pinned: !!options.pinnedProvider
+    });
+    throw lastError;
+  }
+
+  recordSuccess(providerName) {
+    if (this.healthTracker) {
+      this.healthTracker.recordSuccess(providerName);
+    }
+  }
+
+  recordFailure(providerName, errorCode) {
+    if (this.healthTracker) {
+      this.healthTracker.recordFailure(providerName, errorCode);
+    }
+  }
+
+  /**
+   * Health status of every provider in the chain
+   * @returns {object} providerName -> status
+   */
+  getHealth() {
+    const health = {};
+    this.providers.forEach(p => {
+      health[p.providerName] = this.healthTracker
+        ? this.healthTracker.getStatus(p.providerName)
+        : { healthy: true };
+    });
+    return health;
+  }
+}
+
+module.exports = ProviderChain;
+module.exports.FAILOVER_ERROR_CODES = FAILOVER_ERROR_CODES;
+module.exports.METHOD_CAPABILITIES = METHOD_CAPABILITIES;
@@ -1,4 +1,9 @@
 const CashfreeProvider = require('./providers/CashfreeProvider');
+const KarzaProvider = require('./providers/KarzaProvider');
+const SignzyProvider = require('./providers/SignzyProvider');
+const MockProvider = require('./providers/MockProvider');
+const ProviderChain = require('./providerChain');
+const ProviderHealthTracker = require('./providerHealth');
 const logger = require('../config/logger');
 
 /**
@@ -6,17 +11,16 @@ const logger = require('../config/logger');
  * Returns the appropriate verification provider based on configuration
  * 
  * CURRENTLY ACTIVE:
- * - ✅ Cashfree (default and only active provider)
+ * - ✅ Cashfree (default)
+ * - ✅ Karza (Aadhaar, PAN, bank, face)
+ * - ✅ Signzy (Aadhaar, PAN, bank, face match, liveness)
+ * - 🎭 Mock (offline, scriptable with scenario fixtures - never calls external APIs)
  * 
- * READY FOR FUTURE:
- * - 🔒 Signzy (uncomment when ready)
- * - 🔒 Karza (uncomment when ready)
- * 
- * TO ACTIVATE A NEW PROVIDER:
+ * TO ADD A NEW PROVIDER:
  * 1. Get API credentials from provider
- * 2. Rename stub file (remove .stub.js extension)
- * 3. Uncomment the import and case below
- * 4. Add credentials to .env file
+ * 2. Implement a BaseVerificationProvider subclass in ./providers
+ * 3. Add the import and case below, and list it in getAvailableProviders()
+ * 4. Add credentials to config/env.js and .env file
  * 5. Set VERIFICATION_PROVIDER=<provider-name> in .env
  * 6. Restart the service
  * 
@@ -32,15 +36,14 @@ function getVerificationProvider(config) {
     case 'cashfree':
       return new CashfreeProvider(config);
     
-    // ===== FUTURE PROVIDERS (UNCOMMENT WHEN READY) =====
+    case 'karza':
+      return new KarzaProvider(config);
     
-    // case 'signzy':
-    //   const SignzyProvider = require('./providers/SignzyProvider');
-    //   return new SignzyProvider(config);
+    case 'signzy':
+      return new SignzyProvider(config);
     
-    // case 'karza':
-    //   const KarzaProvider = require('./providers/KarzaProvider');
-    //   return new KarzaProvider(config);
+    case 'mock':
+      return new MockProvider(config);
     
     default:
       logger.warn(`⚠️ Unknown provider: ${providerName}, falling back to Cashfree`);
@@ -48,6 +51,82 @@ function getVerificationProvider(config) {
   }
 }
 
+/**
+ * Create a provider instance by name
+ * Unlike getVerificationProvider(), unknown names are rejected instead of
+ * falling back to Cashfree
+ *
+ * @param {string} providerName - Name of the provider
+ * @param {object} config - Configuration object with provider settings
+ * @returns {BaseVerificationProvider} Verification provider instance
+ */
+function createProvider(providerName, config) {
+  const name = (providerName || '').toLowerCase();
+
+  if (!isProviderAvailable(name)) {
+    throw new Error(`Unknown or inactive verification provider: ${providerName}`);
+  }
+
+  return getVerificationProvider({ ...config, VERIFICATION_PROVIDER: name });
+}
+
+/**
+ * Get ordered provider names for the failover chain
+ * VERIFICATION_PROVIDER_CHAIN (comma-separated) takes precedence,
+ * otherwise the chain is just VERIFICATION_PROVIDER
+ *
+ * @param {object} config - Configuration object with provider settings
+ * @returns {Array<string>} Provider names in priority order
+ */
+function getProviderChainNames(config) {
+  const raw = config.VERIFICATION_PROVIDER_CHAIN || config.VERIFICATION_PROVIDER || 'cashfree';
+  const names = raw.split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  // Remove duplicates, keep first occurrence
+  return names.filter((name, index) => names.indexOf(name) === index);
+}
+
+/**
+ * Create the provider failover chain (e.g. cashfree → karza → signzy)
+ * with in-process health tracking
+ *
+ * @param {object} config - Configuration object with provider settings
+ * @returns {ProviderChain} Provider chain instance
+ */
+function createProviderChain(config) {
+  const names = getProviderChainNames(config);
+  const providers = [];
+
+  names.forEach(name => {
+    if (!isProviderAvailable(name)) {
+      logger.warn(`⚠️ Provider ${name} is not available, skipping it in the failover chain`);
+      return;
+    }
+    providers.push(createProvider(name, config));
+  });
+
+  if (providers.length === 0) {
+    throw new Error(`No available providers in chain: ${names.join(', ')}`);
+  }
+
+  const healthTracker = new ProviderHealthTracker({
+    windowMs: Number(config.PROVIDER_HEALTH_WINDOW_MS) || undefined,
+    minSamples: Number(config.PROVIDER_HEALTH_MIN_SAMPLES) || undefined,
+    failureThreshold: Number(config.PROVIDER_HEALTH_FAILURE_THRESHOLD) || undefined,
+  });
+
+  logger.info('🔗 Provider failover chain initialized', {
+    providers: providers.map(p => p.providerName)
+  });
+
+  return new ProviderChain(providers, {
+    healthTracker,
+    createProvider: (name) => createProvider(name, config),
+  });
+}
+
 /**
  * Get list of available providers
  * @returns {Array<string>} List of provider names
@@ -55,8 +134,9 @@ function getVerificationProvider(config) {
 function getAvailableProviders() {
   return [
     'cashfree',    // ✅ Active
-    // 'signzy',   // 🔒 Ready (uncomment when activated)
-    // 'karza',    // 🔒 Ready (uncomment when activated)
+    'karza',       // ✅ Active
+    'signzy',      // ✅ Active
+    'mock',        // 🎭 Offline development/testing
   ];
 }
 
@@ -94,6 +174,12 @@ function getProviderCapabilities(providerName) {
       bank: true,
       face: true,       // Karza supports face verification
     },
+    mock: {
+      aadhaar: true,
+      pan: true,
+      bank: true,
+      face: true,
+    },
   };
 
   return capabilities[providerName.toLowerCase()] || {
@@ -106,6 +192,9 @@ function getProviderCapabilities(providerName) {
 
 module.exports = {
   getVerificationProvider,
+  createProvider,
+  createProviderChain,
+  getProviderChainNames,
   getAvailableProviders,
   isProviderAvailable,
   getProviderCapabilities,
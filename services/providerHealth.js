@@ -0,0 +1,113 @@
+const logger = require('../config/logger');
+
+/**
+ * Provider Health Tracker
+ * Tracks recent call outcomes per provider (in-process only)
+ *
+ * Used by the provider chain to prefer healthy providers and to
+ * report each provider's recent failure rate.
+ *
+ * @class ProviderHealthTracker
+ */
+class ProviderHealthTracker {
+  /**
+   * @param {object} options
+   * @param {number} options.windowMs - Sliding window for outcomes (default 5 minutes)
+   * @param {number} options.minSamples - Samples required before a provider can be marked unhealthy
+   * @param {number} options.failureThreshold - Failure rate (0-1) above which a provider is unhealthy
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs || 5 * 60 * 1000;
+    this.minSamples = options.minSamples || 5;
+    this.failureThreshold = options.failureThreshold || 0.5;
+    this.samples = new Map(); // providerName -> [{ at, ok, errorCode }]
+  }
+
+  /**
+   * Drop samples that fell out of the window
+   * @param {string} providerName
+   * @returns {Array} Remaining samples
+   */
+  prune(providerName) {
+    const cutoff = Date.now() - this.windowMs;
+    const samples = (this.samples.get(providerName) || []).filter(s => s.at >= cutoff);
+    this.samples.set(providerName, samples);
+    return samples;
+  }
+
+  /**
+   * Record a successful provider call
+   * @param {string} providerName
+   */
+  recordSuccess(providerName) {
+    const samples = this.prune(providerName);
+    samples.push({ at: Date.now(), ok: true });
+  }
+
+  /**
+   * Record a failed provider call
+   * @param {string} providerName
+   * @param {string} errorCode - Error category from categorizeError
+   */
+  recordFailure(providerName, errorCode) {
+    const wasHealthy = this.isHealthy(providerName);
+    const samples = this.prune(providerName);
+    samples.push({ at: Date.now(), ok: false, errorCode });
+
+    if (wasHealthy && !this.isHealthy(providerName)) {
+      logger.warn('⚠️ Provider marked unhealthy', {
+        provider: providerName,
+        failureRate: this.getFailureRate(providerName),
+        windowMs: this.windowMs
+      });
+    }
+  }
+
+  /**
+   * Get failure rate for a provider within the window
+   * @param {string} providerName
+   * @returns {number} Failure rate between 0 and 1
+   */
+  getFailureRate(providerName) {
+    const samples = this.prune(providerName);
+    if (samples.length === 0) {
+      return 0;
+    }
+    const failures = samples.filter(s => !s.ok).length;
+    return failures / samples.length;
+  }
+
+  /**
+   * Check if provider is healthy
+   * Providers with too few samples are considered healthy
+   * @param {string} providerName
+   * @returns {boolean}
+   */
+  isHealthy(providerName) {
+    const samples = this.prune(providerName);
+    if (samples.length < this.minSamples) {
+      return true;
+    }
+    return this.getFailureRate(providerName) < this.failureThreshold;
+  }
+
+  /**
+   * Get health snapshot for a provider
+   * @param {string} providerName
+   * @returns {object}
+   */
+  getStatus(providerName) {
+    const samples = this.prune(providerName);
+    const lastFailure = [...samples].reverse().find(s => !s.ok);
+
+    return {
+      healthy: this.isHealthy(providerName),
+      failureRate: Number(this.getFailureRate(providerName).toFixed(3)),
+      samples: samples.length,
+      lastFailureAt: lastFailure ? new Date(lastFailure.at).toISOString() : null,
+      lastErrorCode: lastFailure ? lastFailure.errorCode : null
+    };
+  }
+}
+
+module.exports = ProviderHealthTracker;
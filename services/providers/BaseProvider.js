@@ -1,3 +1,6 @@
+const crypto = require('crypto');
+const { getCircuitBreaker } = require('../../utils/circuitBreaker');
+
 /**
  * Base Verification Provider
  * All verification providers inherit from this base class
@@ -153,6 +156,51 @@ class BaseVerificationProvider {
     throw new Error(`${this.providerName}: Face-Aadhaar verification not yet enabled. Feature flag required.`);
   }
 
+  // =====================================================
+  // WEBHOOKS (ASYNCHRONOUS RESULTS)
+  // =====================================================
+
+  /**
+   * Verify the signature of an inbound webhook
+   * @param {Buffer} rawBody - Raw request body, exactly as received
+   * @param {object} headers - Request headers (lowercased)
+   * @returns {boolean} True if the webhook was signed by the provider
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    return false; // Providers without webhook support reject every delivery
+  }
+
+  /**
+   * Map a webhook payload to a verification result
+   * @param {object} payload - Parsed webhook body
+   * @param {object} headers - Request headers (lowercased)
+   * @returns {{eventId?: string, refId: string, result: object}} result has the verifyAadhaarOTP shape
+   */
+  parseWebhook(payload, headers) {
+    throw new Error(`${this.providerName}: webhooks not supported`);
+  }
+
+  /**
+   * Compare an HMAC-SHA256 signature in constant time
+   * @param {string} secret - Shared webhook secret
+   * @param {Buffer|string} signedPayload - Data the provider signed
+   * @param {string} signature - Signature from the request
+   * @param {string} encoding - Signature encoding ('hex' or 'base64')
+   * @returns {boolean} True if the signature matches
+   */
+  verifyHmacSignature(secret, signedPayload, signature, encoding = 'hex') {
+    if (!secret || !signature) {
+      return false;
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', secret).update(signedPayload).digest(encoding)
+    );
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
   // =====================================================
   // UTILITY METHODS
   // =====================================================
@@ -194,6 +242,35 @@ class BaseVerificationProvider {
     return `XXXX${accountNumber.slice(-4)}`;
   }
 
+  /**
+   * Get the circuit breaker for one of this provider's endpoint families
+   * Breakers are shared across provider instances (keyed by provider + family)
+   * @param {string} family - Endpoint family (e.g. 'offline-aadhaar/otp')
+   * @returns {CircuitBreaker}
+   */
+  getCircuitBreaker(family) {
+    return getCircuitBreaker(`${this.providerName}:${family}`, {
+      failureThreshold: Number(this.config.CIRCUIT_BREAKER_FAILURE_THRESHOLD) || undefined,
+      resetTimeoutMs: Number(this.config.CIRCUIT_BREAKER_RESET_TIMEOUT_MS) || undefined,
+    });
+  }
+
+  /**
+   * Check if provider is running against a sandbox environment
+   * @returns {boolean}
+   */
+  isSandbox() {
+    return false;
+  }
+
+  /**
+   * Get test OTP for sandbox environment
+   * @returns {string|null} Test OTP, or null if the provider has none
+   */
+  getTestOtp() {
+    return null;
+  }
+
   /**
    * Get provider information
    * @returns {object} Provider metadata
@@ -4,6 +4,14 @@ const logger = require('../../config/logger');
 const { getCashfreeBaseUrl } = require('../../config/env');
 const { retryWithBackoff } = require('../../utils/errorHandler');
 
+// Endpoint families, each guarded by its own circuit breaker
+const ENDPOINT_FAMILIES = {
+  AADHAAR_OTP: 'offline-aadhaar/otp',
+  AADHAAR_VERIFY: 'offline-aadhaar/verify',
+  PAN: 'pan',
+  BANK_ACCOUNT: 'bank-account',
+};
+
 /**
  * Cashfree Verification Provider
  * Handles Aadhaar, PAN, and Bank verification via Cashfree API
@@ -26,6 +34,12 @@ class CashfreeProvider extends BaseVerificationProvider {
     this.environment = config.CASHFREE_ENV || 'sandbox';
     this.testOtp = config.CASHFREE_TEST_OTP || '111000';
 
+    // Circuit breakers stop retries from hammering Cashfree during an outage
+    this.circuitBreakers = {};
+    Object.values(ENDPOINT_FAMILIES).forEach(family => {
+      this.circuitBreakers[family] = this.getCircuitBreaker(family);
+    });
+
     logger.info('✅ CashfreeProvider initialized', {
       environment: this.environment,
       baseUrl: this.baseUrl,
@@ -96,7 +110,7 @@ class CashfreeProvider extends BaseVerificationProvider {
     return await retryWithBackoff(
       async () => {
         try {
-          const response = await axios.post(
+          const response = await this.circuitBreakers[ENDPOINT_FAMILIES.AADHAAR_OTP].execute(() => axios.post(
             `${this.baseUrl}/offline-aadhaar/otp`,
             {
               aadhaar_number: aadhaarNumber
@@ -105,7 +119,7 @@ class CashfreeProvider extends BaseVerificationProvider {
               headers: this.getHeaders(),
               timeout: 30000 // 30 seconds
             }
-          );
+          ));
 
           if (response.data && response.data.ref_id) {
             logger.info('✅ [Cashfree] Aadhaar OTP generated successfully', {
@@ -172,8 +186,9 @@ class CashfreeProvider extends BaseVerificationProvider {
             || error.message 
             || 'Failed to generate OTP';
 
-          // Re-throw with original axios error for proper categorization
-          if (error.response) {
+          // Re-throw original error (HTTP response, network error code or open circuit)
+          // for proper categorization
+          if (error.response || error.code) {
             throw error;
           }
           throw new Error(errorMessage);
@@ -193,6 +208,52 @@ class CashfreeProvider extends BaseVerificationProvider {
     );
   }
 
+  /**
+   * Normalize a Cashfree Aadhaar verification result
+   * Used for both the verify API response and AADHAAR webhooks
+   * @param {object} data - Cashfree verification data
+   * @returns {{success: boolean, status: string, refId: string, verifiedData?: object, maskedAadhaar?: string, message: string}}
+   */
+  parseVerifyResponse(data) {
+    if (data.status !== 'VALID' && data.status !== 'SUCCESS') {
+      return {
+        success: false,
+        status: 'failed',
+        message: data.message || 'Verification failed',
+        refId: data.ref_id
+      };
+    }
+
+    // Always mask Aadhaar number for security compliance
+    // Cashfree may return full aadhaar_number, but we should never store it
+    const aadhaarFromResponse = data.aadhaar_number || data.masked_aadhaar || '';
+    const maskedAadhaarValue = aadhaarFromResponse.length === 12 
+      ? this.maskAadhaar(aadhaarFromResponse) 
+      : (data.masked_aadhaar || 'XXXX XXXX XXXX');
+
+    return {
+      success: true,
+      status: 'verified',
+      refId: data.ref_id,
+      maskedAadhaar: maskedAadhaarValue,
+      verifiedData: {
+        name: data.name,
+        gender: data.gender,
+        yearOfBirth: data.year_of_birth || data.yearOfBirth,
+        address: data.address ? {
+          line1: data.address.line1 || data.address,
+          line2: data.address.line2,
+          city: data.address.city,
+          state: data.address.state,
+          pincode: data.address.pincode || data.address.pinCode
+        } : null,
+        mobileHash: data.mobile_hash || data.mobileHash,
+        photoLink: data.photo_link || data.photoLink
+      },
+      message: data.message || 'Aadhaar Verification Successful'
+    };
+  }
+
   /**
    * Verify Aadhaar OTP
    * @param {string} refId - Reference ID from generateAadhaarOTP
@@ -226,7 +287,7 @@ class CashfreeProvider extends BaseVerificationProvider {
             throw new Error('Invalid ref_id: must be numeric');
           }
           
-          const response = await axios.post(
+          const response = await this.circuitBreakers[ENDPOINT_FAMILIES.AADHAAR_VERIFY].execute(() => axios.post(
             `${this.baseUrl}/offline-aadhaar/verify`,
             {
               ref_id: numericRefId, // Ensure numeric ref_id
@@ -236,58 +297,25 @@ class CashfreeProvider extends BaseVerificationProvider {
               headers: this.getHeaders(),
               timeout: 30000 // 30 seconds
             }
-          );
+          ));
 
           const data = response.data;
+          const result = this.parseVerifyResponse(data);
 
-          if (data.status === 'VALID' || data.status === 'SUCCESS') {
+          if (result.success) {
             logger.info('✅ [Cashfree] Aadhaar OTP verified successfully', {
               refId,
               status: data.status
             });
-
-            // Always mask Aadhaar number for security compliance
-            // Cashfree may return full aadhaar_number, but we should never store it
-            const aadhaarFromResponse = data.aadhaar_number || data.masked_aadhaar || '';
-            const maskedAadhaarValue = aadhaarFromResponse.length === 12 
-              ? this.maskAadhaar(aadhaarFromResponse) 
-              : (data.masked_aadhaar || 'XXXX XXXX XXXX');
-
-            return {
-              success: true,
-              status: 'verified',
-              refId: data.ref_id,
-              maskedAadhaar: maskedAadhaarValue,
-              verifiedData: {
-                name: data.name,
-                gender: data.gender,
-                yearOfBirth: data.year_of_birth || data.yearOfBirth,
-                address: data.address ? {
-                  line1: data.address.line1 || data.address,
-                  line2: data.address.line2,
-                  city: data.address.city,
-                  state: data.address.state,
-                  pincode: data.address.pincode || data.address.pinCode
-                } : null,
-                mobileHash: data.mobile_hash || data.mobileHash,
-                photoLink: data.photo_link || data.photoLink
-              },
-              message: data.message || 'Aadhaar Verification Successful'
-            };
           } else {
             logger.warn('⚠️ [Cashfree] Aadhaar OTP verification failed', {
               refId,
               status: data.status,
               message: data.message
             });
-
-            return {
-              success: false,
-              status: 'failed',
-              message: data.message || 'Verification failed',
-              refId: data.ref_id
-            };
           }
+
+          return result;
         } catch (error) {
           logger.error('❌ [Cashfree] OTP verification error', {
             error: error.message,
@@ -302,8 +330,9 @@ class CashfreeProvider extends BaseVerificationProvider {
             || error.message 
             || 'Failed to verify OTP';
 
-          // Re-throw with original axios error for proper categorization
-          if (error.response) {
+          // Re-throw original error (HTTP response, network error code or open circuit)
+          // for proper categorization
+          if (error.response || error.code) {
             throw error;
           }
           throw new Error(errorMessage);
@@ -342,7 +371,7 @@ class CashfreeProvider extends BaseVerificationProvider {
     return await retryWithBackoff(
       async () => {
         try {
-          const response = await axios.post(
+          const response = await this.circuitBreakers[ENDPOINT_FAMILIES.AADHAAR_OTP].execute(() => axios.post(
             `${this.baseUrl}/offline-aadhaar/otp`,
             {
               ref_id: refId
@@ -351,7 +380,7 @@ class CashfreeProvider extends BaseVerificationProvider {
               headers: this.getHeaders(),
               timeout: 30000
             }
-          );
+          ));
 
           if (response.data && response.data.ref_id) {
             logger.info('✅ [Cashfree] Aadhaar OTP resent successfully', {
@@ -380,8 +409,9 @@ class CashfreeProvider extends BaseVerificationProvider {
             || error.message 
             || 'Failed to resend OTP';
 
-          // Re-throw with original axios error for proper categorization
-          if (error.response) {
+          // Re-throw original error (HTTP response, network error code or open circuit)
+          // for proper categorization
+          if (error.response || error.code) {
             throw error;
           }
           throw new Error(errorMessage);
@@ -451,11 +481,11 @@ class CashfreeProvider extends BaseVerificationProvider {
 
     // Production: Call actual Cashfree API
     try {
-      const response = await axios.post(
+      const response = await this.circuitBreakers[ENDPOINT_FAMILIES.PAN].execute(() => axios.post(
         `${this.baseUrl}/pan/verify`,
         { pan_number: panNumber },
         { headers: this.getHeaders(), timeout: 30000 }
-      );
+      ));
 
       return {
         success: true,
@@ -533,14 +563,14 @@ class CashfreeProvider extends BaseVerificationProvider {
 
     // Production: Call actual Cashfree API
     try {
-      const response = await axios.post(
+      const response = await this.circuitBreakers[ENDPOINT_FAMILIES.BANK_ACCOUNT].execute(() => axios.post(
         `${this.baseUrl}/bank-account/verify`,
         {
           account_number: accountNumber,
           ifsc_code: ifsc
         },
         { headers: this.getHeaders(), timeout: 30000 }
-      );
+      ));
 
       return {
         success: true,
@@ -561,6 +591,63 @@ class CashfreeProvider extends BaseVerificationProvider {
       throw error;
     }
   }
+
+  // =====================================================
+  // WEBHOOKS
+  // =====================================================
+
+  /**
+   * Verify a Cashfree webhook signature
+   * x-webhook-signature = base64(HMAC-SHA256(x-webhook-timestamp + rawBody, secret))
+   * The secret is CASHFREE_WEBHOOK_SECRET, or the client secret if unset
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    const secret = this.config.CASHFREE_WEBHOOK_SECRET || this.clientSecret;
+    const timestamp = headers['x-webhook-timestamp'] || '';
+
+    // The timestamp is signed, so a stale one means a replayed delivery
+    if (!this.isWebhookTimestampFresh(timestamp)) {
+      logger.warn('⚠️ [Cashfree] Webhook timestamp outside the allowed window', { timestamp });
+      return false;
+    }
+
+    return this.verifyHmacSignature(
+      secret,
+      Buffer.concat([Buffer.from(String(timestamp)), rawBody]),
+      headers['x-webhook-signature'],
+      'base64'
+    );
+  }
+
+  /**
+   * Check x-webhook-timestamp (epoch milliseconds, or seconds) is within
+   * CASHFREE_WEBHOOK_TOLERANCE_SEC of now
+   * @param {string} timestamp
+   * @returns {boolean}
+   */
+  isWebhookTimestampFresh(timestamp) {
+    const value = Number(timestamp);
+    if (!timestamp || !Number.isFinite(value)) {
+      return false;
+    }
+
+    const timestampMs = value < 1e12 ? value * 1000 : value;
+    const toleranceMs = Number(this.config.CASHFREE_WEBHOOK_TOLERANCE_SEC ?? 300) * 1000;
+    return Math.abs(Date.now() - timestampMs) <= toleranceMs;
+  }
+
+  /**
+   * Map a Cashfree verification webhook ({ event_type, data: { ref_id, status, ... } })
+   */
+  parseWebhook(payload, headers) {
+    const data = payload.data || payload;
+
+    return {
+      eventId: headers['x-webhook-id'] || payload.event_id,
+      refId: data.ref_id ? String(data.ref_id) : undefined,
+      result: this.parseVerifyResponse(data)
+    };
+  }
 }
 
 module.exports = CashfreeProvider;
@@ -0,0 +1,545 @@
+const BaseVerificationProvider = require('./BaseProvider');
+const axios = require('axios');
+const logger = require('../../config/logger');
+const { retryWithBackoff } = require('../../utils/errorHandler');
+const { getKarzaBaseUrl } = require('../../config/env');
+
+// Endpoint families, each guarded by its own circuit breaker
+const ENDPOINT_FAMILIES = {
+  AADHAAR_OTP: 'aadhaar-xml/otp',
+  AADHAAR_VERIFY: 'aadhaar-xml/file',
+  PAN: 'pan',
+  BANK_ACCOUNT: 'bankacc',
+  FACE: 'face',
+};
+
+// Karza status codes (returned with HTTP 200)
+const KARZA_STATUS = {
+  VALID: 101,
+  INVALID_ID: 102,
+  NO_RECORDS: 103,
+  MAX_RETRIES: 104,
+};
+
+const FACE_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Karza Verification Provider
+ * Handles Aadhaar, PAN, Bank and Face verification via Karza API
+ *
+ * Karza Capabilities:
+ * - ✅ Aadhaar e-KYC (offline XML via OTP)
+ * - ✅ PAN verification
+ * - ✅ Bank account verification (penny drop)
+ * - ✅ Face verification (liveness + matching)
+ *
+ * Returns the same normalized shapes as CashfreeProvider, so routes
+ * don't need to know which provider served the call.
+ *
+ * For offline testing, run the local stand-in (npm run stub:karza) and set
+ * KARZA_BASE_URL=http://localhost:4010
+ *
+ * API Documentation: https://docs.karza.in
+ *
+ * @class KarzaProvider
+ * @extends BaseVerificationProvider
+ */
+class KarzaProvider extends BaseVerificationProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'karza';
+    this.apiKey = config.KARZA_API_KEY;
+    this.apiSecret = config.KARZA_API_SECRET;
+    this.baseURL = getKarzaBaseUrl(config);
+    this.environment = config.KARZA_ENV || 'sandbox';
+    this.testOtp = config.KARZA_TEST_OTP || null;
+
+    this.circuitBreakers = {};
+    Object.values(ENDPOINT_FAMILIES).forEach(family => {
+      this.circuitBreakers[family] = this.getCircuitBreaker(family);
+    });
+
+    logger.info('✅ KarzaProvider initialized', {
+      environment: this.environment,
+      baseURL: this.baseURL,
+      hasApiKey: !!this.apiKey
+    });
+  }
+
+  // =====================================================
+  // CAPABILITY CHECKS
+  // =====================================================
+
+  hasAadhaarSupport() { return true; }
+  hasPANSupport() { return true; }
+  hasBankSupport() { return true; }
+  hasFaceSupport() { return true; } // Karza supports face verification!
+
+  // =====================================================
+  // INTERNAL UTILITIES
+  // =====================================================
+
+  /**
+   * Get request headers for Karza API
+   */
+  getHeaders() {
+    return {
+      'x-karza-key': this.apiKey,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  isSandbox() {
+    return this.environment === 'sandbox';
+  }
+
+  getTestOtp() {
+    return this.isSandbox() ? this.testOtp : null;
+  }
+
+  /**
+   * POST to a Karza endpoint through its circuit breaker, with retries
+   * @param {string} family - Endpoint family (circuit breaker key)
+   * @param {string} path - API path
+   * @param {object} payload - Request body
+   * @param {object} retryOptions - Options for retryWithBackoff
+   * @returns {Promise<object>} Response body
+   */
+  async post(family, path, payload, retryOptions = {}) {
+    return retryWithBackoff(
+      async () => {
+        try {
+          const response = await this.circuitBreakers[family].execute(() => axios.post(
+            `${this.baseURL}${path}`,
+            payload,
+            {
+              headers: this.getHeaders(),
+              timeout: 30000 // 30 seconds
+            }
+          ));
+          return response.data;
+        } catch (error) {
+          logger.error(`❌ [Karza] Request to ${path} failed`, {
+            error: error.message,
+            response: error.response?.data,
+            status: error.response?.status
+          });
+          throw error;
+        }
+      },
+      {
+        maxRetries: 3,
+        initialDelay: 1000,
+        onRetry: (attempt, error, delay) => {
+          logger.warn(`🔄 [Karza] Retrying ${path}`, {
+            attempt,
+            errorCode: error.code,
+            nextDelay: delay
+          });
+        },
+        ...retryOptions
+      }
+    );
+  }
+
+  /**
+   * Extract a message from a Karza response
+   */
+  getMessage(data, fallback) {
+    return data?.result?.message || data?.error || data?.message || fallback;
+  }
+
+  /**
+   * Normalize a 0-100 or 0-1 score to 0-1
+   */
+  normalizeScore(score) {
+    const value = Number(score) || 0;
+    return value > 1 ? value / 100 : value;
+  }
+
+  // =====================================================
+  // AADHAAR VERIFICATION
+  // =====================================================
+
+  /**
+   * Generate OTP for Aadhaar verification
+   * @param {string} aadhaarNumber - 12-digit Aadhaar number
+   * @returns {Promise<{success: boolean, refId?: string, message?: string, status?: string}>}
+   */
+  async generateAadhaarOTP(aadhaarNumber) {
+    if (!/^\d{12}$/.test(aadhaarNumber)) {
+      throw new Error('Invalid Aadhaar number format. Must be 12 digits.');
+    }
+
+    logger.info('🔄 [Karza] Generating Aadhaar OTP', {
+      aadhaarNumber: this.maskAadhaar(aadhaarNumber),
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.AADHAAR_OTP, '/v3/aadhaar-xml/otp', {
+      aadhaarNo: aadhaarNumber,
+      consent: 'Y'
+    });
+
+    if (data.statusCode !== KARZA_STATUS.VALID || !data.requestId) {
+      logger.warn('⚠️ [Karza] Aadhaar OTP generation rejected', {
+        aadhaarNumber: this.maskAadhaar(aadhaarNumber),
+        statusCode: data.statusCode
+      });
+
+      return {
+        success: false,
+        message: this.getMessage(data, 'Invalid Aadhaar number'),
+        status: 'invalid'
+      };
+    }
+
+    logger.info('✅ [Karza] Aadhaar OTP generated successfully', {
+      refId: data.requestId
+    });
+
+    return {
+      success: true,
+      refId: data.requestId,
+      message: this.getMessage(data, 'OTP sent successfully'),
+      status: 'otp_sent'
+    };
+  }
+
+  /**
+   * Verify Aadhaar OTP and fetch e-KYC data
+   * @param {string} refId - Karza requestId from generateAadhaarOTP
+   * @param {string} otp - OTP entered by user
+   * @returns {Promise<{success: boolean, status?: string, verifiedData?: object, maskedAadhaar?: string, message?: string}>}
+   */
+  async verifyAadhaarOTP(refId, otp) {
+    if (!refId || !otp) {
+      throw new Error('refId and otp are required');
+    }
+
+    logger.info('🔄 [Karza] Verifying Aadhaar OTP', {
+      refId,
+      otpLength: otp.length,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.AADHAAR_VERIFY, '/v3/aadhaar-xml/file', {
+      requestId: refId,
+      otp,
+      consent: 'Y'
+    }, {
+      maxRetries: 2, // Fewer retries for OTP verification (user is waiting)
+      initialDelay: 500
+    });
+
+    const result = this.parseVerifyResponse(data, refId);
+
+    if (result.success) {
+      logger.info('✅ [Karza] Aadhaar OTP verified successfully', { refId });
+    } else {
+      logger.warn('⚠️ [Karza] Aadhaar OTP verification failed', {
+        refId,
+        statusCode: data.statusCode
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize a Karza Aadhaar XML result
+   * Used for both the /v3/aadhaar-xml/file response and webhooks
+   * @param {object} data - Karza response body
+   * @param {string} refId - Karza requestId
+   */
+  parseVerifyResponse(data, refId) {
+    if (data.statusCode !== KARZA_STATUS.VALID) {
+      return {
+        success: false,
+        status: 'failed',
+        message: this.getMessage(data, 'Verification failed'),
+        refId
+      };
+    }
+
+    const aadhaarData = data.result?.dataFromAadhaar || {};
+    const address = aadhaarData.address?.splitAddress;
+    const maskedFromResponse = aadhaarData.maskedAadhaarNumber || '';
+
+    return {
+      success: true,
+      status: 'verified',
+      refId,
+      // Never keep more than the last 4 digits
+      maskedAadhaar: maskedFromResponse.length >= 4
+        ? `XXXX XXXX ${maskedFromResponse.slice(-4)}`
+        : 'XXXX XXXX XXXX',
+      verifiedData: {
+        name: aadhaarData.name,
+        gender: aadhaarData.gender,
+        yearOfBirth: aadhaarData.dob ? String(aadhaarData.dob).slice(0, 4) : undefined,
+        address: address ? {
+          line1: [address.houseNumber, address.street].filter(Boolean).join(', '),
+          line2: address.landmark || address.location,
+          city: address.vtcName || address.district,
+          state: address.state,
+          pincode: address.pincode
+        } : null,
+        mobileHash: aadhaarData.mobileHash,
+        photoLink: aadhaarData.image
+      },
+      message: this.getMessage(data, 'Aadhaar Verification Successful')
+    };
+  }
+
+  /**
+   * Resend OTP for Aadhaar verification
+   * @param {string} refId - Karza requestId from generateAadhaarOTP
+   * @returns {Promise<{success: boolean, refId?: string, message?: string}>}
+   */
+  async resendAadhaarOTP(refId) {
+    if (!refId) {
+      throw new Error('refId is required');
+    }
+
+    logger.info('🔄 [Karza] Resending Aadhaar OTP', {
+      refId,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.AADHAAR_OTP, '/v3/aadhaar-xml/resend-otp', {
+      requestId: refId,
+      consent: 'Y'
+    });
+
+    if (data.statusCode !== KARZA_STATUS.VALID) {
+      return {
+        success: false,
+        message: this.getMessage(data, 'Failed to resend OTP')
+      };
+    }
+
+    logger.info('✅ [Karza] Aadhaar OTP resent successfully', { refId });
+
+    return {
+      success: true,
+      refId: data.requestId || refId,
+      message: this.getMessage(data, 'OTP resent successfully')
+    };
+  }
+
+  // =====================================================
+  // PAN VERIFICATION
+  // =====================================================
+
+  /**
+   * Verify PAN card
+   * @param {string} panNumber - PAN number (e.g., ABCDE1234F)
+   * @returns {Promise<{success: boolean, data?: object}>}
+   */
+  async verifyPAN(panNumber) {
+    if (!/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(panNumber)) {
+      throw new Error('Invalid PAN format');
+    }
+
+    logger.info('🔄 [Karza] Verifying PAN', {
+      pan: this.maskPAN(panNumber),
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.PAN, '/v2/pan', {
+      pan: panNumber,
+      consent: 'Y'
+    });
+
+    if (data.statusCode !== KARZA_STATUS.VALID) {
+      return {
+        success: false,
+        message: this.getMessage(data, 'Invalid PAN number'),
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        name: data.result?.name,
+        panNumber,
+        maskedPAN: this.maskPAN(panNumber),
+        status: 'VALID',
+      }
+    };
+  }
+
+  // =====================================================
+  // BANK VERIFICATION
+  // =====================================================
+
+  /**
+   * Verify bank account (penny drop)
+   * @param {string} accountNumber - Bank account number
+   * @param {string} ifsc - IFSC code
+   * @param {string} accountHolderName - Account holder name (optional, for name matching)
+   * @returns {Promise<{success: boolean, data?: object}>}
+   */
+  async verifyBankAccount(accountNumber, ifsc, accountHolderName) {
+    logger.info('🔄 [Karza] Verifying Bank Account', {
+      account: this.maskBankAccount(accountNumber),
+      ifsc,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.BANK_ACCOUNT, '/v2/bankacc', {
+      accountNumber,
+      ifsc,
+      consent: 'Y'
+    });
+
+    if (data.statusCode !== KARZA_STATUS.VALID || !data.result?.bankTxnStatus) {
+      return {
+        success: false,
+        message: this.getMessage(data, 'Invalid bank account or IFSC'),
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        accountHolderName: data.result.accountName,
+        accountNumber,
+        maskedBankAccount: this.maskBankAccount(accountNumber),
+        ifsc,
+        bankName: data.result.bankName,
+        branch: data.result.branch,
+        status: 'VALID',
+      }
+    };
+  }
+
+  // =====================================================
+  // FACE VERIFICATION
+  // =====================================================
+
+  /**
+   * Verify face match between two images
+   * @param {string} selfieImageBase64 - User's selfie (base64)
+   * @param {string} documentImageBase64 - ID document photo (base64)
+   * @returns {Promise<{success: boolean, data: object, message: string}>}
+   */
+  async verifyFaceMatch(selfieImageBase64, documentImageBase64) {
+    logger.info('🔄 [Karza] Performing face match', { environment: this.environment });
+
+    const data = await this.post(ENDPOINT_FAMILIES.FACE, '/v3/facesimilarity', {
+      image1B64: selfieImageBase64,
+      image2B64: documentImageBase64
+    });
+
+    return this.normalizeFaceMatch(data);
+  }
+
+  /**
+   * Normalize a Karza face similarity response
+   */
+  normalizeFaceMatch(data) {
+    if (data.statusCode !== KARZA_STATUS.VALID) {
+      return {
+        success: false,
+        data: { matchScore: 0, threshold: FACE_MATCH_THRESHOLD, confidence: 'LOW' },
+        message: this.getMessage(data, 'Face match failed')
+      };
+    }
+
+    const matchScore = this.normalizeScore(data.result?.matchScore);
+    const isMatch = matchScore >= FACE_MATCH_THRESHOLD;
+
+    return {
+      success: isMatch,
+      data: {
+        matchScore,
+        threshold: FACE_MATCH_THRESHOLD,
+        confidence: matchScore > 0.9 ? 'HIGH' : matchScore > 0.8 ? 'MEDIUM' : 'LOW'
+      },
+      message: isMatch ? 'Face matched successfully' : 'Face does not match'
+    };
+  }
+
+  /**
+   * Verify liveness (user is a real person, not a photo/video)
+   * @param {string} videoBase64 - Image or video frame (base64)
+   * @returns {Promise<{success: boolean, data: {isLive: boolean, confidence: number}, message: string}>}
+   */
+  async verifyLiveness(videoBase64) {
+    logger.info('🔄 [Karza] Performing liveness check', { environment: this.environment });
+
+    const data = await this.post(ENDPOINT_FAMILIES.FACE, '/v3/liveness', {
+      image: videoBase64
+    });
+
+    const isLive = data.statusCode === KARZA_STATUS.VALID && data.result?.isLive === true;
+    const confidence = this.normalizeScore(data.result?.score);
+
+    return {
+      success: isLive,
+      data: { isLive, confidence },
+      message: isLive
+        ? 'Liveness verified successfully'
+        : this.getMessage(data, 'Real face not detected (possible spoof)')
+    };
+  }
+
+  /**
+   * Verify face matches Aadhaar photo
+   * Karza compares the selfie with the photo from the Aadhaar XML of the given request
+   * @param {string} selfieImageBase64 - User's selfie
+   * @param {string} aadhaarRefId - Karza requestId from the Aadhaar verification
+   * @returns {Promise<{success: boolean, data: object, message: string}>}
+   */
+  async verifyFaceWithAadhaar(selfieImageBase64, aadhaarRefId) {
+    if (!aadhaarRefId) {
+      throw new Error('aadhaarRefId is required');
+    }
+
+    logger.info('🔄 [Karza] Performing face match with Aadhaar photo', {
+      refId: aadhaarRefId,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.FACE, '/v3/aadhaar-xml/face-match', {
+      requestId: aadhaarRefId,
+      image: selfieImageBase64,
+      consent: 'Y'
+    });
+
+    return this.normalizeFaceMatch(data);
+  }
+
+  // =====================================================
+  // WEBHOOKS
+  // =====================================================
+
+  /**
+   * Verify a Karza webhook signature
+   * x-karza-signature = hex(HMAC-SHA256(rawBody, KARZA_WEBHOOK_SECRET))
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    return this.verifyHmacSignature(
+      this.config.KARZA_WEBHOOK_SECRET,
+      rawBody,
+      headers['x-karza-signature']
+    );
+  }
+
+  /**
+   * Map a Karza Aadhaar XML webhook ({ eventId, requestId, statusCode, result })
+   */
+  parseWebhook(payload, headers) {
+    return {
+      eventId: payload.eventId,
+      refId: payload.requestId,
+      result: this.parseVerifyResponse(payload, payload.requestId)
+    };
+  }
+}
+
+module.exports = KarzaProvider;
@@ -1,20 +1,80 @@
 const BaseVerificationProvider = require('./BaseProvider');
+const fs = require('fs');
+const path = require('path');
 const logger = require('../../config/logger');
+const { categorizeError } = require('../../utils/errorHandler');
+
+const DEFAULT_SCENARIOS_FILE = path.join(__dirname, '../../stubs/mockScenarios.json');
+
+// Argument names per provider method, used to match a scenario's "when" conditions
+const METHOD_ARGS = {
+  generateAadhaarOTP: ['aadhaarNumber'],
+  verifyAadhaarOTP: ['refId', 'otp'],
+  resendAadhaarOTP: ['refId'],
+  verifyPAN: ['panNumber'],
+  verifyBankAccount: ['accountNumber', 'ifsc', 'accountHolderName'],
+  verifyFaceMatch: ['selfieImage', 'documentImage'],
+  verifyLiveness: ['videoData'],
+  verifyFaceWithAadhaar: ['selfieImage', 'refId'],
+};
+
+/**
+ * Load scenario fixtures from a JSON file
+ * Format: { "scenarios": [{ name, method, when: { <arg>: <value> }, delayMs?, result? | error? }] }
+ *
+ * @param {string} filePath - Path to the scenarios file
+ * @returns {Array<object>} Scenarios
+ */
+function loadScenarios(filePath) {
+  if (!fs.existsSync(filePath)) {
+    logger.warn(`⚠️ [MOCK] Scenarios file not found: ${filePath}, using built-in test data only`);
+    return [];
+  }
+
+  const { scenarios } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(scenarios)) {
+    throw new Error(`Invalid mock scenarios file ${filePath}: "scenarios" must be an array`);
+  }
+
+  scenarios.forEach(scenario => {
+    if (!METHOD_ARGS[scenario.method]) {
+      throw new Error(`Invalid mock scenario "${scenario.name}": unknown method ${scenario.method}`);
+    }
+  });
+
+  return scenarios;
+}
 
 /**
  * Mock Verification Provider for Testing
  * Returns fake data without calling any external APIs
- * 
+ *
  * Use this provider during development/testing to avoid API rate limits
  * and costs. Set VERIFICATION_PROVIDER=mock in .env
+ *
+ * Responses can be scripted with scenario fixtures (MOCK_SCENARIOS_FILE,
+ * default stubs/mockScenarios.json): invalid Aadhaar, OTP expiry,
+ * provider 5xx/timeouts and slow responses. Inputs that match no scenario
+ * fall back to the built-in test data below.
  */
 class MockProvider extends BaseVerificationProvider {
   constructor(config) {
     super(config);
     this.providerName = 'mock';
     this.testOtp = '111000'; // Standard test OTP
-
-    logger.info('✅ MockProvider initialized (NO REAL API CALLS)');
+    this.latencyMs = config.MOCK_LATENCY_MS !== undefined ? Number(config.MOCK_LATENCY_MS) : 500;
+    this.scenariosFile = config.MOCK_SCENARIOS_FILE
+      ? path.resolve(config.MOCK_SCENARIOS_FILE)
+      : DEFAULT_SCENARIOS_FILE;
+    this.scenarios = loadScenarios(this.scenariosFile);
+
+    // refId -> Aadhaar number, so verify/resend scenarios can match on the Aadhaar number
+    this.refIds = new Map();
+
+    logger.info('✅ MockProvider initialized (NO REAL API CALLS)', {
+      scenarios: this.scenarios.length,
+      scenariosFile: this.scenariosFile
+    });
   }
 
   // =====================================================
@@ -26,6 +86,66 @@ class MockProvider extends BaseVerificationProvider {
   hasBankSupport() { return true; }
   hasFaceSupport() { return true; }
 
+  // =====================================================
+  // SCENARIOS
+  // =====================================================
+
+  /**
+   * Find the first scenario matching a method call
+   * @param {string} method - Provider method name
+   * @param {Array} args - Method arguments
+   * @returns {object|null} Matching scenario
+   */
+  findScenario(method, args) {
+    const params = {};
+    METHOD_ARGS[method].forEach((name, index) => {
+      params[name] = args[index];
+    });
+    if (params.refId && this.refIds.has(params.refId)) {
+      params.aadhaarNumber = this.refIds.get(params.refId);
+    }
+
+    return this.scenarios.find(scenario =>
+      scenario.method === method &&
+      Object.entries(scenario.when || {}).every(([name, value]) => String(params[name]) === String(value))
+    ) || null;
+  }
+
+  /**
+   * Simulate provider latency and apply a matching scenario
+   * Scenario errors are thrown as categorized APIErrors (5xx → SERVICE_UNAVAILABLE,
+   * ECONNABORTED → TIMEOUT_ERROR) so they behave like real provider failures
+   *
+   * @param {string} method - Provider method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<object|null>} Scripted result, or null to use the built-in behaviour
+   */
+  async simulate(method, args) {
+    const scenario = this.findScenario(method, args);
+    const delayMs = scenario && scenario.delayMs !== undefined ? scenario.delayMs : this.latencyMs;
+
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+
+    if (!scenario) {
+      return null;
+    }
+
+    logger.info(`🎭 [MOCK] Applying scenario: ${scenario.name}`, { method, delayMs });
+
+    if (scenario.error) {
+      const { status, code, message } = scenario.error;
+      throw categorizeError({
+        message: message || 'Mock provider error',
+        code,
+        response: status ? { status, data: { message } } : undefined
+      });
+    }
+
+    return scenario.result ? { ...scenario.result } : null;
+  }
+
   // =====================================================
   // AADHAAR VERIFICATION (MOCK)
   // =====================================================
@@ -44,11 +164,12 @@ class MockProvider extends BaseVerificationProvider {
       aadhaarNumber: this.maskAadhaar(aadhaarNumber)
     });
 
-    // Simulate some processing time
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const scripted = await this.simulate('generateAadhaarOTP', [aadhaarNumber]);
+    if (scripted) {
+      return scripted;
+    }
 
     // Check test Aadhaar numbers from Cashfree docs
-    const validTestNumbers = ['655675523712', '655675523711'];
     const invalidTestNumbers = ['655675523710', '655675523709'];
 
     if (invalidTestNumbers.includes(aadhaarNumber)) {
@@ -62,6 +183,7 @@ class MockProvider extends BaseVerificationProvider {
 
     // Generate a fake refId
     const refId = `MOCK_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    this.refIds.set(refId, aadhaarNumber);
 
     logger.info('✅ [MOCK] OTP generated successfully', {
       refId,
@@ -84,24 +206,34 @@ class MockProvider extends BaseVerificationProvider {
   async verifyAadhaarOTP(refId, otp) {
     logger.info('🎭 [MOCK] Verifying Aadhaar OTP', { refId, otp: '***' });
 
-    // Simulate some processing time
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const scripted = await this.simulate('verifyAadhaarOTP', [refId, otp]);
+    if (scripted) {
+      return { refId, ...scripted };
+    }
 
     // Check if OTP is correct
-    if (otp === this.testOtp || otp === '111000') {
+    if (otp === this.testOtp) {
       logger.info('✅ [MOCK] OTP verification successful');
-      
+
+      const aadhaarNumber = this.refIds.get(refId);
       return {
         success: true,
-        message: 'Aadhaar verified successfully',
         status: 'verified',
+        refId,
+        maskedAadhaar: aadhaarNumber ? this.maskAadhaar(aadhaarNumber) : 'XXXX XXXX 3712',
         verifiedData: {
           name: 'John Doe',
-          dob: '1990-01-01',
           gender: 'M',
-          address: 'Test Address, Test City, Test State - 123456',
-          maskedAadhaar: 'XXXX XXXX 3712'
-        }
+          yearOfBirth: '1990',
+          address: {
+            line1: 'Test Address',
+            line2: '',
+            city: 'Test City',
+            state: 'Test State',
+            pincode: '123456'
+          }
+        },
+        message: 'Aadhaar verified successfully'
       };
     }
 
@@ -111,7 +243,8 @@ class MockProvider extends BaseVerificationProvider {
       return {
         success: false,
         message: 'Invalid OTP',
-        status: 'invalid_otp'
+        status: 'failed',
+        refId
       };
     }
 
@@ -120,7 +253,8 @@ class MockProvider extends BaseVerificationProvider {
       return {
         success: false,
         message: 'Verification failed',
-        status: 'failed'
+        status: 'failed',
+        refId
       };
     }
 
@@ -129,7 +263,8 @@ class MockProvider extends BaseVerificationProvider {
     return {
       success: false,
       message: 'Incorrect OTP. Please try again.',
-      status: 'invalid_otp'
+      status: 'failed',
+      refId
     };
   }
 
@@ -140,8 +275,10 @@ class MockProvider extends BaseVerificationProvider {
   async resendAadhaarOTP(refId) {
     logger.info('🎭 [MOCK] Resending Aadhaar OTP', { refId });
 
-    // Simulate some processing time
-    await new Promise(resolve => setTimeout(resolve, 500));
+    const scripted = await this.simulate('resendAadhaarOTP', [refId]);
+    if (scripted) {
+      return { refId, ...scripted };
+    }
 
     logger.info('✅ [MOCK] OTP resent successfully', {
       testOtp: this.testOtp
@@ -149,6 +286,7 @@ class MockProvider extends BaseVerificationProvider {
 
     return {
       success: true,
+      refId,
       message: 'OTP resent successfully',
       status: 'otp_sent',
       mockNote: `Use test OTP: ${this.testOtp}`
@@ -161,19 +299,23 @@ class MockProvider extends BaseVerificationProvider {
 
   async verifyPAN(panNumber) {
     logger.info('🎭 [MOCK] Verifying PAN', { pan: this.maskPAN(panNumber) });
-    
-    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const scripted = await this.simulate('verifyPAN', [panNumber]);
+    if (scripted) {
+      return scripted;
+    }
 
     // Valid test PANs from Cashfree docs
     const validPANs = ['ABCPV1234D', 'XYZP4321W', 'AZJPG7110R', 'ABCCD8000T', 'XYZH2000L', 'AAAHU4383C', 'AMJCL2021N'];
-    
+
     if (validPANs.includes(panNumber.toUpperCase())) {
       return {
         success: true,
         message: 'PAN verified successfully',
         data: {
-          panNumber: this.maskPAN(panNumber),
           name: 'John Doe',
+          panNumber: panNumber.toUpperCase(),
+          maskedPAN: this.maskPAN(panNumber.toUpperCase()),
           status: 'VALID'
         }
       };
@@ -181,7 +323,8 @@ class MockProvider extends BaseVerificationProvider {
 
     return {
       success: false,
-      message: 'Invalid PAN number'
+      message: 'Invalid PAN number',
+      data: null
     };
   }
 
@@ -189,13 +332,16 @@ class MockProvider extends BaseVerificationProvider {
   // BANK VERIFICATION (MOCK)
   // =====================================================
 
-  async verifyBankAccount(accountNumber, ifsc) {
+  async verifyBankAccount(accountNumber, ifsc, accountHolderName) {
     logger.info('🎭 [MOCK] Verifying Bank Account', {
       account: this.maskBankAccount(accountNumber),
       ifsc
     });
-    
-    await new Promise(resolve => setTimeout(resolve, 500));
+
+    const scripted = await this.simulate('verifyBankAccount', [accountNumber, ifsc, accountHolderName]);
+    if (scripted) {
+      return scripted;
+    }
 
     // Valid test accounts from Cashfree docs
     const validAccounts = {
@@ -209,17 +355,81 @@ class MockProvider extends BaseVerificationProvider {
         success: true,
         message: 'Bank account verified successfully',
         data: {
-          accountNumber: this.maskBankAccount(accountNumber),
+          accountHolderName: 'JOHN DOE',
+          accountNumber,
+          maskedBankAccount: this.maskBankAccount(accountNumber),
           ifsc,
-          nameAtBank: 'JOHN DOE',
-          accountExists: true
+          bankName: 'Test Bank',
+          branch: 'Test Branch',
+          status: 'VALID'
         }
       };
     }
 
     return {
       success: false,
-      message: 'Invalid account or IFSC'
+      message: 'Invalid account or IFSC',
+      data: null
+    };
+  }
+
+  // =====================================================
+  // FACE VERIFICATION (MOCK)
+  // =====================================================
+
+  async verifyFaceMatch(selfieImageBase64, documentImageBase64) {
+    const scripted = await this.simulate('verifyFaceMatch', [selfieImageBase64, documentImageBase64]);
+    return scripted || super.verifyFaceMatch(selfieImageBase64, documentImageBase64);
+  }
+
+  async verifyLiveness(videoBase64) {
+    const scripted = await this.simulate('verifyLiveness', [videoBase64]);
+    return scripted || super.verifyLiveness(videoBase64);
+  }
+
+  async verifyFaceWithAadhaar(selfieImageBase64, aadhaarRefId) {
+    const scripted = await this.simulate('verifyFaceWithAadhaar', [selfieImageBase64, aadhaarRefId]);
+    return scripted || super.verifyFaceMatch(selfieImageBase64, aadhaarRefId);
+  }
+
+  // =====================================================
+  // WEBHOOKS (MOCK)
+  // =====================================================
+
+  /**
+   * x-mock-signature = hex(HMAC-SHA256(rawBody, MOCK_WEBHOOK_SECRET))
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    return this.verifyHmacSignature(
+      this.config.MOCK_WEBHOOK_SECRET || 'mock-webhook-secret',
+      rawBody,
+      headers['x-mock-signature']
+    );
+  }
+
+  /**
+   * Map a mock webhook ({ eventId, refId, status: 'verified' | 'failed', message })
+   */
+  parseWebhook(payload, headers) {
+    const verified = payload.status === 'verified';
+    const aadhaarNumber = this.refIds.get(payload.refId);
+
+    return {
+      eventId: payload.eventId,
+      refId: payload.refId,
+      result: verified ? {
+        success: true,
+        status: 'verified',
+        refId: payload.refId,
+        maskedAadhaar: aadhaarNumber ? this.maskAadhaar(aadhaarNumber) : 'XXXX XXXX 3712',
+        verifiedData: payload.verifiedData || { name: 'John Doe', gender: 'M', yearOfBirth: '1990' },
+        message: payload.message || 'Aadhaar verified successfully'
+      } : {
+        success: false,
+        status: 'failed',
+        refId: payload.refId,
+        message: payload.message || 'Verification failed'
+      }
     };
   }
 
@@ -237,4 +447,3 @@ class MockProvider extends BaseVerificationProvider {
 }
 
 module.exports = MockProvider;
-
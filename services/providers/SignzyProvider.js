@@ -0,0 +1,603 @@
+const BaseVerificationProvider = require('./BaseProvider');
+const axios = require('axios');
+const logger = require('../../config/logger');
+const { retryWithBackoff } = require('../../utils/errorHandler');
+const { getSignzyBaseUrl } = require('../../config/env');
+
+// Endpoint families, each guarded by its own circuit breaker
+const ENDPOINT_FAMILIES = {
+  LOGIN: 'patrons/login',
+  AADHAAR_OTP: 'aadhaar/otp',
+  AADHAAR_VERIFY: 'aadhaar/verify',
+  PAN: 'pan',
+  BANK_ACCOUNT: 'bank',
+  FACE: 'faces',
+};
+
+const FACE_MATCH_THRESHOLD = 0.8; // Signzy recommends 80% confidence
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+const TOKEN_EXPIRY_SKEW_MS = 60 * 1000; // Refresh a minute before expiry
+
+/**
+ * Signzy Verification Provider
+ * Handles Aadhaar, PAN, Bank, Face match and Liveness via Signzy API
+ *
+ * Signzy Capabilities:
+ * - ✅ Aadhaar e-KYC (OTP based)
+ * - ✅ PAN verification
+ * - ✅ Bank account verification
+ * - ✅ Face verification (liveness + matching)
+ *
+ * Authentication: patron login (API key + secret) returns an access token,
+ * which is cached until shortly before its TTL and refreshed on 401.
+ *
+ * API Documentation: https://docs.signzy.com
+ *
+ * @class SignzyProvider
+ * @extends BaseVerificationProvider
+ */
+class SignzyProvider extends BaseVerificationProvider {
+  constructor(config) {
+    super(config);
+    this.providerName = 'signzy';
+    this.apiKey = config.SIGNZY_API_KEY;
+    this.apiSecret = config.SIGNZY_API_SECRET;
+    this.baseURL = getSignzyBaseUrl(config);
+    this.environment = config.SIGNZY_ENV || 'sandbox';
+    this.testOtp = config.SIGNZY_TEST_OTP || null;
+
+    // Token cache
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenPromise = null; // In-flight login, shared by concurrent callers
+
+    this.circuitBreakers = {};
+    Object.values(ENDPOINT_FAMILIES).forEach(family => {
+      this.circuitBreakers[family] = this.getCircuitBreaker(family);
+    });
+
+    logger.info('✅ SignzyProvider initialized', {
+      environment: this.environment,
+      baseURL: this.baseURL,
+      hasApiKey: !!this.apiKey,
+      hasApiSecret: !!this.apiSecret
+    });
+  }
+
+  // =====================================================
+  // CAPABILITY CHECKS
+  // =====================================================
+
+  hasAadhaarSupport() { return true; }
+  hasPANSupport() { return true; }
+  hasBankSupport() { return true; }
+  hasFaceSupport() { return true; } // Signzy supports face verification!
+
+  isSandbox() {
+    return this.environment === 'sandbox';
+  }
+
+  getTestOtp() {
+    return this.isSandbox() ? this.testOtp : null;
+  }
+
+  // =====================================================
+  // AUTHENTICATION (patron login)
+  // =====================================================
+
+  /**
+   * Get access token, logging in if there's no valid cached token
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenPromise) {
+      this.tokenPromise = this.login().finally(() => {
+        this.tokenPromise = null;
+      });
+    }
+    return this.tokenPromise;
+  }
+
+  /**
+   * Log in to Signzy and cache the access token
+   * @returns {Promise<string>} Access token
+   */
+  async login() {
+    logger.info('🔐 [Signzy] Acquiring access token');
+
+    const response = await this.circuitBreakers[ENDPOINT_FAMILIES.LOGIN].execute(() => axios.post(
+      `${this.baseURL}/api/v2/patrons/login`,
+      {
+        username: this.apiKey,
+        password: this.apiSecret
+      },
+      {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 15000
+      }
+    ));
+
+    const token = response.data?.id;
+    if (!token) {
+      throw new Error('Invalid login response from Signzy API');
+    }
+
+    const ttlMs = (Number(response.data.ttl) || DEFAULT_TOKEN_TTL_SECONDS) * 1000;
+    this.accessToken = token;
+    this.tokenExpiresAt = Date.now() + Math.max(0, ttlMs - TOKEN_EXPIRY_SKEW_MS);
+
+    logger.info('✅ [Signzy] Access token acquired', {
+      expiresAt: new Date(this.tokenExpiresAt).toISOString()
+    });
+
+    return token;
+  }
+
+  /**
+   * Drop the cached token (e.g. after a 401)
+   */
+  invalidateToken() {
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  // =====================================================
+  // INTERNAL UTILITIES
+  // =====================================================
+
+  /**
+   * POST to a Signzy endpoint through its circuit breaker, with retries
+   * A 401 invalidates the cached token and the call is retried once with a new one
+   * @param {string} family - Endpoint family (circuit breaker key)
+   * @param {string} path - API path
+   * @param {object} payload - Request body
+   * @param {object} retryOptions - Options for retryWithBackoff
+   * @returns {Promise<object>} Response body
+   */
+  async post(family, path, payload, retryOptions = {}) {
+    const send = async () => {
+      const token = await this.getAccessToken();
+      return this.circuitBreakers[family].execute(() => axios.post(
+        `${this.baseURL}${path}`,
+        payload,
+        {
+          headers: {
+            'Authorization': token,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000 // 30 seconds
+        }
+      ));
+    };
+
+    return retryWithBackoff(
+      async () => {
+        try {
+          let response;
+          try {
+            response = await send();
+          } catch (error) {
+            if (error.response?.status !== 401) {
+              throw error;
+            }
+            logger.warn('⚠️ [Signzy] Access token rejected, re-authenticating');
+            this.invalidateToken();
+            response = await send();
+          }
+          return response.data;
+        } catch (error) {
+          logger.error(`❌ [Signzy] Request to ${path} failed`, {
+            error: error.message,
+            response: error.response?.data,
+            status: error.response?.status
+          });
+          throw error;
+        }
+      },
+      {
+        maxRetries: 3,
+        initialDelay: 1000,
+        onRetry: (attempt, error, delay) => {
+          logger.warn(`🔄 [Signzy] Retrying ${path}`, {
+            attempt,
+            errorCode: error.code,
+            nextDelay: delay
+          });
+        },
+        ...retryOptions
+      }
+    );
+  }
+
+  /**
+   * Extract a message from a Signzy response
+   */
+  getMessage(data, fallback) {
+    return data?.result?.message || data?.error?.message || data?.message || fallback;
+  }
+
+  /**
+   * Normalize a 0-100 or 0-1 score to 0-1
+   */
+  normalizeScore(score) {
+    const value = Number(score) || 0;
+    return value > 1 ? value / 100 : value;
+  }
+
+  /**
+   * Normalize a Signzy face comparison response
+   */
+  normalizeFaceMatch(data, matchedMessage, unmatchedMessage) {
+    const matchScore = this.normalizeScore(data.result?.confidence);
+    const isMatch = matchScore >= FACE_MATCH_THRESHOLD;
+
+    return {
+      success: isMatch,
+      data: {
+        matchScore,
+        threshold: FACE_MATCH_THRESHOLD,
+        confidence: matchScore > 0.9 ? 'HIGH' : matchScore > 0.8 ? 'MEDIUM' : 'LOW'
+      },
+      message: isMatch ? matchedMessage : unmatchedMessage
+    };
+  }
+
+  // =====================================================
+  // AADHAAR VERIFICATION
+  // =====================================================
+
+  /**
+   * Generate OTP for Aadhaar verification
+   * @param {string} aadhaarNumber - 12-digit Aadhaar number
+   * @returns {Promise<{success: boolean, refId?: string, message?: string, status?: string}>}
+   */
+  async generateAadhaarOTP(aadhaarNumber) {
+    if (!/^\d{12}$/.test(aadhaarNumber)) {
+      throw new Error('Invalid Aadhaar number format. Must be 12 digits.');
+    }
+
+    logger.info('🔄 [Signzy] Generating Aadhaar OTP', {
+      aadhaarNumber: this.maskAadhaar(aadhaarNumber),
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.AADHAAR_OTP, '/api/v3/aadhaar/otp', {
+      aadhaarNumber,
+      consent: true
+    });
+
+    const result = data.result || {};
+    if (!result.otpSent || !result.requestId) {
+      return {
+        success: false,
+        message: this.getMessage(data, 'Invalid Aadhaar number'),
+        status: 'invalid'
+      };
+    }
+
+    logger.info('✅ [Signzy] Aadhaar OTP generated successfully', {
+      refId: result.requestId
+    });
+
+    return {
+      success: true,
+      refId: result.requestId,
+      message: this.getMessage(data, 'OTP sent successfully'),
+      status: 'otp_sent'
+    };
+  }
+
+  /**
+   * Verify Aadhaar OTP
+   * @param {string} refId - Signzy requestId from generateAadhaarOTP
+   * @param {string} otp - OTP entered by user
+   * @returns {Promise<{success: boolean, status?: string, verifiedData?: object, maskedAadhaar?: string, message?: string}>}
+   */
+  async verifyAadhaarOTP(refId, otp) {
+    if (!refId || !otp) {
+      throw new Error('refId and otp are required');
+    }
+
+    logger.info('🔄 [Signzy] Verifying Aadhaar OTP', {
+      refId,
+      otpLength: otp.length,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.AADHAAR_VERIFY, '/api/v3/aadhaar/verify', {
+      requestId: refId,
+      otp
+    }, {
+      maxRetries: 2, // Fewer retries for OTP verification (user is waiting)
+      initialDelay: 500
+    });
+
+    const result = this.parseVerifyResponse(data, refId);
+
+    if (result.success) {
+      logger.info('✅ [Signzy] Aadhaar OTP verified successfully', { refId });
+    } else {
+      logger.warn('⚠️ [Signzy] Aadhaar OTP verification failed', { refId });
+    }
+
+    return result;
+  }
+
+  /**
+   * Normalize a Signzy Aadhaar verification result
+   * Used for both the /api/v3/aadhaar/verify response and webhooks
+   * @param {object} data - Signzy response body
+   * @param {string} refId - Signzy requestId
+   */
+  parseVerifyResponse(data, refId) {
+    const result = data.result || {};
+    if (!result.verified) {
+      return {
+        success: false,
+        status: 'failed',
+        message: this.getMessage(data, 'Verification failed'),
+        refId
+      };
+    }
+
+    const address = result.address;
+    const maskedFromResponse = result.maskedAadhaar || '';
+
+    return {
+      success: true,
+      status: 'verified',
+      refId,
+      // Never keep more than the last 4 digits
+      maskedAadhaar: maskedFromResponse.length >= 4
+        ? `XXXX XXXX ${maskedFromResponse.slice(-4)}`
+        : 'XXXX XXXX XXXX',
+      verifiedData: {
+        name: result.name,
+        gender: result.gender,
+        yearOfBirth: result.dob ? String(result.dob).slice(-4) : undefined, // DD/MM/YYYY
+        address: address ? {
+          line1: [address.house, address.street].filter(Boolean).join(', '),
+          line2: address.landmark || address.locality,
+          city: address.vtc || address.dist,
+          state: address.state,
+          pincode: address.pc
+        } : null,
+        mobileHash: result.mobileHash,
+        photoLink: result.photo
+      },
+      message: this.getMessage(data, 'Aadhaar Verification Successful')
+    };
+  }
+
+  /**
+   * Resend OTP for Aadhaar verification
+   * @param {string} refId - Signzy requestId from generateAadhaarOTP
+   * @returns {Promise<{success: boolean, refId?: string, message?: string}>}
+   */
+  async resendAadhaarOTP(refId) {
+    if (!refId) {
+      throw new Error('refId is required');
+    }
+
+    logger.info('🔄 [Signzy] Resending Aadhaar OTP', {
+      refId,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.AADHAAR_OTP, '/api/v3/aadhaar/resend-otp', {
+      requestId: refId
+    });
+
+    const result = data.result || {};
+    if (!result.otpSent) {
+      return {
+        success: false,
+        message: this.getMessage(data, 'Failed to resend OTP')
+      };
+    }
+
+    logger.info('✅ [Signzy] Aadhaar OTP resent successfully', { refId });
+
+    return {
+      success: true,
+      refId: result.requestId || refId,
+      message: this.getMessage(data, 'OTP resent successfully')
+    };
+  }
+
+  // =====================================================
+  // PAN VERIFICATION
+  // =====================================================
+
+  /**
+   * Verify PAN card
+   * @param {string} panNumber - PAN number (e.g., ABCDE1234F)
+   * @returns {Promise<{success: boolean, data?: object}>}
+   */
+  async verifyPAN(panNumber) {
+    if (!/^[A-Z]{5}[0-9]{4}[A-Z]{1}$/.test(panNumber)) {
+      throw new Error('Invalid PAN format');
+    }
+
+    logger.info('🔄 [Signzy] Verifying PAN', {
+      pan: this.maskPAN(panNumber),
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.PAN, '/api/v3/pan/verify', {
+      panNumber
+    });
+
+    const result = data.result || {};
+    if (!result.isValid) {
+      return {
+        success: false,
+        message: this.getMessage(data, 'Invalid PAN number'),
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        name: result.name,
+        panNumber,
+        maskedPAN: this.maskPAN(panNumber),
+        status: 'VALID',
+      }
+    };
+  }
+
+  // =====================================================
+  // BANK VERIFICATION
+  // =====================================================
+
+  /**
+   * Verify bank account
+   * @param {string} accountNumber - Bank account number
+   * @param {string} ifsc - IFSC code
+   * @param {string} accountHolderName - Account holder name (optional, for name matching)
+   * @returns {Promise<{success: boolean, data?: object}>}
+   */
+  async verifyBankAccount(accountNumber, ifsc, accountHolderName) {
+    logger.info('🔄 [Signzy] Verifying Bank Account', {
+      account: this.maskBankAccount(accountNumber),
+      ifsc,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.BANK_ACCOUNT, '/api/v3/bank/verify', {
+      beneficiaryAccount: accountNumber,
+      beneficiaryIFSC: ifsc,
+      beneficiaryName: accountHolderName
+    });
+
+    const result = data.result || {};
+    if (result.active !== 'yes') {
+      return {
+        success: false,
+        message: this.getMessage(data, result.reason || 'Invalid bank account or IFSC'),
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        accountHolderName: result.beneficiaryName,
+        accountNumber,
+        maskedBankAccount: this.maskBankAccount(accountNumber),
+        ifsc,
+        bankName: result.bankName,
+        branch: result.branch,
+        status: 'VALID',
+      }
+    };
+  }
+
+  // =====================================================
+  // FACE VERIFICATION (Signzy's specialty!)
+  // =====================================================
+
+  /**
+   * Verify face match between two images
+   * @param {string} selfieImageBase64 - User's selfie (base64)
+   * @param {string} documentImageBase64 - ID document photo (base64)
+   * @returns {Promise<{success: boolean, data: object, message: string}>}
+   */
+  async verifyFaceMatch(selfieImageBase64, documentImageBase64) {
+    logger.info('🔄 [Signzy] Performing face match', { environment: this.environment });
+
+    const data = await this.post(ENDPOINT_FAMILIES.FACE, '/api/v3/faces/compare', {
+      image1: selfieImageBase64,
+      image2: documentImageBase64
+    });
+
+    return this.normalizeFaceMatch(data, 'Face matched successfully', 'Face does not match');
+  }
+
+  /**
+   * Verify liveness (user is a real person, not a photo/video)
+   * @param {string} videoBase64 - Image or video frame (base64)
+   * @returns {Promise<{success: boolean, data: {isLive: boolean, confidence: number}, message: string}>}
+   */
+  async verifyLiveness(videoBase64) {
+    logger.info('🔄 [Signzy] Performing liveness check', { environment: this.environment });
+
+    const data = await this.post(ENDPOINT_FAMILIES.FACE, '/api/v3/faces/liveness', {
+      image: videoBase64
+    });
+
+    const result = data.result || {};
+    const isLive = result.isLive === true;
+
+    return {
+      success: isLive,
+      data: {
+        isLive,
+        confidence: this.normalizeScore(result.confidence)
+      },
+      message: isLive
+        ? 'Liveness verified successfully'
+        : this.getMessage(data, 'Real face not detected (possible spoof)')
+    };
+  }
+
+  /**
+   * Verify face matches Aadhaar photo
+   * Signzy compares the selfie with the photo from the Aadhaar e-KYC of the given request
+   * @param {string} selfieImageBase64 - User's selfie
+   * @param {string} aadhaarRefId - Signzy requestId from the Aadhaar verification
+   * @returns {Promise<{success: boolean, data: object, message: string}>}
+   */
+  async verifyFaceWithAadhaar(selfieImageBase64, aadhaarRefId) {
+    if (!aadhaarRefId) {
+      throw new Error('aadhaarRefId is required');
+    }
+
+    logger.info('🔄 [Signzy] Performing face match with Aadhaar photo', {
+      refId: aadhaarRefId,
+      environment: this.environment
+    });
+
+    const data = await this.post(ENDPOINT_FAMILIES.FACE, '/api/v3/faces/compare-aadhaar', {
+      requestId: aadhaarRefId,
+      image: selfieImageBase64
+    });
+
+    return this.normalizeFaceMatch(data, 'Face matched with Aadhaar photo', 'Face does not match Aadhaar photo');
+  }
+
+  // =====================================================
+  // WEBHOOKS
+  // =====================================================
+
+  /**
+   * Verify a Signzy callback signature
+   * x-signzy-signature = hex(HMAC-SHA256(rawBody, SIGNZY_WEBHOOK_SECRET))
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    return this.verifyHmacSignature(
+      this.config.SIGNZY_WEBHOOK_SECRET,
+      rawBody,
+      headers['x-signzy-signature']
+    );
+  }
+
+  /**
+   * Map a Signzy Aadhaar callback ({ id, requestId, result })
+   */
+  parseWebhook(payload, headers) {
+    return {
+      eventId: payload.id,
+      refId: payload.requestId,
+      result: this.parseVerifyResponse(payload, payload.requestId)
+    };
+  }
+}
+
+module.exports = SignzyProvider;
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const { MemoryStore } = require('express-rate-limit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const logger = require('../config/logger');
+
+/**
+ * MongoDB Rate Limit Store (express-rate-limit Store)
+ * Counts hits in the ratelimitcounters collection so limits hold across
+ * replicas and restarts. Each key is a fixed window: the first hit after
+ * resetAt starts a new one, in the same atomic update. Expired counters are
+ * removed by a TTL index.
+ *
+ * Without a MongoDB connection, or if a MongoDB call fails, the store counts in
+ * memory (per replica) rather than blocking or failing requests.
+ */
+class MongoRateLimitStore {
+  /**
+   * @param {string} prefix - Namespace for this limiter's keys (one store per limiter)
+   */
+  constructor(prefix) {
+    this.prefix = `${prefix}:`;
+    this.localKeys = false;
+    this.windowMs = 60000;
+    this.fallback = new MemoryStore();
+    this.fallbackWarned = false;
+  }
+
+  /**
+   * Called by express-rate-limit with the limiter options
+   * @param {object} options
+   */
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  /**
+   * Log once per outage that limits are being counted in memory
+   * @param {Error} [error]
+   */
+  useFallback(error) {
+    if (!this.fallbackWarned) {
+      this.fallbackWarned = true;
+      logger.warn('⚠️ Rate limit store falling back to memory', {
+        prefix: this.prefix,
+        error: error ? error.message : 'MongoDB not connected'
+      });
+    }
+    return this.fallback;
+  }
+
+  /**
+   * Count a hit
+   * @param {string} key
+   * @returns {Promise<{totalHits: number, resetTime: Date}>}
+   */
+  async increment(key) {
+    if (!this.isAvailable()) {
+      return this.useFallback().increment(key);
+    }
+
+    try {
+      const counter = await this.incrementCounter(this.prefix + key);
+      this.fallbackWarned = false;
+      return { totalHits: counter.hits, resetTime: counter.resetAt };
+    } catch (error) {
+      return this.useFallback(error).increment(key);
+    }
+  }
+
+  /**
+   * Increment the counter, starting a new window if the current one has ended
+   * @param {string} id
+   * @param {boolean} retry - Retry once when a concurrent upsert created the counter first
+   * @returns {Promise<{hits: number, resetAt: Date}>}
+   */
+  async incrementCounter(id, retry = true) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    try {
+      return await RateLimitCounter.findOneAndUpdate(
+        { _id: id },
+        [{
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+          }
+        }],
+        { upsert: true, new: true, lean: true }
+      );
+    } catch (error) {
+      if (error.code === 11000 && retry) {
+        return this.incrementCounter(id, false);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Undo a hit (skipSuccessfulRequests / skipFailedRequests)
+   * @param {string} key
+   */
+  async decrement(key) {
+    if (!this.isAvailable()) {
+      return this.fallback.decrement(key);
+    }
+
+    try {
+      await RateLimitCounter.updateOne(
+        { _id: this.prefix + key, resetAt: { $gt: new Date() }, hits: { $gt: 0 } },
+        { $inc: { hits: -1 } }
+      );
+    } catch (error) {
+      logger.warn('⚠️ Failed to decrement rate limit counter', { key: this.prefix + key, error: error.message });
+    }
+  }
+
+  /**
+   * Clear a key's counter
+   * @param {string} key
+   */
+  async resetKey(key) {
+    await this.fallback.resetKey(key);
+    if (this.isAvailable()) {
+      await RateLimitCounter.deleteOne({ _id: this.prefix + key });
+    }
+  }
+
+  /**
+   * Current count for a key (used by limiter.getKey)
+   * @param {string} key
+   * @returns {Promise<{totalHits: number, resetTime: Date}|undefined>}
+   */
+  async get(key) {
+    if (!this.isAvailable()) {
+      return this.fallback.get(key);
+    }
+
+    const counter = await RateLimitCounter.findOne({ _id: this.prefix + key, resetAt: { $gt: new Date() } }).lean();
+    return counter ? { totalHits: counter.hits, resetTime: counter.resetAt } : undefined;
+  }
+
+  shutdown() {
+    this.fallback.shutdown();
+  }
+}
+
+/**
+ * Store for one limiter (express-rate-limit needs a separate instance per limiter)
+ * @param {string} prefix - Namespace for the limiter's keys
+ * @returns {MongoRateLimitStore}
+ */
+function createRateLimitStore(prefix) {
+  return new MongoRateLimitStore(prefix);
+}
+
+module.exports = {
+  MongoRateLimitStore,
+  createRateLimitStore,
+};
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ServiceClient = require('../models/ServiceClient');
+const { SERVICE_SCOPES, LEGACY_DEFAULT_SCOPES } = require('../models/ServiceClient');
+const logger = require('../config/logger');
+
+/**
+ * Service Client Registry
+ * Each caller (X-Service-Name) has its own secrets and scopes. Secrets are
+ * random tokens stored as SHA-256 hashes and compared in constant time.
+ * Rotation adds a new secret and lets the old ones expire after a grace period.
+ *
+ * SERVICE_AUTH_TOKEN, the former shared token, is still accepted as a legacy
+ * credential with SERVICE_AUTH_TOKEN_SCOPES (default: LEGACY_DEFAULT_SCOPES: no erasure or admin access).
+ */
+
+const CACHE_TTL_MS = 30000; // Registry changes reach every replica within this time
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000; // How often lastUsedAt is written per secret
+
+// name -> { client (lean document or null), expiresAt }
+const clientCache = new Map();
+const legacyCallersWarned = new Set();
+
+/**
+ * Hash a secret for storage and comparison
+ * @param {string} secret - Plaintext secret
+ * @returns {string} Hex SHA-256
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Constant-time comparison of a presented secret against a stored hash
+ * @param {string} secret - Presented secret
+ * @param {string} hash - Stored hash
+ * @returns {boolean}
+ */
+function secretMatches(secret, hash) {
+  const presented = Buffer.from(hashSecret(secret), 'hex');
+  const stored = Buffer.from(String(hash), 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+}
+
+/**
+ * Generate a new secret (shown once, never stored)
+ * @returns {{secretId: string, secret: string, hash: string}}
+ */
+function generateSecret() {
+  const secretId = `sec_${crypto.randomBytes(6).toString('hex')}`;
+  const secret = `vsk_${crypto.randomBytes(32).toString('base64url')}`;
+  return { secretId, secret, hash: hashSecret(secret) };
+}
+
+/**
+ * A secret is active until revoked or past its expiry
+ * @param {object} entry - Secret subdocument
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isSecretActive(entry, now = new Date()) {
+  return !entry.revokedAt && (!entry.expiresAt || entry.expiresAt > now);
+}
+
+/**
+ * Reject scopes that are not in SERVICE_SCOPES
+ * @param {string[]} scopes
+ * @returns {string[]} The scopes, deduplicated
+ */
+function validateScopes(scopes) {
+  const unknown = scopes.filter(scope => !SERVICE_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${SERVICE_SCOPES.join(', ')}`);
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * Scopes of the legacy SERVICE_AUTH_TOKEN
+ * @param {object} config - Environment config
+ * @returns {string[]}
+ */
+function getLegacyScopes(config = process.env) {
+  if (!config.SERVICE_AUTH_TOKEN_SCOPES) {
+    return LEGACY_DEFAULT_SCOPES;
+  }
+  return validateScopes(config.SERVICE_AUTH_TOKEN_SCOPES.split(',').map(scope => scope.trim()).filter(Boolean));
+}
+
+/**
+ * Load a client by name, cached for CACHE_TTL_MS (including unknown names)
+ * @param {string} name
+ * @returns {Promise<object|null>}
+ */
+async function getServiceClient(name) {
+  const cached = clientCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.client;
+  }
+
+  const client = await ServiceClient.findOne({ name }).lean();
+  clientCache.set(name, { client, expiresAt: Date.now() + CACHE_TTL_MS });
+  return client;
+}
+
+/**
+ * Drop cached registry entries (all, or one client)
+ * @param {string} [name]
+ */
+function clearServiceClientCache(name) {
+  if (name) {
+    clientCache.delete(name);
+  } else {
+    clientCache.clear();
+  }
+}
+
+/**
+ * Record that a secret was used (at most every LAST_USED_RESOLUTION_MS), so
+ * operators can see when a rotated-out secret is no longer in use
+ * @param {object} client - Cached client
+ * @param {object} entry - Matched secret
+ */
+function touchSecret(client, entry) {
+  const now = new Date();
+  if (entry.lastUsedAt && now - entry.lastUsedAt < LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+
+  entry.lastUsedAt = now;
+  ServiceClient.updateOne(
+    { _id: client._id, 'secrets.secretId': entry.secretId },
+    { $set: { 'secrets.$.lastUsedAt': now } }
+  ).catch(error => {
+    logger.warn('⚠️ Failed to record service secret use', { client: client.name, error: error.message });
+  });
+}
+
+/**
+ * Authenticate a caller
+ * @param {string} name - X-Service-Name
+ * @param {string} secret - X-Service-Auth
+ * @param {object} config - Environment config
+ * @returns {Promise<{name: string, scopes: string[], secretId?: string, legacy: boolean}|null>}
+ *   The authenticated client, or null if the credentials are not valid
+ */
+async function authenticateServiceClient(name, secret, config = process.env) {
+  // Registered clients (the registry lives in MongoDB)
+  if (name && mongoose.connection.readyState === 1) {
+    const client = await getServiceClient(String(name));
+
+    if (client && !client.disabledAt) {
+      const now = new Date();
+      const entry = client.secrets.find(candidate =>
+        isSecretActive(candidate, now) && secretMatches(secret, candidate.hash));
+
+      if (entry) {
+        touchSecret(client, entry);
+        return { name: client.name, scopes: client.scopes, secretId: entry.secretId, legacy: false };
+      }
+    }
+  }
+
+  // Legacy shared token
+  if (config.SERVICE_AUTH_TOKEN && secretMatches(secret, hashSecret(config.SERVICE_AUTH_TOKEN))) {
+    const callerName = name ? String(name) : 'legacy';
+    if (!legacyCallersWarned.has(callerName)) {
+      legacyCallersWarned.add(callerName);
+      logger.warn('⚠️ Caller authenticated with the legacy SERVICE_AUTH_TOKEN; register it as a service client', {
+        service: callerName
+      });
+    }
+    return { name: callerName, scopes: getLegacyScopes(config), legacy: true };
+  }
+
+  return null;
+}
+
+/**
+ * Register a new service client with its first secret
+ * @param {string} name - Value callers send as X-Service-Name
+ * @param {object} options - { scopes, description }
+ * @returns {Promise<{client: ServiceClient, secretId: string, secret: string}>}
+ */
+async function createServiceClient(name, { scopes = [], description } = {}) {
+  const { secretId, secret, hash } = generateSecret();
+
+  const client = await ServiceClient.create({
+    name,
+    description,
+    scopes: validateScopes(scopes),
+    secrets: [{ secretId, hash }]
+  });
+
+  clearServiceClientCache(name);
+  logger.info('🔐 Service client registered', { name, scopes: client.scopes, secretId });
+  return { client, secretId, secret };
+}
+
+/**
+ * Find a registered client or throw
+ * @param {string} name
+ * @returns {Promise<ServiceClient>}
+ */
+async function requireServiceClient(name) {
+  const client = await ServiceClient.findOne({ name });
+  if (!client) {
+    throw new Error(`Service client not found: ${name}`);
+  }
+  return client;
+}
+
+/**
+ * Issue a new secret; secrets active until now expire after the grace period
+ * @param {string} name
+ * @param {object} options - { graceMs } (0 revokes the old secrets immediately)
+ * @returns {Promise<{client: ServiceClient, secretId: string, secret: string}>}
+ */
+async function rotateClientSecret(name, { graceMs = 24 * 60 * 60 * 1000 } = {}) {
+  const client = await requireServiceClient(name);
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + graceMs);
+
+  for (const entry of client.secrets) {
+    if (!isSecretActive(entry, now)) {
+      continue;
+    }
+    if (graceMs > 0) {
+      if (!entry.expiresAt || entry.expiresAt > expiresAt) {
+        entry.expiresAt = expiresAt;
+      }
+    } else {
+      entry.revokedAt = now;
+    }
+  }
+
+  const { secretId, secret, hash } = generateSecret();
+  client.secrets.push({ secretId, hash });
+  await client.save();
+
+  clearServiceClientCache(name);
+  logger.info('🔄 Service client secret rotated', { name, secretId, previousSecretsExpireAt: expiresAt });
+  return { client, secretId, secret };
+}
+
+/**
+ * Revoke one secret immediately
+ * @param {string} name
+ * @param {string} secretId
+ * @returns {Promise<ServiceClient>}
+ */
+async function revokeClientSecret(name, secretId) {
+  const client = await requireServiceClient(name);
+  const entry = client.secrets.find(candidate => candidate.secretId === secretId);
+  if (!entry) {
+    throw new Error(`Secret ${secretId} not found for service client ${name}`);
+  }
+
+  if (!entry.revokedAt) {
+    entry.revokedAt = new Date();
+    await client.save();
+  }
+
+  clearServiceClientCache(name);
+  logger.info('🚫 Service client secret revoked', { name, secretId });
+  return client;
+}
+
+/**
+ * Replace a client's scopes
+ * @param {string} name
+ * @param {string[]} scopes
+ * @returns {Promise<ServiceClient>}
+ */
+async function setClientScopes(name, scopes) {
+  const client = await requireServiceClient(name);
+  client.scopes = validateScopes(scopes);
+  await client.save();
+
+  clearServiceClientCache(name);
+  logger.info('🔐 Service client scopes updated', { name, scopes: client.scopes });
+  return client;
+}
+
+/**
+ * Disable or re-enable a client (all its secrets stop working while disabled)
+ * @param {string} name
+ * @param {boolean} disabled
+ * @returns {Promise<ServiceClient>}
+ */
+async function setClientDisabled(name, disabled) {
+  const client = await requireServiceClient(name);
+  client.disabledAt = disabled ? (client.disabledAt || new Date()) : undefined;
+  await client.save();
+
+  clearServiceClientCache(name);
+  logger.info(disabled ? '🚫 Service client disabled' : '✅ Service client enabled', { name });
+  return client;
+}
+
+module.exports = {
+  SERVICE_SCOPES,
+  hashSecret,
+  isSecretActive,
+  getLegacyScopes,
+  authenticateServiceClient,
+  clearServiceClientCache,
+  createServiceClient,
+  rotateClientSecret,
+  revokeClientSecret,
+  setClientScopes,
+  setClientDisabled,
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SERVICE_SCOPES } = require('../models/ServiceClient');
+const { APIError, ErrorCategories } = require('../utils/errorHandler');
+const logger = require('../config/logger');
+
+/**
+ * Service Tokens (JWT authentication mode)
+ * Verifies short-lived HS256/RS256 JWTs issued by the API gateway against the
+ * keys in JWT_JWKS_FILE (a standard JWKS: { "keys": [{ "kid", "kty", "alg", ... }] }).
+ * HS256 keys are "oct" JWKs (k = base64url secret), RS256 keys are "RSA" JWKs.
+ *
+ * Claims: sub (the user the call is made for), exp and iat are required; iss
+ * and aud are checked when JWT_ISSUER / JWT_AUDIENCE are set. The calling
+ * service is azp or client_id (else iss), its scopes the space-separated scope claim.
+ */
+
+const SUPPORTED_ALGORITHMS = {
+  HS256: 'oct',
+  RS256: 'RSA'
+};
+const JWKS_RELOAD_INTERVAL_MS = 30000; // Unknown kids reload the file at most this often
+
+let jwks = null; // { file, keys: Map<kid, {alg, key}>, loadedAt }
+
+const invalidToken = (reason) =>
+  new APIError(`Invalid service token: ${reason}`, ErrorCategories.AUTHENTICATION_ERROR, 401);
+
+/**
+ * Read JWT settings (validated in config/env.js)
+ * @param {object} config - Environment config
+ */
+function getTokenConfig(config = process.env) {
+  return {
+    jwksFile: config.JWT_JWKS_FILE,
+    issuer: config.JWT_ISSUER,
+    audience: config.JWT_AUDIENCE,
+    clockToleranceSec: Number(config.JWT_CLOCK_TOLERANCE_SEC ?? 30),
+    maxTtlSec: Number(config.JWT_MAX_TTL_SEC) || 900
+  };
+}
+
+/**
+ * Load the JWKS file into verification keys
+ * @param {string} jwksFile
+ * @returns {Map<string, {alg: string, key: (Buffer|crypto.KeyObject)}>}
+ */
+function readJwks(jwksFile) {
+  const { keys = [] } = JSON.parse(fs.readFileSync(path.resolve(jwksFile), 'utf8'));
+  const keyMap = new Map();
+
+  for (const jwk of keys) {
+    if (!jwk.kid || !SUPPORTED_ALGORITHMS[jwk.alg] || SUPPORTED_ALGORITHMS[jwk.alg] !== jwk.kty) {
+      logger.warn('⚠️ Skipping unusable JWKS key', { kid: jwk.kid, alg: jwk.alg, kty: jwk.kty });
+      continue;
+    }
+
+    keyMap.set(jwk.kid, {
+      alg: jwk.alg,
+      key: jwk.kty === 'oct'
+        ? Buffer.from(jwk.k, 'base64url')
+        : crypto.createPublicKey({ key: jwk, format: 'jwk' })
+    });
+  }
+
+  return keyMap;
+}
+
+/**
+ * Find the key for a kid, reloading the file if the kid is new (key rotation)
+ * @param {string} kid
+ * @param {string} jwksFile
+ * @returns {{alg: string, key: (Buffer|crypto.KeyObject)}|undefined}
+ */
+function getVerificationKey(kid, jwksFile) {
+  const now = Date.now();
+  const stale = !jwks || jwks.file !== jwksFile ||
+    (!jwks.keys.has(kid) && now - jwks.loadedAt > JWKS_RELOAD_INTERVAL_MS);
+
+  if (stale) {
+    jwks = { file: jwksFile, keys: readJwks(jwksFile), loadedAt: now };
+    logger.debug('🔑 JWKS loaded', { jwksFile, keys: jwks.keys.size });
+  }
+
+  return jwks.keys.get(kid);
+}
+
+/**
+ * Check a JWT signature
+ * @param {string} alg - HS256 or RS256
+ * @param {Buffer|crypto.KeyObject} key
+ * @param {string} signingInput - base64url(header).base64url(payload)
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+function verifySignature(alg, key, signingInput, signature) {
+  if (alg === 'HS256') {
+    const expected = crypto.createHmac('sha256', key).update(signingInput).digest();
+    return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  }
+  return crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, signature);
+}
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw invalidToken('malformed token');
+  }
+};
+
+/**
+ * Verify a service JWT
+ * @param {string} token - Compact JWT (without "Bearer ")
+ * @param {object} config - Environment config
+ * @returns {{name: string, scopes: string[], userId: string, tokenId?: string, claims: object}}
+ * @throws {APIError} AUTHENTICATION_ERROR (401) when the token is not acceptable
+ */
+function verifyServiceToken(token, config = process.env) {
+  const tokenConfig = getTokenConfig(config);
+  const segments = String(token).split('.');
+  if (segments.length !== 3) {
+    throw invalidToken('malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const claims = decodeSegment(encodedPayload);
+
+  if (!SUPPORTED_ALGORITHMS[header.alg]) {
+    throw invalidToken(`unsupported algorithm ${header.alg}`);
+  }
+
+  const verificationKey = getVerificationKey(header.kid, tokenConfig.jwksFile);
+  if (!verificationKey) {
+    throw invalidToken(`unknown key ${header.kid}`);
+  }
+  // The key decides the algorithm (no HS256 with an RSA public key)
+  if (verificationKey.alg !== header.alg) {
+    throw invalidToken('algorithm does not match key');
+  }
+  if (!verifySignature(header.alg, verificationKey.key, `${encodedHeader}.${encodedPayload}`, Buffer.from(encodedSignature, 'base64url'))) {
+    throw invalidToken('bad signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = tokenConfig.clockToleranceSec;
+
+  if (typeof claims.exp !== 'number' || typeof claims.iat !== 'number') {
+    throw invalidToken('exp and iat are required');
+  }
+  if (claims.exp <= now - tolerance) {
+    throw invalidToken('token expired');
+  }
+  if (claims.iat > now + tolerance || (typeof claims.nbf === 'number' && claims.nbf > now + tolerance)) {
+    throw invalidToken('token not yet valid');
+  }
+  if (claims.exp - claims.iat > tokenConfig.maxTtlSec) {
+    throw invalidToken(`token lifetime exceeds ${tokenConfig.maxTtlSec}s`);
+  }
+  if (tokenConfig.issuer && claims.iss !== tokenConfig.issuer) {
+    throw invalidToken('unexpected issuer');
+  }
+  if (tokenConfig.audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(tokenConfig.audience)) {
+      throw invalidToken('unexpected audience');
+    }
+  }
+  if (!claims.sub || typeof claims.sub !== 'string') {
+    throw invalidToken('sub is required');
+  }
+
+  const scopes = typeof claims.scope === 'string' ? claims.scope.split(' ') : [];
+
+  return {
+    name: claims.azp || claims.client_id || claims.iss || 'jwt',
+    scopes: scopes.filter(scope => SERVICE_SCOPES.includes(scope)),
+    userId: claims.sub,
+    tokenId: claims.jti,
+    claims
+  };
+}
+
+module.exports = {
+  SUPPORTED_ALGORITHMS,
+  getTokenConfig,
+  verifyServiceToken,
+};
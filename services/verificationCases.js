@@ -0,0 +1,210 @@
+/**
+ * Verification Cases (admin search and case view)
+ * Shapes Verification records for support staff. Personal data (verified name,
+ * address, IP addresses, user agents, reviewer notes) is masked unless the
+ * caller holds the pii:read scope; identifiers are only ever shown masked.
+ */
+
+const MASK = '[masked]';
+
+/**
+ * Keep the first letter of each word: "Rahul Kumar" -> "R**** K****"
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function maskName(name) {
+  if (!name) {
+    return name;
+  }
+  return String(name)
+    .split(/\s+/)
+    .map(word => word.charAt(0) + '*'.repeat(Math.max(word.length - 1, 0)))
+    .join(' ');
+}
+
+/**
+ * Keep the network part of an IPv4 address: "203.0.113.7" -> "203.0.x.x"
+ * @param {string} ip
+ * @returns {string|undefined}
+ */
+function maskIp(ip) {
+  if (!ip) {
+    return ip;
+  }
+  const ipv4 = String(ip).replace(/^::ffff:/, '').match(/^(\d+)\.(\d+)\.\d+\.\d+$/);
+  return ipv4 ? `${ipv4[1]}.${ipv4[2]}.x.x` : MASK;
+}
+
+// Any other personal value: present or not, never its content
+const maskValue = (value) => (value ? MASK : value);
+
+/**
+ * Verified data for an admin view, masked unless the caller holds pii:read
+ * @param {object} verifiedData - Decrypted verifiedData of a Verification document
+ * @param {object} options - { unmasked }
+ * @returns {object}
+ */
+function toVerifiedDataView(verifiedData = {}, options = {}) {
+  const { unmasked = false } = options;
+  const name = unmasked ? (value => value) : maskName;
+  const personal = unmasked ? (value => value) : maskValue;
+  const address = verifiedData.address || {};
+
+  return {
+    name: name(verifiedData.name),
+    yearOfBirth: personal(verifiedData.yearOfBirth),
+    gender: personal(verifiedData.gender),
+    address: {
+      line1: personal(address.line1),
+      line2: personal(address.line2),
+      city: personal(address.city),
+      state: address.state, // Kept for regional support queries
+      pincode: personal(address.pincode)
+    },
+    photoLink: personal(verifiedData.photoLink)
+  };
+}
+
+/**
+ * Search result entry (no personal data)
+ * @param {object} verification - Verification (document or lean)
+ * @returns {object}
+ */
+function toCaseSummary(verification) {
+  return {
+    verificationId: verification._id,
+    userId: verification.userId,
+    type: verification.type,
+    status: verification.status,
+    provider: verification.provider,
+    refId: verification.refId,
+    failureReason: verification.failureReason,
+    maskedAadhaar: verification.maskedAadhaar,
+    maskedPAN: verification.maskedPAN,
+    maskedBankAccount: verification.maskedBankAccount,
+    riskFlags: verification.riskFlags,
+    review: verification.review?.queuedAt
+      ? { reason: verification.review.reason, decision: verification.review.decision }
+      : undefined,
+    createdAt: verification.createdAt,
+    verifiedAt: verification.verifiedAt,
+    failedAt: verification.failedAt,
+    expiredAt: verification.expiredAt
+  };
+}
+
+/**
+ * Full case: summary, verified data, consent, provider metadata and audit timeline
+ *
+ * @param {Verification} verification - Verification document (decrypted by its getters)
+ * @param {object[]} consentRecords - Ledger entries of the verification (lean, decrypted)
+ * @param {object} options - { unmasked: caller holds pii:read }
+ * @returns {object}
+ */
+function toCaseDetail(verification, consentRecords, options = {}) {
+  const { unmasked = false } = options;
+  const ip = unmasked ? (value => value) : maskIp;
+  const personal = unmasked ? (value => value) : maskValue;
+
+  const consent = verification.consent || {};
+  const metadata = verification.metadata || {};
+
+  return {
+    ...toCaseSummary(verification),
+    piiMasked: !unmasked,
+    verifiedData: toVerifiedDataView(verification.verifiedData || {}, { unmasked }),
+    faceVerification: verification.faceVerification?.matchScore !== undefined
+      ? {
+        matchScore: verification.faceVerification.matchScore,
+        livenessScore: verification.faceVerification.livenessScore,
+        livenessResult: verification.faceVerification.livenessResult
+      }
+      : undefined,
+    nameMatch: verification.nameMatch?.checkedAt
+      ? {
+        score: verification.nameMatch.score,
+        threshold: verification.nameMatch.threshold,
+        mismatch: verification.nameMatch.mismatch,
+        comparisons: verification.nameMatch.comparisons.map(comparison => ({
+          against: comparison.against,
+          verificationId: comparison.verificationId,
+          score: comparison.score
+        })),
+        checkedAt: verification.nameMatch.checkedAt
+      }
+      : undefined,
+    otp: {
+      sent: verification.otpSent,
+      sentAt: verification.otpSentAt,
+      expiresAt: verification.otpExpiresAt,
+      verified: verification.otpVerified,
+      attempts: verification.otpAttempts
+    },
+    consent: {
+      given: consent.given,
+      givenAt: consent.givenAt,
+      consentVersion: consent.consentVersion,
+      language: consent.language,
+      consentTextHash: consent.consentTextHash,
+      withdrawnAt: consent.withdrawnAt,
+      ipAddress: ip(consent.ipAddress),
+      userAgent: personal(consent.userAgent),
+      ledger: consentRecords.map(record => ({
+        event: record.event,
+        consentVersion: record.consentVersion,
+        consentTextHash: record.consentTextHash,
+        occurredAt: record.occurredAt,
+        performedBy: record.performedBy,
+        reason: record.reason,
+        ipAddress: ip(record.ipAddress),
+        userAgent: personal(record.userAgent),
+        purgedAt: record.purgedAt
+      }))
+    },
+    providerMetadata: {
+      provider: verification.provider,
+      transactionId: verification.transactionId,
+      refId: verification.refId,
+      environment: metadata.environment,
+      appVersion: metadata.appVersion,
+      ipAddress: ip(metadata.ipAddress),
+      userAgent: personal(metadata.userAgent),
+      deviceInfo: personal(metadata.deviceInfo)
+    },
+    review: verification.review?.queuedAt
+      ? {
+        reason: verification.review.reason,
+        queuedAt: verification.review.queuedAt,
+        queuedBy: verification.review.queuedBy,
+        claimedBy: verification.review.claimedBy,
+        decision: verification.review.decision,
+        decidedBy: verification.review.decidedBy,
+        decidedAt: verification.review.decidedAt,
+        note: personal(verification.review.note)
+      }
+      : undefined,
+    compliance: {
+      dataRetentionDays: verification.complianceFlags?.dataRetentionDays,
+      scheduledDeletionAt: verification.complianceFlags?.scheduledDeletionAt,
+      purgedAt: verification.complianceFlags?.purgedAt
+    },
+    linkedVerificationId: verification.linkedVerificationId,
+    initiatedAt: verification.initiatedAt,
+    updatedAt: verification.updatedAt,
+    auditLog: (verification.auditLog || []).map(entry => ({
+      action: entry.action,
+      performedBy: entry.performedBy,
+      performedAt: entry.performedAt,
+      ipAddress: ip(entry.ipAddress),
+      metadata: entry.metadata
+    }))
+  };
+}
+
+module.exports = {
+  maskName,
+  maskIp,
+  toVerifiedDataView,
+  toCaseSummary,
+  toCaseDetail,
+};
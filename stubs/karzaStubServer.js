@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Karza API
+ * Implements the endpoints used by KarzaProvider so it can be tested offline
+ *
+ * Usage:
+ *   npm run stub:karza
+ *   KARZA_BASE_URL=http://localhost:4010 KARZA_API_KEY=stub-key VERIFICATION_PROVIDER=karza npm run dev
+ *
+ * Test data:
+ * - Aadhaar 655675523712 / 655675523711 → OTP sent (OTP: 111000)
+ * - Aadhaar 655675523710 / 655675523709 → invalid Aadhaar (statusCode 102)
+ * - Aadhaar 999999999999               → HTTP 503 (provider outage, for failover testing)
+ * - OTP 000111                          → invalid OTP
+ * - Face images that are identical      → match score 95, otherwise 40
+ * - Liveness image starting with 2222/3333/4444 → not live
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.KARZA_STUB_PORT) || 4010;
+const API_KEY = process.env.KARZA_API_KEY || 'stub-key';
+const TEST_OTP = process.env.KARZA_TEST_OTP || '111000';
+
+const VALID_AADHAAR = ['655675523712', '655675523711'];
+const OUTAGE_AADHAAR = '999999999999';
+const VALID_PANS = {
+  ABCPV1234D: 'JOHN DOE',
+  AZJPG7110R: 'JANE DOE',
+  AAAHU4383C: 'BOB SMITH',
+};
+const VALID_ACCOUNTS = {
+  '026291800001191': { ifsc: 'YESB0000262', name: 'JOHN DOE', bank: 'Yes Bank', branch: 'Mumbai' },
+  '00011020001772': { ifsc: 'HDFC0000001', name: 'JANE DOE', bank: 'HDFC Bank', branch: 'Delhi' },
+};
+
+// requestId -> { aadhaarNo, verified }
+const otpRequests = new Map();
+
+function createKarzaStubApp() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  // Karza authenticates with x-karza-key
+  app.use((req, res, next) => {
+    if (req.get('x-karza-key') !== API_KEY) {
+      return res.status(401).json({ error: 'Invalid API key', statusCode: 401 });
+    }
+    next();
+  });
+
+  const ok = (res, result, extra = {}) => res.json({
+    requestId: crypto.randomUUID(),
+    ...extra,
+    result,
+    statusCode: 101
+  });
+
+  const invalid = (res, message, statusCode = 102) => res.json({
+    requestId: crypto.randomUUID(),
+    result: { message },
+    statusCode
+  });
+
+  app.post('/v3/aadhaar-xml/otp', (req, res) => {
+    const { aadhaarNo, consent } = req.body;
+    if (consent !== 'Y') {
+      return res.status(400).json({ error: 'Consent is required', statusCode: 400 });
+    }
+    if (aadhaarNo === OUTAGE_AADHAAR) {
+      return res.status(503).json({ error: 'Service unavailable', statusCode: 503 });
+    }
+    if (!VALID_AADHAAR.includes(aadhaarNo)) {
+      return invalid(res, 'Invalid Aadhaar number');
+    }
+
+    const requestId = crypto.randomUUID();
+    otpRequests.set(requestId, { aadhaarNo, verified: false });
+    res.json({
+      requestId,
+      result: { message: 'OTP sent to registered mobile number' },
+      statusCode: 101
+    });
+  });
+
+  app.post('/v3/aadhaar-xml/resend-otp', (req, res) => {
+    const { requestId } = req.body;
+    if (!otpRequests.has(requestId)) {
+      return invalid(res, 'Invalid requestId', 103);
+    }
+    res.json({
+      requestId,
+      result: { message: 'OTP resent to registered mobile number' },
+      statusCode: 101
+    });
+  });
+
+  app.post('/v3/aadhaar-xml/file', (req, res) => {
+    const { requestId, otp } = req.body;
+    const request = otpRequests.get(requestId);
+    if (!request) {
+      return invalid(res, 'Invalid requestId', 103);
+    }
+    if (otp !== TEST_OTP) {
+      return invalid(res, 'Invalid OTP');
+    }
+
+    request.verified = true;
+    ok(res, {
+      dataFromAadhaar: {
+        name: 'John Doe',
+        dob: '1990-01-01',
+        gender: 'M',
+        maskedAadhaarNumber: `XXXXXXXX${request.aadhaarNo.slice(-4)}`,
+        mobileHash: crypto.createHash('sha256').update('9999999999').digest('hex'),
+        image: 'data:image/jpeg;base64,STUB',
+        address: {
+          splitAddress: {
+            houseNumber: '12',
+            street: 'MG Road',
+            landmark: 'Near Metro',
+            vtcName: 'Bengaluru',
+            district: 'Bengaluru Urban',
+            state: 'Karnataka',
+            pincode: '560001'
+          }
+        }
+      }
+    }, { requestId });
+  });
+
+  app.post('/v2/pan', (req, res) => {
+    const name = VALID_PANS[req.body.pan];
+    if (!name) {
+      return invalid(res, 'Invalid PAN number');
+    }
+    ok(res, { name });
+  });
+
+  app.post('/v2/bankacc', (req, res) => {
+    const { accountNumber, ifsc } = req.body;
+    const account = VALID_ACCOUNTS[accountNumber];
+    if (!account || account.ifsc !== ifsc) {
+      return ok(res, { bankTxnStatus: false, message: 'Invalid bank account or IFSC' });
+    }
+    ok(res, {
+      bankTxnStatus: true,
+      accountName: account.name,
+      bankName: account.bank,
+      branch: account.branch
+    });
+  });
+
+  app.post('/v3/facesimilarity', (req, res) => {
+    const { image1B64, image2B64 } = req.body;
+    if (!image1B64 || !image2B64) {
+      return invalid(res, 'Both images are required');
+    }
+    ok(res, { matchScore: image1B64 === image2B64 ? 95 : 40 });
+  });
+
+  app.post('/v3/aadhaar-xml/face-match', (req, res) => {
+    const request = otpRequests.get(req.body.requestId);
+    if (!request || !request.verified) {
+      return invalid(res, 'No verified Aadhaar found for requestId', 103);
+    }
+    ok(res, { matchScore: 92 });
+  });
+
+  app.post('/v3/liveness', (req, res) => {
+    const image = req.body.image || '';
+    if (['2222', '3333', '4444'].some(prefix => image.startsWith(prefix))) {
+      return ok(res, { isLive: false, score: 30, message: 'Real face not detected (possible spoof)' });
+    }
+    ok(res, { isLive: true, score: 90 });
+  });
+
+  return app;
+}
+
+module.exports = { createKarzaStubApp };
+
+if (require.main === module) {
+  createKarzaStubApp().listen(PORT, () => {
+    console.log(`🧪 Karza stub server listening on http://localhost:${PORT}`);
+  });
+}
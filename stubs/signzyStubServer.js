@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for the Signzy API
+ * Implements the endpoints used by SignzyProvider so it can be tested offline
+ *
+ * Usage:
+ *   npm run stub:signzy
+ *   SIGNZY_BASE_URL=http://localhost:4011 SIGNZY_API_KEY=stub-user SIGNZY_API_SECRET=stub-pass \
+ *     VERIFICATION_PROVIDER=signzy npm run dev
+ *
+ * Test data:
+ * - Aadhaar 655675523712 / 655675523711 → OTP sent (OTP: 111000)
+ * - Aadhaar 999999999999               → HTTP 503 (provider outage, for failover testing)
+ * - OTP 000111                          → invalid OTP
+ * - Face images that are identical      → confidence 95, otherwise 40
+ * - Liveness image starting with 2222/3333/4444 → not live
+ * - Access tokens expire after SIGNZY_STUB_TOKEN_TTL seconds (default 3600)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.SIGNZY_STUB_PORT) || 4011;
+const USERNAME = process.env.SIGNZY_API_KEY || 'stub-user';
+const PASSWORD = process.env.SIGNZY_API_SECRET || 'stub-pass';
+const TOKEN_TTL = Number(process.env.SIGNZY_STUB_TOKEN_TTL) || 3600;
+const TEST_OTP = process.env.SIGNZY_TEST_OTP || '111000';
+
+const VALID_AADHAAR = ['655675523712', '655675523711'];
+const OUTAGE_AADHAAR = '999999999999';
+const VALID_PANS = {
+  ABCPV1234D: 'JOHN DOE',
+  AZJPG7110R: 'JANE DOE',
+};
+const VALID_ACCOUNTS = {
+  '026291800001191': { ifsc: 'YESB0000262', name: 'JOHN DOE', bank: 'Yes Bank', branch: 'Mumbai' },
+  '00011020001772': { ifsc: 'HDFC0000001', name: 'JANE DOE', bank: 'HDFC Bank', branch: 'Delhi' },
+};
+
+// token -> expiresAt
+const tokens = new Map();
+// requestId -> { aadhaarNumber, verified }
+const otpRequests = new Map();
+
+function createSignzyStubApp() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post('/api/v2/patrons/login', (req, res) => {
+    const { username, password } = req.body;
+    if (username !== USERNAME || password !== PASSWORD) {
+      return res.status(401).json({ error: { message: 'Login failed' } });
+    }
+    const id = crypto.randomBytes(24).toString('hex');
+    tokens.set(id, Date.now() + TOKEN_TTL * 1000);
+    res.json({ id, ttl: TOKEN_TTL, userId: 'stub-patron' });
+  });
+
+  // All other endpoints need a valid access token
+  app.use((req, res, next) => {
+    const expiresAt = tokens.get(req.get('authorization'));
+    if (!expiresAt || Date.now() > expiresAt) {
+      return res.status(401).json({ error: { message: 'Authorization Required' } });
+    }
+    next();
+  });
+
+  app.post('/api/v3/aadhaar/otp', (req, res) => {
+    const { aadhaarNumber } = req.body;
+    if (aadhaarNumber === OUTAGE_AADHAAR) {
+      return res.status(503).json({ error: { message: 'Service unavailable' } });
+    }
+    if (!VALID_AADHAAR.includes(aadhaarNumber)) {
+      return res.json({ result: { otpSent: false, message: 'Invalid Aadhaar number' } });
+    }
+    const requestId = crypto.randomUUID();
+    otpRequests.set(requestId, { aadhaarNumber, verified: false });
+    res.json({ result: { otpSent: true, requestId, message: 'OTP sent to registered mobile number' } });
+  });
+
+  app.post('/api/v3/aadhaar/resend-otp', (req, res) => {
+    const { requestId } = req.body;
+    if (!otpRequests.has(requestId)) {
+      return res.json({ result: { otpSent: false, message: 'Invalid requestId' } });
+    }
+    res.json({ result: { otpSent: true, requestId, message: 'OTP resent to registered mobile number' } });
+  });
+
+  app.post('/api/v3/aadhaar/verify', (req, res) => {
+    const { requestId, otp } = req.body;
+    const request = otpRequests.get(requestId);
+    if (!request) {
+      return res.json({ result: { verified: false, message: 'Invalid requestId' } });
+    }
+    if (otp !== TEST_OTP) {
+      return res.json({ result: { verified: false, message: 'Invalid OTP' } });
+    }
+    request.verified = true;
+    res.json({
+      result: {
+        verified: true,
+        name: 'John Doe',
+        dob: '01/01/1990',
+        gender: 'M',
+        maskedAadhaar: `xxxxxxxx${request.aadhaarNumber.slice(-4)}`,
+        mobileHash: crypto.createHash('sha256').update('9999999999').digest('hex'),
+        photo: 'data:image/jpeg;base64,STUB',
+        address: {
+          house: '12',
+          street: 'MG Road',
+          landmark: 'Near Metro',
+          vtc: 'Bengaluru',
+          dist: 'Bengaluru Urban',
+          state: 'Karnataka',
+          pc: '560001'
+        }
+      }
+    });
+  });
+
+  app.post('/api/v3/pan/verify', (req, res) => {
+    const name = VALID_PANS[req.body.panNumber];
+    res.json({ result: name ? { isValid: true, name } : { isValid: false, message: 'Invalid PAN number' } });
+  });
+
+  app.post('/api/v3/bank/verify', (req, res) => {
+    const { beneficiaryAccount, beneficiaryIFSC } = req.body;
+    const account = VALID_ACCOUNTS[beneficiaryAccount];
+    if (!account || account.ifsc !== beneficiaryIFSC) {
+      return res.json({ result: { active: 'no', reason: 'Invalid bank account or IFSC' } });
+    }
+    res.json({
+      result: {
+        active: 'yes',
+        beneficiaryName: account.name,
+        bankName: account.bank,
+        branch: account.branch
+      }
+    });
+  });
+
+  app.post('/api/v3/faces/compare', (req, res) => {
+    const { image1, image2 } = req.body;
+    res.json({ result: { confidence: image1 && image1 === image2 ? 95 : 40 } });
+  });
+
+  app.post('/api/v3/faces/compare-aadhaar', (req, res) => {
+    const request = otpRequests.get(req.body.requestId);
+    if (!request || !request.verified) {
+      return res.json({ result: { confidence: 0, message: 'No verified Aadhaar found for requestId' } });
+    }
+    res.json({ result: { confidence: 92 } });
+  });
+
+  app.post('/api/v3/faces/liveness', (req, res) => {
+    const image = req.body.image || '';
+    if (['2222', '3333', '4444'].some(prefix => image.startsWith(prefix))) {
+      return res.json({ result: { isLive: false, confidence: 30, message: 'Real face not detected (possible spoof)' } });
+    }
+    res.json({ result: { isLive: true, confidence: 90 } });
+  });
+
+  return app;
+}
+
+module.exports = { createSignzyStubApp };
+
+if (require.main === module) {
+  createSignzyStubApp().listen(PORT, () => {
+    console.log(`🧪 Signzy stub server listening on http://localhost:${PORT}`);
+  });
+}
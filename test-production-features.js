@@ -118,7 +118,11 @@ try {
 // Test 5: Verification Routes
 console.log('\n✅ Test 5: Verification Routes');
 try {
-  const verificationRouter = require('./routes/verification');
+  const createVerificationRouter = require('./routes/verification');
+  const { createProviderChain } = require('./services/providerFactory');
+  const verificationRouter = createVerificationRouter({
+    providerChain: createProviderChain({ VERIFICATION_PROVIDER: 'mock' })
+  });
   
   // Get all routes from the router
   const routes = [];
@@ -207,6 +211,47 @@ try {
   process.exit(1);
 }
 
+// Test 8: Name Matching
+console.log('\n✅ Test 8: Name Matching');
+try {
+  const { compareNames } = require('./services/nameMatch');
+  const threshold = 0.8;
+
+  // [name, other name, expected to pass NAME_MATCH_THRESHOLD]
+  const cases = [
+    ['Rahul Kumar Sharma', 'Sharma Rahul Kumar', true],
+    ['Mr. Rahul Kumar', 'RAHUL KUMAR', true],
+    ['R.K. Sharma', 'Rahul Kumar Sharma', true],
+    ['Rahul Sharma', 'Rahul Kumar Sharma', true], // Missing middle name
+    ['Mohd. Irfan Khan', 'Mohammed Irfan Khan', true],
+    ['Rajkumar Yadav', 'Raj Kumar Yadav', true],
+    ['Lakshmi Devi', 'Laxmi Devi', true],
+    ['Rahul Sharma', 'Rohit Sharma', false],
+    ['Singh', 'Priya Singh', false], // A single matching word is not enough
+    ['Kumar', 'Rahul Kumar', false],
+    ['Rahul', 'Rahul Sharma', false],
+    ['A B', 'Anil Bansal', false] // Initials only
+  ];
+
+  for (const [name, other, expected] of cases) {
+    const score = compareNames(name, other);
+    if ((score >= threshold) !== expected) {
+      throw new Error(`"${name}" vs "${other}" scored ${score}, expected ${expected ? 'a match' : 'a mismatch'}`);
+    }
+  }
+  console.log(`   ✓ ${cases.length} name pairs scored as expected`);
+  console.log(`     - "Singh" vs "Priya Singh": ${compareNames('Singh', 'Priya Singh')}`);
+  console.log(`     - "Rahul Sharma" vs "Rahul Kumar Sharma": ${compareNames('Rahul Sharma', 'Rahul Kumar Sharma')}`);
+
+  if (compareNames('राहुल शर्मा', 'Rahul Sharma') !== null) {
+    throw new Error('Names in other scripts should not be compared');
+  }
+  console.log('   ✓ Names in other scripts are not compared');
+} catch (error) {
+  console.error('   ❌ Name matching test failed:', error.message);
+  process.exit(1);
+}
+
 // Summary
 console.log('\n' + '='.repeat(50));
 console.log('✅ All Production-Ready Features Tests Passed!');
@@ -1,5 +1,7 @@
 // Test script for Verification Service
 // Tests the complete Aadhaar verification flow
+// Status and badge by :userId need users:read: start the service with
+// SERVICE_AUTH_TOKEN_SCOPES=aadhaar:write,status:read,users:read
 
 const http = require('http');
 
@@ -63,7 +65,8 @@ async function testVerification() {
       }
     }, {
       aadhaarNumber: TEST_AADHAAR,
-      consentGiven: true
+      consentGiven: true,
+      consentVersion: 'v1.0'
     });
 
     console.log('Response:', JSON.stringify(initiate.data, null, 2));
@@ -107,7 +110,8 @@ async function testVerification() {
       path: `/api/v1/verification/status/${USER_ID}`,
       method: 'GET',
       headers: {
-        'X-Service-Auth': SERVICE_AUTH
+        'X-Service-Auth': SERVICE_AUTH,
+        'X-User-Id': USER_ID
       }
     });
     console.log('Response:', JSON.stringify(status.data, null, 2));
@@ -121,7 +125,8 @@ async function testVerification() {
       path: `/api/v1/verification/badge/${USER_ID}`,
       method: 'GET',
       headers: {
-        'X-Service-Auth': SERVICE_AUTH
+        'X-Service-Auth': SERVICE_AUTH,
+        'X-User-Id': USER_ID
       }
     });
     console.log('Response:', JSON.stringify(badge.data, null, 2));
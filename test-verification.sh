@@ -26,7 +26,7 @@ INITIATE_RESPONSE=$(curl -s -X POST "$SERVICE_URL/api/v1/verification/aadhaar/in
   -H "Content-Type: application/json" \
   -H "X-Service-Auth: $SERVICE_AUTH" \
   -H "X-User-Id: $USER_ID" \
-  -d "{\"aadhaarNumber\": \"$TEST_AADHAAR\", \"consentGiven\": true}")
+  -d "{\"aadhaarNumber\": \"$TEST_AADHAAR\", \"consentGiven\": true, \"consentVersion\": \"v1.0\"}")
 
 echo "Response: $INITIATE_RESPONSE"
 echo ""
@@ -59,7 +59,8 @@ echo ""
 # Step 4: Check Status
 echo "4️⃣ Checking Verification Status..."
 STATUS_RESPONSE=$(curl -s -X GET "$SERVICE_URL/api/v1/verification/status/$USER_ID" \
-  -H "X-Service-Auth: $SERVICE_AUTH")
+  -H "X-Service-Auth: $SERVICE_AUTH" \
+  -H "X-User-Id: $USER_ID")
 
 echo "Response: $STATUS_RESPONSE"
 echo ""
@@ -67,7 +68,8 @@ echo ""
 # Step 5: Check Badge
 echo "5️⃣ Checking Verification Badge..."
 BADGE_RESPONSE=$(curl -s -X GET "$SERVICE_URL/api/v1/verification/badge/$USER_ID" \
-  -H "X-Service-Auth: $SERVICE_AUTH")
+  -H "X-Service-Auth: $SERVICE_AUTH" \
+  -H "X-User-Id: $USER_ID")
 
 echo "Response: $BADGE_RESPONSE"
 echo ""
@@ -0,0 +1,183 @@
+const logger = require('../config/logger');
+const { APIError, ErrorCategories, categorizeError } = require('./errorHandler');
+
+/**
+ * Circuit breaker for outbound provider calls
+ *
+ * CLOSED    - calls pass through; consecutive availability failures are counted
+ * OPEN      - calls short-circuit with SERVICE_UNAVAILABLE until resetTimeoutMs passes
+ * HALF_OPEN - a single trial call is let through; success closes, failure re-opens
+ *
+ * Only availability failures (5xx, timeouts, network errors) trip the breaker.
+ * Client errors (4xx) mean the provider is up and count as success.
+ */
+
+const CircuitStates = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const TRIPPING_ERROR_CODES = [
+  ErrorCategories.SERVICE_UNAVAILABLE,
+  ErrorCategories.TIMEOUT_ERROR,
+  ErrorCategories.NETWORK_ERROR
+];
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Breaker name (e.g. 'cashfree:offline-aadhaar/otp')
+   * @param {object} options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - Time to stay open before a trial call
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+
+    this.state = CircuitStates.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailureAt = null;
+    this.lastErrorCode = null;
+  }
+
+  /**
+   * Run fn through the breaker
+   * @param {Function} fn - Async function making the outbound call
+   * @returns {Promise<any>} Result of fn
+   */
+  async execute(fn) {
+    if (this.state === CircuitStates.OPEN) {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        throw this.openError();
+      }
+      this.transitionTo(CircuitStates.HALF_OPEN);
+    }
+
+    const isTrial = this.state === CircuitStates.HALF_OPEN;
+    if (isTrial) {
+      if (this.trialInFlight) {
+        throw this.openError();
+      }
+      this.trialInFlight = true;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      const categorizedError = categorizeError(error);
+      if (TRIPPING_ERROR_CODES.includes(categorizedError.code)) {
+        this.onFailure(categorizedError.code);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  onSuccess() {
+    this.consecutiveFailures = 0;
+    if (this.state !== CircuitStates.CLOSED) {
+      this.transitionTo(CircuitStates.CLOSED);
+    }
+  }
+
+  onFailure(errorCode) {
+    this.consecutiveFailures++;
+    this.lastFailureAt = new Date();
+    this.lastErrorCode = errorCode;
+
+    if (this.state === CircuitStates.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transitionTo(CircuitStates.OPEN);
+    }
+  }
+
+  transitionTo(state) {
+    if (this.state === state) {
+      return;
+    }
+
+    const log = state === CircuitStates.OPEN ? logger.warn : logger.info;
+    log.call(logger, `🔌 Circuit ${this.name}: ${this.state} → ${state}`, {
+      consecutiveFailures: this.consecutiveFailures,
+      lastErrorCode: this.lastErrorCode
+    });
+    this.state = state;
+  }
+
+  /**
+   * Error thrown while the circuit is open
+   * Non-retryable so retryWithBackoff stops immediately
+   */
+  openError() {
+    const retryInMs = Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+    const error = new APIError(
+      `Provider temporarily unavailable (circuit open: ${this.name})`,
+      ErrorCategories.SERVICE_UNAVAILABLE,
+      503,
+      false
+    );
+    error.retryAfterMs = retryInMs;
+    return error;
+  }
+
+  /**
+   * Current breaker state (for /health)
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null,
+      lastErrorCode: this.lastErrorCode
+    };
+  }
+}
+
+// Breakers are shared per name, so every provider instance sees the same state
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker with the given name
+ * @param {string} name - Breaker name
+ * @param {object} options - Options used when the breaker is first created
+ * @returns {CircuitBreaker}
+ */
+function getCircuitBreaker(name, options = {}) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+}
+
+/**
+ * Get state of all breakers
+ * @returns {object} name -> status
+ */
+function getCircuitBreakerStates() {
+  const states = {};
+  breakers.forEach((breaker, name) => {
+    states[name] = breaker.getStatus();
+  });
+  return states;
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitStates,
+  getCircuitBreaker,
+  getCircuitBreakerStates
+};
@@ -37,9 +37,12 @@ const ErrorCategories = {
   OTP_ATTEMPTS_EXCEEDED: 'OTP_ATTEMPTS_EXCEEDED',
   ALREADY_VERIFIED: 'ALREADY_VERIFIED',
   INVALID_AADHAAR: 'INVALID_AADHAAR',
+  INVALID_STATUS_TRANSITION: 'INVALID_STATUS_TRANSITION',
+  DUPLICATE_IDENTITY: 'DUPLICATE_IDENTITY',
   
   // Rate limiting
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  IDENTIFIER_VELOCITY_EXCEEDED: 'IDENTIFIER_VELOCITY_EXCEEDED',
   
   // Unknown
   UNKNOWN_ERROR: 'UNKNOWN_ERROR'
@@ -52,6 +55,11 @@ const ErrorCategories = {
  * @returns {APIError} Categorized error
  */
 function categorizeError(error, context = {}) {
+  // Already categorized (e.g. rethrown from retryWithBackoff)
+  if (error instanceof APIError) {
+    return error;
+  }
+
   // Handle Axios errors
   if (error.response) {
     const status = error.response.status;
@@ -253,7 +261,10 @@ function getUserFriendlyMessage(errorCode) {
     [ErrorCategories.OTP_ATTEMPTS_EXCEEDED]: 'Maximum OTP attempts exceeded. Please request a new OTP.',
     [ErrorCategories.ALREADY_VERIFIED]: 'This account is already verified.',
     [ErrorCategories.INVALID_AADHAAR]: 'Invalid Aadhaar number. Please check and try again.',
+    [ErrorCategories.INVALID_STATUS_TRANSITION]: 'This action is not allowed for the current verification status.',
+    [ErrorCategories.DUPLICATE_IDENTITY]: 'These details are already verified on another account.',
     [ErrorCategories.RATE_LIMIT_EXCEEDED]: 'Too many requests. Please wait a moment and try again.',
+    [ErrorCategories.IDENTIFIER_VELOCITY_EXCEEDED]: 'Too many verification attempts for these details. Please try again later.',
     [ErrorCategories.UNKNOWN_ERROR]: 'An unexpected error occurred. Please try again.'
   };
 